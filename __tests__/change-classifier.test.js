@@ -0,0 +1,93 @@
+const {
+  EXIT_CODE_BREAKING,
+  acceptsAll,
+  getBreakingReason,
+  classifyChanges,
+  hasBreakingChanges
+} = require('../change-classifier');
+
+const type = (types, enumValues) => (enumValues ? { types, enum: enumValues } : { types });
+
+describe('change-classifier', () => {
+  describe('acceptsAll', () => {
+    it('should treat subsets and integer-to-number as covered', () => {
+      expect(acceptsAll(type(['null', 'string']), type(['string']))).toBe(true);
+      expect(acceptsAll(type(['number']), type(['integer']))).toBe(true);
+      expect(acceptsAll(type([]), type(['boolean']))).toBe(true);
+    });
+
+    it('should reject narrower types and enums', () => {
+      expect(acceptsAll(type(['integer']), type(['number']))).toBe(false);
+      expect(acceptsAll(type(['string']), type([]))).toBe(false);
+      expect(acceptsAll(type(['string'], ['a']), type(['string'], ['a', 'b']))).toBe(false);
+      expect(acceptsAll(type(['string'], ['a', 'b']), type(['string'], ['a']))).toBe(true);
+    });
+  });
+
+  describe('getBreakingReason', () => {
+    it('should flag removed operations but not new ones', () => {
+      expect(getBreakingReason({ type: 'endpoint', action: 'removed' })).toBe('Removed operation');
+      expect(getBreakingReason({ type: 'endpoint', action: 'added' })).toBeNull();
+    });
+
+    it('should flag new required parameters but not optional ones', () => {
+      expect(getBreakingReason({ type: 'parameter', action: 'added', required: true })).toBe('New required parameter');
+      expect(getBreakingReason({ type: 'parameter', action: 'added', required: false })).toBeNull();
+    });
+
+    it('should flag parameters becoming required', () => {
+      expect(getBreakingReason({ type: 'parameter', action: 'changed', property: 'required', to: true }))
+        .toBe('Parameter became required');
+      expect(getBreakingReason({ type: 'parameter', action: 'changed', property: 'required', to: false })).toBeNull();
+    });
+
+    it('should flag narrowed parameter types but not widened ones', () => {
+      const narrowed = { type: 'parameter', action: 'changed', property: 'type', from: type(['number']), to: type(['integer']) };
+      const widened = { type: 'parameter', action: 'changed', property: 'type', from: type(['integer']), to: type(['number']) };
+
+      expect(getBreakingReason(narrowed)).toBe('Narrowed parameter type');
+      expect(getBreakingReason(widened)).toBeNull();
+    });
+
+    it('should flag removed response fields and widened response types', () => {
+      expect(getBreakingReason({ type: 'responseField', action: 'removed' })).toBe('Removed response field');
+      expect(getBreakingReason({ type: 'responseField', action: 'added' })).toBeNull();
+      expect(getBreakingReason({
+        type: 'responseField', action: 'changed', from: type(['string']), to: type(['null', 'string'])
+      })).toBe('Changed response field type');
+      expect(getBreakingReason({
+        type: 'responseField', action: 'changed', from: type(['null', 'string']), to: type(['string'])
+      })).toBeNull();
+    });
+
+    it('should only flag removed success responses', () => {
+      expect(getBreakingReason({ type: 'response', action: 'removed', status: '200' })).toBe('Removed success response');
+      expect(getBreakingReason({ type: 'response', action: 'removed', status: '404' })).toBeNull();
+    });
+
+    it('should treat documentation and deprecations as compatible', () => {
+      expect(getBreakingReason({ type: 'documentation', action: 'changed' })).toBeNull();
+      expect(getBreakingReason({ type: 'deprecation', action: 'added' })).toBeNull();
+    });
+  });
+
+  describe('classifyChanges', () => {
+    it('should annotate changes without mutating them', () => {
+      const changes = [{ type: 'endpoint', action: 'removed' }, { type: 'endpoint', action: 'added' }];
+
+      const classified = classifyChanges(changes);
+
+      expect(classified).toEqual([
+        { type: 'endpoint', action: 'removed', breaking: true, reason: 'Removed operation' },
+        { type: 'endpoint', action: 'added', breaking: false }
+      ]);
+      expect(changes[0].breaking).toBeUndefined();
+      expect(hasBreakingChanges(classified)).toBe(true);
+      expect(hasBreakingChanges(classified.slice(1))).toBe(false);
+    });
+  });
+
+  it('should use an exit code distinct from errors', () => {
+    expect(EXIT_CODE_BREAKING).not.toBe(1);
+  });
+});
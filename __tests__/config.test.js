@@ -131,6 +131,120 @@ describe('Config', () => {
     });
   });
 
+  describe('requireApiUrl', () => {
+    it('should not require an API URL for commands that only read generated files', () => {
+      const processExitSpy = jest.spyOn(process, 'exit').mockImplementation(() => {});
+      const { program } = require('commander');
+      program.opts.mockReturnValue({});
+      delete process.env.NITRADO_API_URL;
+
+      const result = new Config().getConfig({ requireApiUrl: false });
+
+      expect(processExitSpy).not.toHaveBeenCalled();
+      expect(result.reportFormat).toBe('text');
+      processExitSpy.mockRestore();
+    });
+
+    it('should read the overrides file from the environment', () => {
+      process.env.NITRADO_OVERRIDES = './overrides.yaml';
+
+      const result = new Config().getConfig({ requireApiUrl: false });
+
+      expect(result.overrides).toBe('./overrides.yaml');
+    });
+
+    it('should default to the auto operationId strategy and read the naming from the environment', () => {
+      expect(new Config().getConfig({ requireApiUrl: false })).toMatchObject({ operationIdStrategy: 'auto', operationIdCase: 'PascalCase' });
+
+      process.env.NITRADO_OPERATION_ID_STRATEGY = '{group}_{name}';
+      process.env.NITRADO_OPERATION_ID_CASE = 'snake_case';
+
+      const result = new Config().getConfig({ requireApiUrl: false });
+
+      expect(result).toMatchObject({ operationIdStrategy: '{group}_{name}', operationIdCase: 'snake_case' });
+    });
+  });
+
+  describe('mock server options', () => {
+    it('should default to a local port and accept any token', () => {
+      const result = new Config().getConfig({ requireApiUrl: false });
+
+      expect(result).toMatchObject({ mockPort: 4010, mockHost: '127.0.0.1', mockToken: undefined });
+    });
+
+    it('should read the mock server options from the environment', () => {
+      process.env.NITRADO_MOCK_PORT = '8080';
+      process.env.NITRADO_MOCK_HOST = '0.0.0.0';
+      process.env.NITRADO_MOCK_TOKEN = 'secret';
+
+      const result = new Config().getConfig({ requireApiUrl: false });
+
+      expect(result).toMatchObject({ mockPort: 8080, mockHost: '0.0.0.0', mockToken: 'secret' });
+    });
+  });
+
+  describe('proxy options', () => {
+    it('should default to the server URL upstream and a local port', () => {
+      const result = new Config().getConfig({ requireApiUrl: false });
+
+      expect(result).toMatchObject({ proxyUpstream: undefined, proxyPort: 4020, proxyHost: '127.0.0.1', violationsFile: undefined });
+    });
+
+    it('should read the proxy options from the environment', () => {
+      process.env.NITRADO_PROXY_UPSTREAM = 'http://localhost:9000';
+      process.env.NITRADO_PROXY_PORT = '9001';
+      process.env.NITRADO_VIOLATIONS_FILE = './violations.jsonl';
+
+      const result = new Config().getConfig({ requireApiUrl: false });
+
+      expect(result).toMatchObject({ proxyUpstream: 'http://localhost:9000', proxyPort: 9001, violationsFile: './violations.jsonl' });
+    });
+  });
+
+  describe('resolveLogLevel', () => {
+    it('should prefer an explicit log level', () => {
+      expect(Config.resolveLogLevel({ logLevel: 'debug', quiet: true })).toBe('debug');
+    });
+
+    it('should map the shorthand flags', () => {
+      expect(Config.resolveLogLevel({ quiet: true })).toBe('quiet');
+      expect(Config.resolveLogLevel({ debug: true })).toBe('debug');
+      expect(Config.resolveLogLevel({ verbose: true })).toBe('verbose');
+    });
+
+    it('should fall back to the environment and then normal', () => {
+      delete process.env.NITRADO_VERBOSE;
+      delete process.env.NITRADO_LOG_LEVEL;
+      expect(Config.resolveLogLevel({})).toBe('normal');
+
+      process.env.NITRADO_LOG_LEVEL = 'quiet';
+      expect(Config.resolveLogLevel({})).toBe('quiet');
+    });
+  });
+
+  describe('parseList', () => {
+    it('should split comma separated values and drop empty entries', () => {
+      expect(Config.parseList('openapi-3.0, ,postman')).toEqual(['openapi-3.0', 'postman']);
+      expect(Config.parseList(undefined)).toEqual([]);
+    });
+  });
+
+  describe('parsePlacementOverrides', () => {
+    it('should parse comma separated endpoint placements', () => {
+      const result = Config.parsePlacementOverrides('POST /oauth/token=query, DELETE /services/:id=body');
+
+      expect(result).toEqual({
+        'POST /oauth/token': 'query',
+        'DELETE /services/:id': 'body'
+      });
+    });
+
+    it('should ignore empty values and malformed entries', () => {
+      expect(Config.parsePlacementOverrides(undefined)).toEqual({});
+      expect(Config.parsePlacementOverrides('POST /oauth/token')).toEqual({});
+    });
+  });
+
   describe('getConfigWithDefaults', () => {
     it('should return merged configuration with overrides', () => {
       // Set a valid API URL since it's now required
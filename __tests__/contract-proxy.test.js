@@ -0,0 +1,178 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const axios = require('axios');
+const { ContractProxy, VIOLATIONS_FILENAME } = require('../contract-proxy');
+
+const spec = {
+  openapi: '3.1.1',
+  info: { title: 'Test API', version: '1.0.0' },
+  paths: {
+    '/services/{id}/records': {
+      get: {
+        operationId: 'ServicesRecordsList',
+        security: [{ BearerAuth: [] }],
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'integer' } },
+          { name: 'limit', in: 'query', required: false, schema: { type: 'integer' } }
+        ],
+        responses: {
+          200: {
+            description: 'OK',
+            content: {
+              'application/json': {
+                schema: { type: 'object', properties: { status: { type: 'string' }, data: { type: 'object', properties: { total: { type: 'integer' } } } } }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Start a stub upstream answering every request with the given status and body
+ */
+async function startUpstream(status, body) {
+  const requests = [];
+  const server = http.createServer((request, response) => {
+    requests.push({ method: request.method, url: request.url, headers: request.headers });
+    response.writeHead(status, { 'content-type': 'application/json' });
+    response.end(JSON.stringify(body));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, requests, url: `http://127.0.0.1:${server.address().port}/v1` };
+}
+
+describe('contract-proxy', () => {
+  let tmpDir;
+  let violationsFile;
+  let upstream;
+  let proxy;
+
+  const readViolations = async () => (await fs.readFile(violationsFile, 'utf8'))
+    .trim()
+    .split('\n')
+    .filter(Boolean)
+    .map(line => JSON.parse(line));
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'contract-proxy-'));
+    violationsFile = path.join(tmpDir, 'logs', VIOLATIONS_FILENAME);
+  });
+
+  afterEach(async () => {
+    await proxy?.close();
+    await new Promise(resolve => (upstream ? upstream.server.close(resolve) : resolve()));
+    await fs.rm(tmpDir, { recursive: true, force: true });
+    proxy = null;
+    upstream = null;
+  });
+
+  it('should require an upstream', () => {
+    expect(() => new ContractProxy(spec, {})).toThrow('An upstream URL is required for the contract proxy');
+  });
+
+  it('should forward conforming traffic without recording violations', async () => {
+    upstream = await startUpstream(200, { status: 'success', data: { total: 3 } });
+    proxy = new ContractProxy(spec, { upstream: upstream.url, violationsFile });
+    const { port } = await proxy.listen(0, '127.0.0.1');
+
+    const response = await axios.get(`http://127.0.0.1:${port}/services/5/records?limit=10`, {
+      headers: { Authorization: 'Bearer secret' }
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.data).toEqual({ status: 'success', data: { total: 3 } });
+    expect(upstream.requests).toEqual([
+      expect.objectContaining({ method: 'GET', url: '/v1/services/5/records?limit=10' })
+    ]);
+    expect(upstream.requests[0].headers.authorization).toBe('Bearer secret');
+    expect(proxy.violationCount).toBe(0);
+    await expect(fs.readFile(violationsFile, 'utf8')).rejects.toThrow();
+  });
+
+  it('should record request and response violations as JSON lines', async () => {
+    upstream = await startUpstream(200, { status: 'success', data: { total: 'three' } });
+    proxy = new ContractProxy(spec, { upstream: upstream.url, violationsFile });
+    const { port } = await proxy.listen(0, '127.0.0.1');
+
+    const response = await axios.get(`http://127.0.0.1:${port}/services/5/records?limit=ten`);
+    await proxy.close();
+
+    expect(response.status).toBe(200);
+    expect(await readViolations()).toEqual([
+      expect.objectContaining({ direction: 'request', location: 'header "Authorization"', message: 'must carry a bearer token' }),
+      expect.objectContaining({ direction: 'request', location: 'query parameter "limit"', message: 'must be integer' }),
+      expect.objectContaining({
+        direction: 'response',
+        method: 'GET',
+        url: '/services/5/records?limit=ten',
+        path: '/services/{id}/records',
+        operationId: 'ServicesRecordsList',
+        status: 200,
+        location: 'response body/data/total',
+        message: 'must be integer'
+      })
+    ]);
+    expect(proxy.violationCount).toBe(3);
+  });
+
+  it('should record undocumented routes and statuses', async () => {
+    upstream = await startUpstream(503, { status: 'error', message: 'Maintenance' });
+    proxy = new ContractProxy(spec, { upstream: upstream.url, violationsFile });
+
+    const unknown = await proxy.handleRequest({ method: 'GET', url: '/unknown', headers: {} });
+    const unavailable = await proxy.handleRequest({ method: 'GET', url: '/services/5/records', headers: { authorization: 'Bearer x' } });
+    await proxy.close();
+
+    expect(unknown.status).toBe(503);
+    expect(unavailable.status).toBe(503);
+    expect((await readViolations()).map(violation => [violation.location, violation.message])).toEqual([
+      ['route', 'GET /unknown does not match any documented path'],
+      ['response status', '503 is not documented']
+    ]);
+  });
+
+  it('should forward requests whose check fails and record a route violation', async () => {
+    upstream = await startUpstream(404, { status: 'error', message: 'Not found' });
+    proxy = new ContractProxy(spec, { upstream: upstream.url, violationsFile });
+    jest.spyOn(proxy.contract, 'validateRequest').mockImplementationOnce(() => {
+      throw new Error('schema compilation failed');
+    });
+
+    const malformed = await proxy.handleRequest({ method: 'GET', url: '/services/%zz/records', headers: { authorization: 'Bearer x' } });
+    const failed = await proxy.handleRequest({ method: 'GET', url: '/services/5/records', headers: { authorization: 'Bearer x' } });
+    await proxy.close();
+
+    expect([malformed.status, failed.status]).toEqual([404, 404]);
+    expect(upstream.requests.map(request => request.url)).toEqual(['/v1/services/%zz/records', '/v1/services/5/records']);
+    expect((await readViolations()).map(violation => [violation.location, violation.message])).toEqual([
+      ['route', 'Path parameter "id" has a malformed percent-encoding'],
+      ['route', 'could not be checked: schema compilation failed']
+    ]);
+  });
+
+  it('should answer 500 instead of crashing when handling a request fails', async () => {
+    proxy = new ContractProxy(spec, { upstream: 'http://127.0.0.1:1' });
+    jest.spyOn(proxy, 'handleRequest').mockRejectedValueOnce(new Error('boom'));
+    const { port } = await proxy.listen(0, '127.0.0.1');
+
+    const response = await axios.get(`http://127.0.0.1:${port}/services/5/records`, { validateStatus: () => true });
+
+    expect(response.status).toBe(500);
+    expect(response.data).toEqual({ status: 'error', message: 'Proxy request failed: boom' });
+  });
+
+  it('should answer 502 when the upstream is unreachable', async () => {
+    proxy = new ContractProxy(spec, { upstream: 'http://127.0.0.1:1' });
+
+    const response = await proxy.handleRequest({ method: 'GET', url: '/services/5/records', headers: { authorization: 'Bearer x' } });
+
+    expect(response.status).toBe(502);
+    expect(JSON.parse(response.body.toString()).status).toBe('error');
+  });
+});
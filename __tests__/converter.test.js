@@ -8,7 +8,8 @@ const { sampleApiData, sampleRawApiResponse } = require('./fixtures/sampleData')
 jest.mock('fs', () => ({
   promises: {
     mkdir: jest.fn(),
-    writeFile: jest.fn()
+    writeFile: jest.fn(),
+    readFile: jest.fn()
   }
 }));
 
@@ -32,6 +33,7 @@ describe('NitradoAPIConverter', () => {
 
     converter = new NitradoAPIConverter(testConfig);
     jest.clearAllMocks();
+    fs.readFile.mockRejectedValue(Object.assign(new Error('missing'), { code: 'ENOENT' }));
     nock.cleanAll();
 
     // Mock console.log to reduce noise in tests
@@ -73,6 +75,18 @@ describe('NitradoAPIConverter', () => {
       expect(customConverter.config.apiVersion).toBe('2.0.0');
     });
 
+    it('should reject unknown description formats', () => {
+      expect(() => new NitradoAPIConverter({ descriptionFormat: 'rtf' }))
+        .toThrow('Invalid description format "rtf"');
+    });
+
+    it('should reject unknown operationId strategies and case styles', () => {
+      expect(() => new NitradoAPIConverter({ operationIdStrategy: 'path' }))
+        .toThrow('Invalid operationId strategy "path"');
+      expect(() => new NitradoAPIConverter({ operationIdCase: 'kebab-case' }))
+        .toThrow('Invalid operationId case "kebab-case"');
+    });
+
     it('should merge custom config with defaults', () => {
       const partialConfig = {
         apiTitle: 'Partial Config API'
@@ -225,6 +239,26 @@ describe('NitradoAPIConverter', () => {
       const result = converter.generateOperationId(endpoint);
       expect(result).toBe('PutServicesServiceIdUsersUserId');
     });
+
+    it('should build IDs with the configured strategy and case style', () => {
+      const endpoint = { name: 'GetStats', url: '/company/stats', type: 'get', group: 'Company' };
+      const generate = (operationIdStrategy, operationIdCase) =>
+        new NitradoAPIConverter({ operationIdStrategy, operationIdCase }).generateOperationId(endpoint);
+
+      expect(generate('name')).toBe('GetStats');
+      expect(generate('group+name', 'camelCase')).toBe('companyGetStats');
+      expect(generate('method+path', 'snake_case')).toBe('get_company_stats');
+      expect(generate('{group}_{name}')).toBe('Company_GetStats');
+      expect(generate('auto', 'snake_case')).toBe('company_company_stats_get_stats');
+      expect(generate('auto-compact')).toBe('CompanyStatsGetStats');
+      expect(generate('auto-compact', 'snake_case')).toBe('company_stats_get_stats');
+    });
+
+    it('should fall back to method and path for endpoints without a name', () => {
+      const named = new NitradoAPIConverter({ operationIdStrategy: 'name' });
+
+      expect(named.generateOperationId({ url: '/company/stats', type: 'get' })).toBe('GetCompanyStats');
+    });
   });
 
   describe('ensureUniqueOperationId', () => {
@@ -259,6 +293,13 @@ describe('NitradoAPIConverter', () => {
 
       expect(result).toBe('ManyDuplicates11');
     });
+
+    it('should separate the suffix of snake_case IDs', () => {
+      const snakeConverter = new NitradoAPIConverter({ operationIdCase: 'snake_case' });
+      snakeConverter.ensureUniqueOperationId('get_stats');
+
+      expect(snakeConverter.ensureUniqueOperationId('get_stats')).toBe('get_stats_2');
+    });
   });
 
   describe('parseParameterType', () => {
@@ -347,6 +388,54 @@ describe('NitradoAPIConverter', () => {
       expect(result.paths['/services/{id}/gameservers/games/minecraft']).toBeDefined();
     });
 
+    it('should convert HTML descriptions to markdown by default', () => {
+      const result = converter.convertToOpenAPI();
+
+      const operation = result.paths['/domain/{domain}/service'].post;
+      expect(operation.description).toBe('Add a domain to a service (e.g. a Webspace).\n\n**Deprecated:** Feature no longer available');
+      expect(operation.requestBody.content['application/json'].schema.properties.service_id.description).toBe('the id of the service');
+    });
+
+    it('should keep HTML descriptions when the format is html', () => {
+      const htmlConverter = new NitradoAPIConverter({ descriptionFormat: 'html' });
+      htmlConverter.apiData = sampleApiData;
+
+      const result = htmlConverter.convertToOpenAPI();
+
+      expect(result.paths['/domain/{domain}/service'].post.description)
+        .toContain('<p>Add a domain to a service (e.g. a Webspace).</p>');
+    });
+
+    it('should normalize malformed URLs and reconcile parameter names', () => {
+      converter.apiData = {
+        api: [
+          ...sampleApiData.api,
+          {
+            type: 'get',
+            url: 'services/:service_id/gameservers/games/atlas/maps/',
+            name: 'Maps',
+            group: 'Game_Atlas',
+            parameter: {
+              fields: {
+                Parameter: [{ field: 'service_id', type: 'Integer', optional: false, description: 'The service id' }]
+              }
+            }
+          }
+        ]
+      };
+
+      const result = converter.convertToOpenAPI();
+
+      const operation = result.paths['/services/{id}/gameservers/games/atlas/maps'].get;
+      expect(result.paths['services/{service_id}/gameservers/games/atlas/maps/']).toBeUndefined();
+      expect(operation.parameters).toEqual([
+        expect.objectContaining({ name: 'id', in: 'path', schema: { type: 'integer' }, description: 'The service id' })
+      ]);
+      expect(consoleLogSpy).toHaveBeenCalledWith(
+        '🔧 Normalized URL GET services/:service_id/gameservers/games/atlas/maps/ → /services/:id/gameservers/games/atlas/maps (added leading slash, stripped trailing slash, renamed parameter :service_id to :id)'
+      );
+    });
+
     it('should handle deprecated endpoints', () => {
       const result = converter.convertToOpenAPI();
 
@@ -358,8 +447,132 @@ describe('NitradoAPIConverter', () => {
     it('should add security schemes to operations', () => {
       const result = converter.convertToOpenAPI();
 
+      const domainServiceOp = result.paths['/domain/{domain}/service'].post;
+      expect(domainServiceOp.security).toEqual([{ BearerAuth: [] }, { AccessTokenQuery: [] }]);
+      expect(result.components.securitySchemes.AccessTokenQuery).toEqual(expect.objectContaining({
+        type: 'apiKey',
+        in: 'query',
+        name: 'access_token'
+      }));
+    });
+
+    it('should detect public endpoints from their metadata unless flagged', () => {
+      converter.apiData = JSON.parse(JSON.stringify(sampleApiData));
+      converter.apiData.api[1].public = true;
+
+      const result = converter.convertToOpenAPI();
+
+      expect(result.paths['/company/stats'].get.security).toBeUndefined();
+      expect(result.paths['/domain/{domain}/service'].post.security).toBeUndefined();
+      expect(result.paths['/services/{id}/gameservers/games/minecraft'].get.security).toBeUndefined();
+    });
+
+    it('should keep service endpoints without a documented Authorization header secured', () => {
+      const secured = metadata => {
+        converter.apiData = JSON.parse(JSON.stringify(sampleApiData));
+        Object.assign(converter.apiData.api[2], metadata);
+        return converter.convertToOpenAPI().paths['/services/{id}/gameservers/games/minecraft'].get.security;
+      };
+
+      expect(sampleApiData.api[2].header).toBeUndefined();
+      expect(secured({ servicestatus: [{ content: 'SERVICE_STATUS_ACTIVE\n', type: 'json' }] }))
+        .toEqual([{ BearerAuth: [] }, { AccessTokenQuery: [] }]);
+      expect(secured({ error: { fields: { 'Error 4xx': [{ field: 'Unauthorized' }] } } }))
+        .toEqual([{ BearerAuth: [] }, { AccessTokenQuery: [] }]);
+      expect(secured({ permission: [{ name: 'ROLE_WEBINTERFACE_GENERAL_CONTROL' }] })).toBeDefined();
+    });
+
+    it('should derive the OAuth2 authorization-code flow from the OAuth endpoints', () => {
+      converter.apiData = JSON.parse(JSON.stringify(sampleApiData));
+      converter.apiData.api.push(
+        {
+          type: 'get',
+          url: '/oauth/v2/auth',
+          name: 'CreateAuthToken',
+          group: 'OAuth_2',
+          parameter: {
+            fields: {
+              Parameter: [{
+                group: 'Parameter',
+                type: 'String',
+                optional: true,
+                field: 'scope',
+                description: '<ul> <li><code>user_info</code>: Access to a user&#39;s basic account information</li> <li><code>service</code>: Access to a customers&#39;s rented services.</li> </ul>'
+              }]
+            }
+          }
+        },
+        { type: 'post', url: '/oauth/v2/token', name: 'CreateToken', group: 'OAuth_2' }
+      );
+
+      const result = converter.convertToOpenAPI();
+
+      expect(result.components.securitySchemes.NitradoOAuth2.flows.authorizationCode).toEqual({
+        authorizationUrl: 'https://api.nitrado.net/oauth/v2/auth',
+        tokenUrl: 'https://api.nitrado.net/oauth/v2/token',
+        refreshUrl: 'https://api.nitrado.net/oauth/v2/token',
+        scopes: {
+          user_info: 'Access to a user\'s basic account information',
+          service: 'Access to a customers\'s rented services.'
+        }
+      });
+      expect(result.paths['/domain/{domain}/service'].post.security).toEqual([{ NitradoOAuth2: [] }, { AccessTokenQuery: [] }]);
+      expect(result.paths['/oauth/v2/token'].post.security).toBeUndefined();
+    });
+
+    it('should require permission roles as OAuth2 scopes', () => {
+      converter.apiData = JSON.parse(JSON.stringify(sampleApiData));
+      converter.apiData.api[1].permission = [{ name: 'ROLE_OWNER, ALLOW_CANCEL_GAMESERVER' }];
+      converter.apiData.api[2].permission = [{ name: 'ROLE_WEBINTERFACE_SETTINGS_READ' }, { name: 'ROLE_OWNER' }];
+
+      const result = converter.convertToOpenAPI();
+
+      const domainServiceOp = result.paths['/domain/{domain}/service'].post;
+      expect(domainServiceOp['x-nitrado-permissions']).toEqual(['ROLE_OWNER', 'ALLOW_CANCEL_GAMESERVER']);
+      expect(domainServiceOp.security).toEqual([{ NitradoOAuth2: ['ROLE_OWNER', 'ALLOW_CANCEL_GAMESERVER'] }, { AccessTokenQuery: [] }]);
+      expect(result.components.securitySchemes.NitradoOAuth2.flows.authorizationCode).toEqual({
+        authorizationUrl: 'https://api.nitrado.net/oauth/v2/auth',
+        tokenUrl: 'https://api.nitrado.net/oauth/v2/token',
+        refreshUrl: 'https://api.nitrado.net/oauth/v2/token',
+        scopes: {
+          ALLOW_CANCEL_GAMESERVER: 'Allow cancel gameserver',
+          ROLE_OWNER: 'Owner',
+          ROLE_WEBINTERFACE_SETTINGS_READ: 'Webinterface settings read'
+        }
+      });
+    });
+
+    it('should record servicestatus requirements with their qualifiers', () => {
+      converter.apiData = JSON.parse(JSON.stringify(sampleApiData));
+      converter.apiData.api[0].servicestatus = [{ content: 'SERVICE_STATUS_ACTIVE, SERVICE_STATUS_SUSPENDED\n', type: 'json' }];
+      converter.apiData.api[2].servicestatus = [
+        { content: 'SERVICE_STATUS_ACTIVE\n', type: 'json' },
+        { content: 'for switch + extend: SERVICE_STATUS_ACTIVE, Service::SERVICE_STATUS_SUSPENDED', type: 'json' }
+      ];
+
+      const result = converter.convertToOpenAPI();
+
       const companyStatsOp = result.paths['/company/stats'].get;
-      expect(companyStatsOp.security).toEqual([{ BearerAuth: [] }]);
+      const minecraftOp = result.paths['/services/{id}/gameservers/games/minecraft'].get;
+      expect(companyStatsOp['x-nitrado-service-status']).toEqual([{ statuses: ['active', 'suspended'] }]);
+      expect(companyStatsOp.description).toMatch(/\*\*Service status:\*\* active or suspended$/);
+      expect(minecraftOp['x-nitrado-service-status']).toEqual([
+        { statuses: ['active'] },
+        { statuses: ['active', 'suspended'], appliesTo: ['switch', 'extend'] }
+      ]);
+      expect(minecraftOp.description).toMatch(/\*\*Service status:\*\* active; active or suspended \(for switch and extend\)$/);
+      expect(result.paths['/domain/{domain}/service'].post['x-nitrado-service-status']).toBeUndefined();
+    });
+
+    it('should summarize SERVICE_STATUS_ALL as any status', () => {
+      expect(converter.parseServiceStatus('SERVICE_STATUS_ALL\n')).toEqual({ statuses: ['all'] });
+      expect(converter.parseServiceStatus('  ')).toBeNull();
+    });
+
+    it('should only define the OAuth2 scheme when an operation requires permissions', () => {
+      const result = converter.convertToOpenAPI();
+
+      expect(result.components.securitySchemes.NitradoOAuth2).toBeUndefined();
     });
 
     it('should create proper OpenAPI structure', () => {
@@ -415,7 +628,7 @@ describe('NitradoAPIConverter', () => {
       expect(domainParam.required).toBe(true);
     });
 
-    it('should convert query parameters', () => {
+    it('should convert POST parameters into the request body', () => {
       const endpoint = sampleApiData.api[1]; // Domain service endpoint
 
       converter.convertEndpoint(endpoint, openAPISpec);
@@ -423,11 +636,119 @@ describe('NitradoAPIConverter', () => {
       const path = openAPISpec.paths['/domain/{domain}/service'];
       const operation = path.post;
       const serviceIdParam = operation.parameters.find(p => p.name === 'service_id');
+      const bodySchema = operation.requestBody.content['application/json'].schema;
+
+      expect(serviceIdParam).toBeUndefined();
+      expect(operation.requestBody.required).toBe(true);
+      expect(bodySchema.properties.service_id.type).toBe('integer');
+      expect(bodySchema.required).toEqual(['service_id']);
+      expect(operation.requestBody.content['application/x-www-form-urlencoded'].schema).toEqual(bodySchema);
+    });
+
+    it('should keep query placement when the strategy is query', () => {
+      const queryConverter = new NitradoAPIConverter({ parameterPlacement: 'query' });
+      const endpoint = sampleApiData.api[1]; // Domain service endpoint
+
+      queryConverter.convertEndpoint(endpoint, openAPISpec);
+
+      const operation = openAPISpec.paths['/domain/{domain}/service'].post;
+      const serviceIdParam = operation.parameters.find(p => p.name === 'service_id');
 
-      expect(serviceIdParam).toBeDefined();
       expect(serviceIdParam.in).toBe('query');
       expect(serviceIdParam.required).toBe(true);
       expect(serviceIdParam.schema.type).toBe('integer');
+      expect(operation.requestBody).toBeUndefined();
+    });
+
+    it('should apply per-endpoint placement overrides', () => {
+      const overrideConverter = new NitradoAPIConverter({
+        parameterPlacementOverrides: {
+          'POST /domain/:domain/service': 'query',
+          'delete /cleanup': 'body'
+        }
+      });
+      const deleteEndpoint = {
+        name: 'Cleanup',
+        url: 'cleanup',
+        type: 'delete',
+        parameter: {
+          fields: {
+            Parameter: [{ field: 'reason', type: 'String', optional: true }]
+          }
+        }
+      };
+
+      overrideConverter.convertEndpoint(sampleApiData.api[1], openAPISpec);
+      overrideConverter.convertEndpoint(deleteEndpoint, openAPISpec);
+
+      const postOperation = openAPISpec.paths['/domain/{domain}/service'].post;
+      const deleteOperation = openAPISpec.paths['/cleanup'].delete;
+
+      expect(postOperation.parameters.find(p => p.name === 'service_id').in).toBe('query');
+      expect(postOperation.requestBody).toBeUndefined();
+      expect(deleteOperation.parameters).toHaveLength(0);
+      expect(deleteOperation.requestBody.content['application/json'].schema.properties.reason).toBeDefined();
+    });
+
+    it('should match placement overrides on the spec path whatever the path parameter names', () => {
+      const overrideConverter = new NitradoAPIConverter({
+        parameterPlacementOverrides: { 'DELETE /services/:service_id/cleanup': 'body' }
+      });
+      const endpoint = {
+        name: 'Cleanup',
+        url: '/services/{id}/cleanup',
+        type: 'delete',
+        parameter: { fields: { Parameter: [{ field: 'reason', type: 'String', optional: true }] } }
+      };
+
+      overrideConverter.convertEndpoint(endpoint, openAPISpec);
+
+      expect(openAPISpec.paths['/services/{id}/cleanup'].delete.requestBody).toBeDefined();
+    });
+
+    it('should warn about placement overrides that match no endpoint', () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const overrideConverter = new NitradoAPIConverter({
+        parameterPlacementOverrides: { 'POST /domain/{domain}/service': 'query', 'POST /oauth/token': 'query' }
+      });
+      overrideConverter.apiData = sampleApiData;
+
+      overrideConverter.convertToOpenAPI();
+
+      expect(warnSpy).toHaveBeenCalledWith('⚠️  1 parameter placement override(s) match no endpoint:');
+      expect(warnSpy).toHaveBeenCalledWith('   POST /oauth/token');
+      warnSpy.mockRestore();
+    });
+
+    it('should reject unknown placement strategies', () => {
+      expect(() => new NitradoAPIConverter({ parameterPlacement: 'header' }))
+        .toThrow('Invalid parameter placement "header"');
+    });
+
+    it('should not duplicate Parameter fields that are path parameters', () => {
+      const endpoint = {
+        name: 'Subscribe',
+        url: '/user/newsletter_campaign/:nlc_id/subscribe',
+        type: 'post',
+        parameter: {
+          fields: {
+            Parameter: [{ field: 'nlc_id', type: 'Integer', optional: false, description: 'Campaign id' }]
+          }
+        }
+      };
+
+      converter.convertEndpoint(endpoint, openAPISpec);
+
+      const operation = openAPISpec.paths['/user/newsletter_campaign/{nlc_id}/subscribe'].post;
+
+      expect(operation.parameters).toHaveLength(1);
+      expect(operation.parameters[0]).toMatchObject({
+        name: 'nlc_id',
+        in: 'path',
+        schema: { type: 'integer' },
+        description: 'Campaign id'
+      });
+      expect(operation.requestBody).toBeUndefined();
     });
 
     it('should convert header parameters', () => {
@@ -496,21 +817,18 @@ describe('NitradoAPIConverter', () => {
 
       const operation = openAPISpec.paths['/test/{id}'].post;
 
-      expect(operation.parameters).toHaveLength(4); // 1 path + 2 query + 1 header
+      expect(operation.parameters).toHaveLength(2); // 1 path + 1 header
 
       const pathParam = operation.parameters.find(p => p.name === 'id');
-      const queryParam = operation.parameters.find(p => p.name === 'query_param');
-      const optionalParam = operation.parameters.find(p => p.name === 'optional_param');
       const headerParam = operation.parameters.find(p => p.name === 'X-Custom-Header');
+      const bodySchema = operation.requestBody.content['application/json'].schema;
 
       expect(pathParam.in).toBe('path');
       expect(pathParam.required).toBe(true);
 
-      expect(queryParam.in).toBe('query');
-      expect(queryParam.required).toBe(true);
-
-      expect(optionalParam.in).toBe('query');
-      expect(optionalParam.required).toBe(false);
+      expect(bodySchema.properties.query_param.type).toBe('string');
+      expect(bodySchema.properties.optional_param.type).toBe('integer');
+      expect(bodySchema.required).toEqual(['query_param']);
 
       expect(headerParam.in).toBe('header');
       expect(headerParam.required).toBe(false);
@@ -614,6 +932,85 @@ describe('NitradoAPIConverter', () => {
     });
   });
 
+  describe('nested field names', () => {
+    const contactParams = [
+      { field: 'contact[email]', type: 'String', optional: false, description: 'Email' },
+      { field: 'contact[fax]', type: 'String', optional: true, description: 'Fax' },
+      { field: 'contact.address.city', type: 'String', optional: false, description: 'City' },
+      { field: 'tags[]', type: 'String', optional: true, description: 'Tags' }
+    ];
+
+    it('should parse bracket and dot notation into path segments', () => {
+      expect(converter.parseFieldPath('contact[first_name]')).toEqual(['contact', 'first_name']);
+      expect(converter.parseFieldPath('contact.address.city')).toEqual(['contact', 'address', 'city']);
+      expect(converter.parseFieldPath('a[b].c')).toEqual(['a', 'b', 'c']);
+      expect(converter.parseFieldPath('tags[]')).toEqual(['tags', '']);
+      expect(converter.parseFieldPath('plain')).toEqual(['plain']);
+    });
+
+    it('should build nested request body schemas with propagated required flags', () => {
+      const { properties, required } = converter.buildRequestBodySchema(contactParams);
+
+      expect(required).toEqual(['contact']);
+      expect(properties.contact.type).toBe('object');
+      expect(properties.contact.required).toEqual(['email', 'address']);
+      expect(properties.contact.properties.email).toEqual({ type: 'string', description: 'Email' });
+      expect(properties.contact.properties.fax).toEqual({ type: 'string', description: 'Fax' });
+      expect(properties.contact.properties.address).toEqual({
+        type: 'object',
+        properties: { city: { type: 'string', description: 'City' } },
+        required: ['city']
+      });
+      expect(properties.tags).toEqual({ type: 'array', items: { type: 'string' }, description: 'Tags' });
+    });
+
+    it('should keep the description of an explicitly documented parent field', () => {
+      const { properties } = converter.buildRequestBodySchema([
+        { field: 'contact', type: 'Object', optional: true, description: 'Contact data' },
+        { field: 'contact[email]', type: 'String', optional: true, description: 'Email' }
+      ]);
+
+      expect(properties.contact.description).toBe('Contact data');
+      expect(properties.contact.properties.email).toBeDefined();
+      expect(properties.contact.required).toBeUndefined();
+    });
+
+    it('should keep a parent documented as optional optional when one of its fields is required', () => {
+      const { properties, required } = converter.buildRequestBodySchema([
+        { field: 'contact.email', type: 'String', optional: false, description: 'Email' },
+        { field: 'contact', type: 'Object', optional: true, description: 'Contact data' },
+        { field: 'address.city', type: 'String', optional: false, description: 'City' }
+      ]);
+
+      expect(required).toEqual(['address']);
+      expect(properties.contact.required).toEqual(['email']);
+    });
+
+    it('should emit nested query parameters as deepObject', () => {
+      const endpoint = {
+        url: '/domain/contact',
+        type: 'get',
+        parameter: { fields: { Parameter: contactParams.slice(0, 2) } }
+      };
+
+      const params = converter.extractQueryParameters(endpoint);
+
+      expect(params).toHaveLength(1);
+      expect(params[0]).toMatchObject({
+        name: 'contact',
+        in: 'query',
+        required: true,
+        style: 'deepObject',
+        explode: true,
+        schema: {
+          type: 'object',
+          required: ['email']
+        }
+      });
+      expect(Object.keys(params[0].schema.properties)).toEqual(['email', 'fax']);
+    });
+  });
+
   describe('addResponses', () => {
     let operation;
 
@@ -632,15 +1029,12 @@ describe('NitradoAPIConverter', () => {
       expect(operation.responses['200'].description).toBe('Successful operation');
     });
 
-    it('should add common error responses', () => {
+    it('should not invent undocumented error responses', () => {
       const endpoint = { url: '/test' };
 
       converter.addResponses(endpoint, operation);
 
-      expect(operation.responses['401']).toBeDefined();
-      expect(operation.responses['403']).toBeDefined();
-      expect(operation.responses['404']).toBeDefined();
-      expect(operation.responses['500']).toBeDefined();
+      expect(Object.keys(operation.responses)).toEqual(['200']);
     });
 
     it('should add error response for endpoints with error fields', () => {
@@ -661,7 +1055,124 @@ describe('NitradoAPIConverter', () => {
       converter.addResponses(endpoint, operation);
 
       expect(operation.responses['400']).toBeDefined();
-      expect(operation.responses['400'].description).toBe('Bad Request');
+      expect(operation.responses['400'].description).toBe('Bad request');
+      expect(operation.responses['400'].content['application/json'].schema).toEqual({
+        $ref: '#/components/schemas/Error'
+      });
+    });
+
+    it('should add one response per documented error code', () => {
+      converter.addResponses(sampleApiData.api[1], operation);
+
+      expect(Object.keys(operation.responses)).toEqual(['200', '401']);
+      expect(operation.responses['401'].description).toBe('The provided access token is not valid (anymore).');
+    });
+
+    it('should map named errors to status codes', () => {
+      const endpoint = {
+        url: '/test',
+        error: {
+          fields: {
+            'Error 400': [
+              { field: 'InvalidCodeError', description: '<p>Invalid code</p>' }
+            ],
+            'Error 4xx': [
+              { field: 'ServiceNotFoundError', description: '<p>No such service</p>' },
+              { field: 'SomethingWrong' }
+            ]
+          }
+        }
+      };
+
+      converter.addResponses(endpoint, operation);
+
+      expect(operation.responses['400'].description).toBe('InvalidCodeError: Invalid code\n\nSomethingWrong');
+      expect(operation.responses['404'].description).toBe('ServiceNotFoundError: No such service');
+    });
+
+    it('should add error responses from error examples', () => {
+      const endpoint = {
+        url: '/test',
+        error: {
+          examples: [
+            {
+              title: 'Error-Response',
+              content: 'HTTP/1.1 409 Conflict\n{"status": "error", "message": "User is already activated"}',
+              type: 'json'
+            }
+          ]
+        }
+      };
+
+      converter.addResponses(endpoint, operation);
+
+      expect(operation.responses['409'].description).toBe('Conflict');
+      expect(operation.responses['409'].content['application/json'].examples).toEqual({
+        'Error-Response': { value: { status: 'error', message: 'User is already activated' } }
+      });
+    });
+
+    it('should infer the success schema from the success example', () => {
+      converter.addResponses(sampleApiData.api[0], operation);
+
+      const schema = operation.responses['200'].content['application/json'].schema;
+      expect(schema).toEqual({
+        type: 'object',
+        properties: {
+          status: { type: 'string' },
+          data: {
+            type: 'object',
+            properties: {
+              employee_count: { type: 'integer' }
+            }
+          }
+        }
+      });
+    });
+
+    it('should attach parsed success examples keyed by title', () => {
+      converter.addResponses(sampleApiData.api[0], operation);
+
+      const examples = operation.responses['200'].content['application/json'].examples;
+      expect(examples).toEqual({
+        'Success-Response': {
+          value: {
+            status: 'success',
+            data: { employee_count: 50 }
+          }
+        }
+      });
+    });
+
+    it('should use the status code from the example status line', () => {
+      const endpoint = {
+        url: '/test',
+        success: {
+          examples: [
+            { title: 'Success-Response:', content: 'HTTP/1.1 204 No Content', type: 'json' }
+          ]
+        }
+      };
+
+      converter.addResponses(endpoint, operation);
+
+      expect(operation.responses['200']).toBeUndefined();
+      expect(operation.responses['204']).toEqual({ description: 'Successful operation' });
+    });
+
+    it('should fall back to a generic object schema for unparseable examples', () => {
+      const endpoint = {
+        url: '/test',
+        success: {
+          examples: [
+            { title: 'Success-Response', content: 'HTTP/1.1 200 OK\n{ status: success }', type: 'json' }
+          ]
+        }
+      };
+
+      converter.addResponses(endpoint, operation);
+
+      expect(operation.responses['200'].content['application/json'].schema).toEqual({ type: 'object' });
     });
 
     it('should override default success response with custom fields', () => {
@@ -687,13 +1198,45 @@ describe('NitradoAPIConverter', () => {
     });
   });
 
+  describe('parseDefaultValue', () => {
+    it('should coerce apiDoc default values to the schema type', () => {
+      expect(converter.parseDefaultValue('3600', 'string')).toBe('3600');
+      expect(converter.parseDefaultValue('0', 'integer')).toBe(0);
+      expect(converter.parseDefaultValue('TRUE', 'boolean')).toBe(true);
+    });
+
+    it('should drop defaults that do not fit the type', () => {
+      expect(converter.parseDefaultValue('unlimited', 'integer')).toBeUndefined();
+      expect(converter.parseDefaultValue('', 'string')).toBeUndefined();
+      expect(converter.parseDefaultValue('[]', 'array')).toBeUndefined();
+    });
+
+    it('should add documented defaults to parameter schemas', () => {
+      const [param] = converter.extractQueryParameters({
+        type: 'get',
+        url: '/domain/:domain/records',
+        parameter: { fields: { Parameter: [{ field: 'ttl', type: 'String', optional: true, defaultValue: '3600' }] } }
+      });
+
+      expect(param.schema).toEqual({ type: 'string', default: '3600' });
+    });
+
+    it('should turn documented allowed values into enums', () => {
+      expect(converter.buildFieldSchema({ type: 'String', allowedValues: ['"started"', '"stopped"'] }))
+        .toEqual({ type: 'string', enum: ['started', 'stopped'] });
+      expect(converter.buildFieldSchema({ type: 'Integer', allowedValues: ['1', '2'], defaultValue: '1' }))
+        .toEqual({ type: 'integer', enum: [1, 2], default: 1 });
+      expect(converter.buildFieldSchema({ type: 'Integer', allowedValues: ['1..10'] })).toEqual({ type: 'integer' });
+    });
+  });
+
   describe('saveAsJSON', () => {
     it('should save data to JSON file', async () => {
       const testData = { test: 'data' };
 
       await converter.saveAsJSON(testData, 'test.json');
 
-      expect(fs.mkdir).toHaveBeenCalledWith('./output', { recursive: true });
+      expect(fs.mkdir).toHaveBeenCalledWith(path.join('./output'), { recursive: true });
       expect(fs.writeFile).toHaveBeenCalledWith(
         path.join('./output', 'test.json'),
         JSON.stringify(testData, null, 2)
@@ -725,6 +1268,426 @@ describe('NitradoAPIConverter', () => {
     });
   });
 
+  describe('output formats', () => {
+    beforeEach(() => {
+      fs.mkdir.mockResolvedValue();
+      fs.writeFile.mockResolvedValue();
+    });
+
+    it('should write YAML only when configured', async () => {
+      converter = new NitradoAPIConverter({ ...converter.config, outputFormat: 'yaml', versioning: 'fixed' });
+      converter.apiData = sampleApiData;
+
+      const filePaths = await converter.convertAndSaveOpenAPI();
+
+      expect(filePaths).toEqual([path.join('./output', 'nitrado-openapi.yaml')]);
+      expect(fs.writeFile).toHaveBeenCalledWith(
+        path.join('./output', 'nitrado-openapi.yaml'),
+        expect.stringMatching(/^openapi: 3\.1\.1\ninfo:\n/)
+      );
+    });
+
+    it('should write JSON and YAML for both', async () => {
+      converter = new NitradoAPIConverter({ ...converter.config, outputFormat: 'both', versioning: 'fixed' });
+      converter.apiData = sampleApiData;
+
+      const filePaths = await converter.convertAndSaveOpenAPI();
+
+      expect(filePaths).toEqual([
+        path.join('./output', 'nitrado-openapi.json'),
+        path.join('./output', 'nitrado-openapi.yaml')
+      ]);
+    });
+
+    it('should version YAML output against the previous YAML file', async () => {
+      converter = new NitradoAPIConverter({ ...converter.config, outputFormat: 'yaml' });
+      fs.readFile.mockResolvedValue('openapi: 3.1.1\ninfo:\n  title: Nitrado API\n  version: 1.2.0\npaths: {}\n');
+      converter.apiData = sampleApiData;
+      const openAPISpec = converter.convertToOpenAPI();
+
+      await converter.applyVersioning(openAPISpec);
+
+      expect(fs.readFile).toHaveBeenCalledWith(path.join('./output', 'nitrado-openapi.yaml'), 'utf8');
+      expect(openAPISpec.info.version).toBe('1.3.0');
+    });
+
+    it('should reject unknown output formats', () => {
+      expect(() => new NitradoAPIConverter({ outputFormat: 'xml' })).toThrow('Invalid output format "xml"');
+    });
+  });
+
+  describe('output targets', () => {
+    beforeEach(() => {
+      fs.mkdir.mockResolvedValue();
+      fs.writeFile.mockResolvedValue();
+    });
+
+    it('should write an OpenAPI 3.0.3 variant next to the 3.1 spec', async () => {
+      converter = new NitradoAPIConverter({ ...converter.config, targets: 'openapi-3.0', versioning: 'fixed' });
+      converter.apiData = sampleApiData;
+
+      await converter.convertAndSaveOpenAPI();
+
+      const [, content] = fs.writeFile.mock.calls.find(([filePath]) => filePath.endsWith('nitrado-openapi-3.0.json'));
+      expect(JSON.parse(content).openapi).toBe('3.0.3');
+      expect(converter.openAPISpec.openapi).toBe('3.1.1');
+    });
+
+    it('should report constructs that cannot be represented', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      converter = new NitradoAPIConverter({ ...converter.config, targets: ['openapi-3.0'] });
+
+      await converter.saveOpenAPI30({
+        openapi: '3.1.1',
+        info: { title: 'Test', version: '1.0.0' },
+        paths: {},
+        webhooks: { ping: {} }
+      });
+
+      expect(warnSpy).toHaveBeenCalledWith('⚠️  1 construct(s) could not be represented in OpenAPI 3.0.3');
+      warnSpy.mockRestore();
+    });
+
+    it('should export a Postman collection', async () => {
+      converter = new NitradoAPIConverter({ ...converter.config, targets: 'postman', versioning: 'fixed' });
+      converter.apiData = sampleApiData;
+
+      await converter.convertAndSaveOpenAPI();
+
+      const [, content] = fs.writeFile.mock.calls.find(([filePath]) => filePath.endsWith('nitrado-postman-collection.json'));
+      expect(JSON.parse(content).item.map(folder => folder.name)).toEqual(['Company', 'Domain', 'Game_Minecraft']);
+    });
+
+    it('should write the TypeScript SDK package under sdk-ts', async () => {
+      converter = new NitradoAPIConverter({ ...converter.config, targets: 'sdk-ts', versioning: 'fixed' });
+      converter.apiData = sampleApiData;
+
+      await converter.convertAndSaveOpenAPI();
+
+      const writtenFiles = fs.writeFile.mock.calls.map(([filePath]) => filePath);
+      expect(writtenFiles).toContain(path.join('./output', 'sdk-ts', 'package.json'));
+      expect(writtenFiles).toContain(path.join('./output', 'sdk-ts', 'src', 'client.ts'));
+      expect(fs.mkdir).toHaveBeenCalledWith(path.join('./output', 'sdk-ts', 'src'), { recursive: true });
+    });
+
+    it('should reject unknown targets', () => {
+      expect(() => new NitradoAPIConverter({ targets: ['wsdl'] })).toThrow('Invalid output target "wsdl"');
+    });
+  });
+
+  describe('versioning', () => {
+    const previousSpec = (paths) => JSON.stringify({ openapi: '3.1.1', info: { title: 'Nitrado API', version: '1.2.0' }, paths });
+
+    beforeEach(() => {
+      converter.apiData = sampleApiData;
+    });
+
+    it('should bump the version against the previous output', async () => {
+      fs.readFile.mockResolvedValue(previousSpec({}));
+      const openAPISpec = converter.convertToOpenAPI();
+
+      await converter.applyVersioning(openAPISpec);
+
+      expect(fs.readFile).toHaveBeenCalledWith(path.join('./output', 'nitrado-openapi.json'), 'utf8');
+      expect(openAPISpec.info.version).toBe('1.3.0');
+      expect(openAPISpec.info['x-nitrado-versioning']).toMatchObject({ previousVersion: '1.2.0', bump: 'minor' });
+    });
+
+    it('should use the configured version without previous output', async () => {
+      fs.readFile.mockRejectedValue(Object.assign(new Error('missing'), { code: 'ENOENT' }));
+      const openAPISpec = converter.convertToOpenAPI();
+
+      await converter.applyVersioning(openAPISpec);
+
+      expect(openAPISpec.info.version).toBe('1.0.0');
+      expect(openAPISpec.info['x-nitrado-versioning'].reason).toBe('No previous output; using the configured version');
+    });
+
+    it('should keep the configured version in fixed mode', async () => {
+      converter = new NitradoAPIConverter({ ...converter.config, versioning: 'fixed' });
+      converter.apiData = sampleApiData;
+      const openAPISpec = converter.convertToOpenAPI();
+
+      await converter.applyVersioning(openAPISpec);
+
+      expect(fs.readFile).not.toHaveBeenCalled();
+      expect(openAPISpec.info.version).toBe('1.0.0');
+      expect(openAPISpec.info['x-nitrado-versioning']).toBeUndefined();
+    });
+
+    it('should reject unknown versioning modes', () => {
+      expect(() => new NitradoAPIConverter({ versioning: 'calendar' })).toThrow('Invalid versioning mode "calendar"');
+    });
+  });
+
+  describe('operationId lock', () => {
+    const lockPath = path.join('./output', 'operation-ids.lock.json');
+
+    beforeEach(() => {
+      converter = new NitradoAPIConverter({ ...converter.config, versioning: 'fixed' });
+      converter.apiData = sampleApiData;
+    });
+
+    it('should keep locked operationIds and give new operations fresh ones', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      fs.readFile.mockResolvedValue(JSON.stringify({
+        'GET /company/stats': 'GetCompanyStats',
+        'POST /domain/{domain}/service': 'GameMinecraftServicesIdGameserversGamesMinecraftDetails',
+        'GET /removed': 'Removed'
+      }));
+
+      await converter.convertAndSaveOpenAPI();
+
+      const { paths } = converter.openAPISpec;
+      expect(fs.readFile).toHaveBeenCalledWith(lockPath, 'utf8');
+      expect(paths['/company/stats'].get.operationId).toBe('GetCompanyStats');
+      expect(paths['/domain/{domain}/service'].post.operationId).toBe('GameMinecraftServicesIdGameserversGamesMinecraftDetails');
+      expect(paths['/services/{id}/gameservers/games/minecraft'].get.operationId).toBe('GameMinecraftServicesIdGameserversGamesMinecraftDetails2');
+      expect(warnSpy).toHaveBeenCalledWith('⚠️  1 locked operation(s) no longer exist:');
+      expect(warnSpy).toHaveBeenCalledWith('   GET /removed (Removed)');
+      warnSpy.mockRestore();
+    });
+
+    it('should seed the lock from the previous spec when there is no lock file', async () => {
+      converter = new NitradoAPIConverter({ ...converter.config, operationIdStrategy: 'auto-compact' });
+      converter.apiData = sampleApiData;
+      const previousSpec = {
+        openapi: '3.1.1',
+        info: { title: 'Nitrado API', version: '1.0.0' },
+        paths: { '/company/stats': { get: { operationId: 'CompanyCompanyStatsGetStats' } } }
+      };
+      fs.readFile.mockImplementation(async filePath => {
+        if (filePath === path.join('./output', 'nitrado-openapi.json')) {
+          return JSON.stringify(previousSpec);
+        }
+        throw Object.assign(new Error('missing'), { code: 'ENOENT' });
+      });
+
+      await converter.convertAndSaveOpenAPI();
+
+      const { paths } = converter.openAPISpec;
+      const [, content] = fs.writeFile.mock.calls.find(([filePath]) => filePath === lockPath);
+      expect(paths['/company/stats'].get.operationId).toBe('CompanyCompanyStatsGetStats');
+      expect(paths['/domain/{domain}/service'].post.operationId).toBe('DomainServiceAddtoService');
+      expect(JSON.parse(content)['GET /company/stats']).toBe('CompanyCompanyStatsGetStats');
+    });
+
+    it('should persist the assigned operationIds sorted by method and path', async () => {
+      await converter.convertAndSaveOpenAPI();
+
+      const [, content] = fs.writeFile.mock.calls.find(([filePath]) => filePath === lockPath);
+      expect(JSON.parse(content)).toEqual({
+        'GET /company/stats': 'CompanyCompanyStatsGetStats',
+        'GET /services/{id}/gameservers/games/minecraft': 'GameMinecraftServicesIdGameserversGamesMinecraftDetails',
+        'POST /domain/{domain}/service': 'DomainDomainDomainServiceAddtoService'
+      });
+      expect(Object.keys(JSON.parse(content))).toEqual([
+        'GET /company/stats',
+        'GET /services/{id}/gameservers/games/minecraft',
+        'POST /domain/{domain}/service'
+      ]);
+    });
+
+    it('should lock the operationIds set by overrides and keep later operations from reusing them', async () => {
+      converter = new NitradoAPIConverter({ ...converter.config, overrides: 'overrides.yaml' });
+      converter.apiData = sampleApiData;
+      fs.readFile.mockImplementation(async filePath => {
+        if (filePath === 'overrides.yaml') {
+          return [
+            'overrides:',
+            '  - match: { method: GET, url: /company/stats }',
+            '    merge: { operationId: GameMinecraftServicesIdGameserversGamesMinecraftDetails }'
+          ].join('\n');
+        }
+        throw Object.assign(new Error('missing'), { code: 'ENOENT' });
+      });
+
+      await converter.convertAndSaveOpenAPI();
+
+      const [, content] = fs.writeFile.mock.calls.find(([filePath]) => filePath === lockPath);
+      expect(JSON.parse(content)).toMatchObject({
+        'GET /company/stats': 'GameMinecraftServicesIdGameserversGamesMinecraftDetails',
+        'GET /services/{id}/gameservers/games/minecraft': 'GameMinecraftServicesIdGameserversGamesMinecraftDetails2'
+      });
+    });
+
+    it('should reject overrides that set an operationId already in use', async () => {
+      converter = new NitradoAPIConverter({ ...converter.config, overrides: 'overrides.yaml' });
+      converter.apiData = sampleApiData;
+      fs.readFile.mockImplementation(async filePath => {
+        if (filePath === 'overrides.yaml') {
+          return [
+            'overrides:',
+            '  - match: { method: GET, url: /services/:id/gameservers/games/minecraft }',
+            '    merge: { operationId: GetCompanyStats }'
+          ].join('\n');
+        }
+        if (filePath === lockPath) {
+          return JSON.stringify({ 'GET /company/stats': 'GetCompanyStats' });
+        }
+        throw Object.assign(new Error('missing'), { code: 'ENOENT' });
+      });
+
+      await expect(converter.convertAndSaveOpenAPI()).rejects.toThrow(
+        'Override sets operationId "GetCompanyStats" for GET /services/{id}/gameservers/games/minecraft, but it is already used by another operation'
+      );
+    });
+
+    it('should reject lock files mapping two operations to the same operationId', async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify({ 'GET /company/stats': 'GetStats', 'GET /removed': 'GetStats' }));
+
+      await expect(converter.loadOperationIdLock()).rejects.toThrow(
+        `Invalid operationId lock file ${lockPath}: GET /company/stats and GET /removed both map to "GetStats"`
+      );
+    });
+
+    it('should reject invalid lock files', async () => {
+      fs.readFile.mockResolvedValue('["GetCompanyStats"]');
+
+      await expect(converter.loadOperationIdLock()).rejects.toThrow(
+        `Invalid operationId lock file ${lockPath}: expected an object mapping "METHOD /path" to operationIds`
+      );
+    });
+  });
+
+  describe('overrides', () => {
+    const overridesYaml = [
+      'overrides:',
+      '  - match: { method: POST, url: /domain/:domain/service }',
+      '    target: endpoint',
+      '    merge: { group: Domains }',
+      '    replace:',
+      '      /parameter/fields/Parameter/service_id/optional: true',
+      '  - match: { operationId: CompanyCompanyStatsGetStats }',
+      '    merge: { deprecated: true }',
+      '  - match: { group: Removed }',
+      '    delete: [/summary]'
+    ].join('\n');
+
+    beforeEach(() => {
+      converter = new NitradoAPIConverter({ ...converter.config, overrides: 'overrides.yaml', versioning: 'fixed' });
+      converter.apiData = sampleApiData;
+      fs.readFile.mockImplementation(async filePath => {
+        if (filePath === 'overrides.yaml') {
+          return overridesYaml;
+        }
+        throw Object.assign(new Error('missing'), { code: 'ENOENT' });
+      });
+    });
+
+    it('should patch raw endpoints and converted operations', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      await converter.convertAndSaveOpenAPI();
+
+      const { paths } = converter.openAPISpec;
+      const serviceOperation = paths['/domain/{domain}/service'].post;
+      expect(fs.readFile).toHaveBeenCalledWith('overrides.yaml', 'utf8');
+      expect(serviceOperation.tags).toEqual(['Domains']);
+      expect(serviceOperation.requestBody.content['application/json'].schema.required).toBeUndefined();
+      expect(paths['/company/stats'].get.deprecated).toBe(true);
+      expect(sampleApiData.api[1].group).toBe('Domain');
+      warnSpy.mockRestore();
+    });
+
+    it('should match endpoint overrides written against the upstream apiDoc URL', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      converter.apiData = {
+        api: [
+          ...sampleApiData.api,
+          { type: 'get', url: '/services/:service_id/gameservers/games/atlas/maps', name: 'Maps', group: 'Game_Atlas' }
+        ]
+      };
+      fs.readFile.mockImplementation(async filePath => {
+        if (filePath === 'overrides.yaml') {
+          return [
+            'overrides:',
+            '  - match: { method: GET, url: /services/:service_id/gameservers/games/atlas/maps }',
+            '    target: endpoint',
+            '    merge: { title: Atlas maps }'
+          ].join('\n');
+        }
+        throw Object.assign(new Error('missing'), { code: 'ENOENT' });
+      });
+
+      await converter.convertAndSaveOpenAPI();
+
+      expect(converter.openAPISpec.paths['/services/{id}/gameservers/games/atlas/maps'].get.summary).toBe('Atlas maps');
+      expect(warnSpy).not.toHaveBeenCalledWith(expect.stringContaining('no longer match anything'));
+      warnSpy.mockRestore();
+    });
+
+    it('should report overrides that no longer match anything', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      await converter.convertAndSaveOpenAPI();
+
+      expect(warnSpy).toHaveBeenCalledWith('⚠️  1 override(s) no longer match anything:');
+      expect(warnSpy).toHaveBeenCalledWith('   #3 (group Removed)');
+      warnSpy.mockRestore();
+    });
+
+    it('should not read an overrides file unless one is configured', async () => {
+      converter = new NitradoAPIConverter({ versioning: 'fixed' });
+
+      expect(await converter.loadOverrides()).toBeNull();
+      expect(fs.readFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('dry run', () => {
+    beforeEach(() => {
+      converter = new NitradoAPIConverter({ ...converter.config, dryRun: true });
+    });
+
+    it('should record planned files instead of writing them', async () => {
+      fs.readFile.mockRejectedValue(Object.assign(new Error('missing'), { code: 'ENOENT' }));
+
+      await converter.saveAsJSON({ test: 'data' }, 'test.json');
+
+      expect(fs.mkdir).not.toHaveBeenCalled();
+      expect(fs.writeFile).not.toHaveBeenCalled();
+      expect(converter.dryRunPlan.entries).toEqual([
+        expect.objectContaining({ filePath: path.join('./output', 'test.json'), status: 'create' })
+      ]);
+    });
+
+    it('should print the plan at the end of a run', async () => {
+      nock('https://doc.nitrado.net')
+        .get('/api_data.js?v=1752345280167')
+        .reply(200, sampleRawApiResponse);
+      fs.readFile.mockResolvedValue('{}');
+
+      await converter.run();
+
+      expect(fs.writeFile).not.toHaveBeenCalled();
+      expect(converter.dryRunPlan.entries.map(entry => entry.status)).toEqual(['update', 'update', 'update', 'update']);
+      expect(consoleLogSpy).toHaveBeenCalledWith('🧪 Dry run plan - no files were written:');
+    });
+  });
+
+  describe('log levels', () => {
+    it('should suppress progress messages at quiet level', async () => {
+      converter = new NitradoAPIConverter({ ...converter.config, logLevel: 'quiet' });
+      fs.mkdir.mockResolvedValue();
+      fs.writeFile.mockResolvedValue();
+
+      await converter.saveAsJSON({ test: 'data' }, 'test.json');
+
+      expect(consoleLogSpy).not.toHaveBeenCalled();
+    });
+
+    it('should map the legacy verbose flag to the verbose level', () => {
+      converter = new NitradoAPIConverter({ ...converter.config, verbose: true });
+
+      expect(converter.logger.level).toBe('verbose');
+    });
+
+    it('should reject unknown log levels', () => {
+      expect(() => new NitradoAPIConverter({ logLevel: 'loud' })).toThrow('Invalid log level "loud"');
+    });
+  });
+
   describe('integration tests', () => {
     it('should handle a complete conversion workflow', async () => {
       // Mock the API call
@@ -766,8 +1729,8 @@ describe('NitradoAPIConverter', () => {
       await converter.run();
 
       // Verify file operations were called
-      expect(fs.mkdir).toHaveBeenCalledWith('./output', { recursive: true });
-      expect(fs.writeFile).toHaveBeenCalledTimes(2); // Once for API data, once for OpenAPI
+      expect(fs.mkdir).toHaveBeenCalledWith(path.join('./output'), { recursive: true });
+      expect(fs.writeFile).toHaveBeenCalledTimes(4); // API data, OpenAPI spec, type declarations and operationId lock
     });
 
     it('should handle network failures gracefully', async () => {
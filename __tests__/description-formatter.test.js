@@ -0,0 +1,120 @@
+const {
+  decodeEntities,
+  htmlToText,
+  htmlToMarkdown,
+  formatDescription
+} = require('../description-formatter');
+
+describe('Description Formatter', () => {
+  describe('decodeEntities', () => {
+    it('should decode named and numeric entities', () => {
+      expect(decodeEntities('a &amp; b &lt;c&gt; &quot;d&#34; &#x41;')).toBe('a & b <c> "d" A');
+    });
+
+    it('should leave unknown entities untouched', () => {
+      expect(decodeEntities('&unknown;')).toBe('&unknown;');
+    });
+
+    it('should keep numeric entities that are no valid code points', () => {
+      expect(decodeEntities('&#x110000; &#55357; &#99999999999999999999; &#x1F600;')).toBe('&#x110000; &#55357; &#99999999999999999999; 😀');
+    });
+  });
+
+  describe('htmlToText', () => {
+    it('should strip paragraph tags', () => {
+      expect(htmlToText('<p>The users uuid.</p>')).toBe('The users uuid.');
+    });
+
+    it('should keep line structure for paragraphs, breaks and lists', () => {
+      const html = '<p>First</p><p>Second<br>line</p><ul><li>one</li><li>two</li></ul>';
+
+      expect(htmlToText(html)).toBe('First\nSecond\nline\n- one\n- two');
+    });
+
+    it('should handle empty input', () => {
+      expect(htmlToText('')).toBe('');
+      expect(htmlToText(undefined)).toBe('');
+    });
+  });
+
+  describe('htmlToMarkdown', () => {
+    it('should convert paragraphs to separate blocks', () => {
+      expect(htmlToMarkdown('<p>The users uuid.</p> <p>Second paragraph.</p>'))
+        .toBe('The users uuid.\n\nSecond paragraph.');
+    });
+
+    it('should convert inline code, emphasis and links', () => {
+      const html = '<p>Use <code>refresh_token</code> with <strong>care</strong>, see <a href="https://doc.nitrado.net">the docs</a> or <em>ask</em>.</p>';
+
+      expect(htmlToMarkdown(html))
+        .toBe('Use `refresh_token` with **care**, see [the docs](https://doc.nitrado.net) or *ask*.');
+    });
+
+    it('should convert unordered, ordered and nested lists', () => {
+      const html = '<ul><li><code>user_info</code>: basic info</li><li>service<ul><li>nested</li></ul></li></ul><ol><li>first</li><li>second</li></ol>';
+
+      expect(htmlToMarkdown(html)).toBe([
+        '- `user_info`: basic info',
+        '- service',
+        '  - nested',
+        '',
+        '1. first',
+        '2. second'
+      ].join('\n'));
+    });
+
+    it('should convert tables to pipe tables', () => {
+      const html = '<h3>Status codes</h3> <table> <tr><th>Status</th><th>Description</th></tr> <tr><td>started</td><td>Up | running</td></tr> </table>';
+
+      expect(htmlToMarkdown(html)).toBe([
+        '### Status codes',
+        '',
+        '| Status | Description |',
+        '| --- | --- |',
+        '| started | Up \\| running |'
+      ].join('\n'));
+    });
+
+    it('should convert preformatted blocks to fenced code', () => {
+      expect(htmlToMarkdown('<pre><code class="language-json">{"a": 1}</code></pre>'))
+        .toBe('```json\n{"a": 1}\n```');
+    });
+
+    it('should decode entities and escape markdown characters', () => {
+      expect(htmlToMarkdown('<p>&quot;login&quot; with *stars* and &lt;id&gt; but keep game_short</p>'))
+        .toBe('"login" with \\*stars\\* and \\<id> but keep game_short');
+    });
+
+    it('should escape heading, list and quote markers at the start of a line', () => {
+      expect(htmlToMarkdown('<p>1. Stop the server<br>2) Start it</p><p># of slots</p><p>- not a list</p><p>&gt; not a quote</p>'))
+        .toBe('1\\. Stop the server\\\n2\\) Start it\n\n\\# of slots\n\n\\- not a list\n\n\\> not a quote');
+      expect(htmlToMarkdown('<p>Costs 1. Euro - #1 > all</p>')).toBe('Costs 1. Euro - #1 > all');
+    });
+
+    it('should escape setext underlines and thematic breaks', () => {
+      expect(htmlToMarkdown('<p>Title<br>---</p><p>Title<br>===</p>')).toBe('Title\\\n\\---\n\nTitle\\\n\\===');
+      expect(htmlToMarkdown('<p>***</p><p>___</p><p>- - -</p>')).toBe('\\*\\*\\*\n\n\\__\\_\n\n\\- - -');
+      expect(htmlToMarkdown('<p>-- or == are text</p>')).toBe('-- or == are text');
+    });
+
+    it('should percent-encode parentheses and spaces in link destinations', () => {
+      expect(htmlToMarkdown('<a href="https://doc.nitrado.net/a_(b) c">the docs</a>'))
+        .toBe('[the docs](https://doc.nitrado.net/a_%28b%29%20c)');
+    });
+
+    it('should tolerate unclosed and stray tags', () => {
+      expect(htmlToMarkdown('<p>Open <b>bold</p></td> text')).toBe('Open **bold**\n\ntext');
+    });
+  });
+
+  describe('formatDescription', () => {
+    it('should format descriptions in the requested format', () => {
+      const html = '<p>The <code>id</code> of the service.</p>';
+
+      expect(formatDescription(html, 'html')).toBe(html);
+      expect(formatDescription(html, 'markdown')).toBe('The `id` of the service.');
+      expect(formatDescription(html, 'text')).toBe('The id of the service.');
+      expect(formatDescription(undefined, 'markdown')).toBe('');
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const fs = require('fs').promises;
+const DryRunPlan = require('../dry-run-plan');
+
+jest.mock('fs', () => ({
+  promises: {
+    readFile: jest.fn()
+  }
+}));
+
+describe('DryRunPlan', () => {
+  let plan;
+
+  beforeEach(() => {
+    plan = new DryRunPlan();
+    jest.clearAllMocks();
+  });
+
+  describe('addFile', () => {
+    it('should mark missing files as created', async () => {
+      fs.readFile.mockRejectedValue(Object.assign(new Error('missing'), { code: 'ENOENT' }));
+
+      const entry = await plan.addFile('output/a.json', 'one\ntwo');
+
+      expect(entry).toMatchObject({ status: 'create', bytes: 7, previousBytes: null, added: 2, removed: 0 });
+    });
+
+    it('should count added and removed lines against the existing file', async () => {
+      fs.readFile.mockResolvedValue('one\ntwo\nthree');
+
+      const entry = await plan.addFile('output/a.json', 'one\nthree\nfour');
+
+      expect(entry).toMatchObject({
+        status: 'update',
+        added: 1,
+        removed: 1,
+        addedPreview: ['four'],
+        removedPreview: ['two']
+      });
+    });
+
+    it('should count moved lines as removed and added', async () => {
+      fs.readFile.mockResolvedValue('one\ntwo\nthree');
+
+      const entry = await plan.addFile('output/a.json', 'three\none\ntwo');
+
+      expect(entry).toMatchObject({
+        status: 'update',
+        added: 1,
+        removed: 1,
+        addedPreview: ['three'],
+        removedPreview: ['three']
+      });
+    });
+
+    it('should mark identical files as unchanged', async () => {
+      fs.readFile.mockResolvedValue('same');
+
+      const entry = await plan.addFile('output/a.json', 'same');
+
+      expect(entry).toMatchObject({ status: 'unchanged', added: 0, removed: 0 });
+    });
+
+    it('should rethrow unexpected read errors', async () => {
+      fs.readFile.mockRejectedValue(Object.assign(new Error('denied'), { code: 'EACCES' }));
+
+      await expect(plan.addFile('output/a.json', '')).rejects.toThrow('denied');
+    });
+  });
+
+  describe('print', () => {
+    it('should list planned files with size changes', async () => {
+      const logger = { result: jest.fn(), verbose: jest.fn() };
+      fs.readFile.mockResolvedValue('old');
+      await plan.addFile('output/a.json', 'new line');
+
+      plan.print(logger);
+
+      expect(logger.result).toHaveBeenCalledWith('  - update    output/a.json (8 bytes, +5 bytes)');
+      expect(logger.result).toHaveBeenCalledWith('      +1 / -1 lines');
+      expect(logger.verbose).toHaveBeenCalledWith('      + new line');
+    });
+
+    it('should report an empty plan', () => {
+      const logger = { result: jest.fn(), verbose: jest.fn() };
+
+      plan.print(logger);
+
+      expect(logger.result).toHaveBeenCalledWith('  (nothing would be written)');
+    });
+  });
+});
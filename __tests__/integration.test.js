@@ -22,6 +22,8 @@ describe('Integration Tests', () => {
     converter = new NitradoAPIConverter();
     jest.clearAllMocks();
     nock.cleanAll();
+    // No previous output to version against unless a test provides one
+    fs.readFile.mockRejectedValue(Object.assign(new Error('ENOENT: no such file or directory'), { code: 'ENOENT' }));
     consoleLogSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
   });
 
@@ -48,8 +50,8 @@ describe('Integration Tests', () => {
       expect(nock.isDone()).toBe(true);
 
       // Verify filesystem operations
-      expect(fs.mkdir).toHaveBeenCalledWith('./output', { recursive: true });
-      expect(fs.writeFile).toHaveBeenCalledTimes(2);
+      expect(fs.mkdir).toHaveBeenCalledWith(path.join('./output'), { recursive: true });
+      expect(fs.writeFile).toHaveBeenCalledTimes(4);
 
       // Verify raw API data was saved
       const rawDataCall = fs.writeFile.mock.calls.find(call =>
@@ -65,6 +67,20 @@ describe('Integration Tests', () => {
       expect(openApiCall).toBeDefined();
       expect(openApiCall[1]).toContain('"openapi": "3.1.1"');
 
+      // Verify type declarations were saved
+      const declarationsCall = fs.writeFile.mock.calls.find(call =>
+        call[0].includes('nitrado-types.d.ts')
+      );
+      expect(declarationsCall).toBeDefined();
+      expect(declarationsCall[1]).toContain('export interface Operations {');
+
+      // Verify the operationIds were locked
+      const lockCall = fs.writeFile.mock.calls.find(call =>
+        call[0].includes('operation-ids.lock.json')
+      );
+      expect(lockCall).toBeDefined();
+      expect(JSON.parse(lockCall[1])['GET /company/stats']).toBe('CompanyCompanyStatsGetStats');
+
       // Verify internal state
       expect(converter.apiData).toEqual(sampleApiData);
       expect(converter.usedOperationIds.size).toBeGreaterThan(0);
@@ -385,7 +401,7 @@ describe('Integration Tests', () => {
 
       await converter.run();
 
-      expect(fs.mkdir).toHaveBeenCalledWith('./custom-output', { recursive: true });
+      expect(fs.mkdir).toHaveBeenCalledWith(path.join('./custom-output'), { recursive: true });
       expect(fs.writeFile).toHaveBeenCalledWith(
         path.join('./custom-output', 'nitrado-api.json'),
         expect.any(String)
@@ -0,0 +1,64 @@
+const Logger = require('../logger');
+
+describe('Logger', () => {
+  let logSpy;
+  let errorSpy;
+  let warnSpy;
+
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+    errorSpy.mockRestore();
+    warnSpy.mockRestore();
+  });
+
+  const logAll = (logger) => {
+    logger.error('error');
+    logger.result('result');
+    logger.warn('warn');
+    logger.info('info');
+    logger.verbose('verbose');
+    logger.debug('debug');
+  };
+
+  it('should only print errors and results at quiet level', () => {
+    logAll(new Logger('quiet'));
+
+    expect(errorSpy).toHaveBeenCalledWith('error');
+    expect(warnSpy).not.toHaveBeenCalled();
+    expect(logSpy.mock.calls).toEqual([['result']]);
+  });
+
+  it('should print progress messages at normal level', () => {
+    logAll(new Logger());
+
+    expect(warnSpy).toHaveBeenCalledWith('warn');
+    expect(logSpy.mock.calls).toEqual([['result'], ['info']]);
+  });
+
+  it('should print every message at debug level', () => {
+    logAll(new Logger('DEBUG'));
+
+    expect(logSpy.mock.calls).toEqual([['result'], ['info'], ['verbose'], ['debug']]);
+  });
+
+  it('should reject unknown levels', () => {
+    expect(() => new Logger('loud')).toThrow('Invalid log level "loud". Expected one of: quiet, normal, verbose, debug');
+  });
+
+  describe('resolveLevel', () => {
+    it('should prefer logLevel over the verbose flag', () => {
+      expect(Logger.resolveLevel({ logLevel: 'quiet', verbose: true })).toBe('quiet');
+    });
+
+    it('should map the verbose flag', () => {
+      expect(Logger.resolveLevel({ verbose: true })).toBe('verbose');
+      expect(Logger.resolveLevel({})).toBe('normal');
+    });
+  });
+});
@@ -0,0 +1,199 @@
+const axios = require('axios');
+const { MockServer } = require('../mock-server');
+
+const errorResponse = description => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+const spec = {
+  openapi: '3.1.1',
+  info: { title: 'Test API', version: '1.0.0' },
+  paths: {
+    '/services/{id}/records': {
+      get: {
+        operationId: 'ServicesRecordsList',
+        security: [{ BearerAuth: [] }],
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'integer' } },
+          { name: 'limit', in: 'query', required: true, schema: { type: 'integer' } }
+        ],
+        responses: {
+          200: {
+            description: 'OK',
+            content: {
+              'application/json': {
+                schema: { type: 'object', properties: { status: { type: 'string' } } },
+                examples: { 'Success-Response': { value: { status: 'success', data: { records: [] } } } }
+              }
+            }
+          },
+          401: errorResponse('Unauthorized'),
+          429: {
+            description: 'Too Many Requests',
+            content: { 'application/json': { example: { status: 'error', message: 'Rate limit exceeded' } } }
+          }
+        }
+      },
+      post: {
+        operationId: 'ServicesRecordsCreate',
+        security: [{ BearerAuth: [] }],
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: { type: 'object', required: ['name'], properties: { name: { type: 'string' }, ttl: { type: 'integer' } } }
+            }
+          }
+        },
+        responses: {
+          201: {
+            description: 'Created',
+            content: {
+              'application/json': {
+                schema: { type: 'object', properties: { status: { type: 'string', default: 'success' }, data: { $ref: '#/components/schemas/Record' } } }
+              }
+            }
+          },
+          422: {
+            description: 'Unprocessable Entity',
+            content: { 'application/json': { example: { status: 'error', message: 'Invalid record' } } }
+          }
+        }
+      }
+    },
+    '/services/status': {
+      get: { operationId: 'ServicesStatus', responses: { 204: { description: 'No Content' } } }
+    }
+  },
+  components: {
+    schemas: {
+      Error: { type: 'object', properties: { status: { type: 'string' }, message: { type: 'string' } } },
+      Record: { type: 'object', properties: { id: { type: 'integer', default: 7 }, name: { type: 'string' } } }
+    },
+    securitySchemes: { BearerAuth: { type: 'http', scheme: 'bearer' } }
+  }
+};
+
+const authorized = { authorization: 'Bearer secret' };
+
+describe('mock-server', () => {
+  let server;
+
+  beforeEach(() => {
+    server = new MockServer(spec, { token: 'secret' });
+  });
+
+  describe('handleRequest', () => {
+    it('should answer with the parsed success example', () => {
+      const response = server.handleRequest({ method: 'GET', url: '/services/5/records?limit=10', headers: authorized });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['Content-Type']).toBe('application/json');
+      expect(JSON.parse(response.body)).toEqual({ status: 'success', data: { records: [] } });
+    });
+
+    it('should generate data from the schema when there is no example', () => {
+      const response = server.handleRequest({ method: 'POST', url: '/services/5/records', headers: authorized, body: '{"name":"www"}' });
+
+      expect(response.status).toBe(201);
+      expect(JSON.parse(response.body)).toEqual({ status: 'success', data: { id: 7, name: '' } });
+    });
+
+    it('should answer operations without a response body with an empty body', () => {
+      expect(server.handleRequest({ method: 'GET', url: '/services/status' })).toEqual({ status: 204, headers: {}, body: '' });
+    });
+
+    it('should reject missing or unexpected bearer tokens', () => {
+      const missing = server.handleRequest({ method: 'GET', url: '/services/5/records?limit=10' });
+      const invalid = server.handleRequest({ method: 'GET', url: '/services/5/records?limit=10', headers: { authorization: 'Bearer other' } });
+
+      expect(missing.status).toBe(401);
+      expect(JSON.parse(missing.body)).toEqual({ status: 'error', message: 'Missing bearer token in the Authorization header' });
+      expect(invalid.status).toBe(401);
+      expect(new MockServer(spec).handleRequest({ method: 'GET', url: '/services/5/records?limit=10', headers: { authorization: 'Bearer other' } }).status).toBe(200);
+    });
+
+    it('should accept the access token as query parameter when the security allows it', () => {
+      const querySpec = JSON.parse(JSON.stringify(spec));
+      querySpec.components.securitySchemes.AccessTokenQuery = { type: 'apiKey', in: 'query', name: 'access_token' };
+      querySpec.paths['/services/{id}/records'].get.security.push({ AccessTokenQuery: [] });
+      const queryServer = new MockServer(querySpec, { token: 'secret' });
+
+      const accepted = queryServer.handleRequest({ method: 'GET', url: '/services/5/records?limit=10&access_token=secret' });
+      const missing = queryServer.handleRequest({ method: 'GET', url: '/services/5/records?limit=10' });
+
+      expect(accepted.status).toBe(200);
+      expect(missing.status).toBe(401);
+      expect(JSON.parse(missing.body).message).toBe('Missing access token in the Authorization header or the access_token query parameter');
+    });
+
+    it('should answer invalid parameters with 400 and the problems found', () => {
+      const response = server.handleRequest({ method: 'GET', url: '/services/abc/records', headers: authorized });
+
+      expect(response.status).toBe(400);
+      expect(JSON.parse(response.body).message).toBe('path parameter "id" must be integer; query parameter "limit" is required');
+    });
+
+    it('should use the documented error status and example for invalid bodies', () => {
+      const invalidJson = server.handleRequest({ method: 'POST', url: '/services/5/records', headers: authorized, body: '{' });
+      const invalidBody = server.handleRequest({ method: 'POST', url: '/services/5/records', headers: authorized, body: '{"ttl":"1h"}' });
+
+      expect(invalidJson.status).toBe(422);
+      expect(invalidBody.status).toBe(422);
+      expect(JSON.parse(invalidBody.body)).toEqual({ status: 'error', message: 'Invalid record' });
+    });
+
+    it('should force documented and undocumented statuses with the X-Mock-Status header', () => {
+      const rateLimited = server.handleRequest({ method: 'GET', url: '/services/5/records', headers: { 'x-mock-status': '429' } });
+      const unavailable = server.handleRequest({ method: 'GET', url: '/services/5/records', headers: { 'x-mock-status': '503' } });
+
+      expect(rateLimited.status).toBe(429);
+      expect(rateLimited.headers['Retry-After']).toBe('60');
+      expect(JSON.parse(rateLimited.body)).toEqual({ status: 'error', message: 'Rate limit exceeded' });
+      expect(unavailable.status).toBe(503);
+      expect(JSON.parse(unavailable.body)).toEqual({ status: 'error', message: 'Service Unavailable' });
+      expect(server.handleRequest({ method: 'GET', url: '/services/status', headers: { 'x-mock-status': 'slow' } }).status).toBe(400);
+    });
+
+    it('should list the allowed methods for unsupported methods', () => {
+      const response = server.handleRequest({ method: 'DELETE', url: '/services/5/records' });
+
+      expect(response.status).toBe(405);
+      expect(response.headers.Allow).toBe('GET, POST');
+    });
+
+    it('should answer malformed path escapes with 400', () => {
+      const response = server.handleRequest({ method: 'GET', url: '/services/%zz/records', headers: { authorization: 'Bearer secret' } });
+
+      expect(response.status).toBe(400);
+      expect(JSON.parse(response.body)).toEqual({ status: 'error', message: 'Path parameter "id" has a malformed percent-encoding' });
+    });
+  });
+
+  describe('listen', () => {
+    afterEach(async () => {
+      await server.close();
+    });
+
+    it('should serve requests over HTTP', async () => {
+      const { port } = await server.listen(0, '127.0.0.1');
+      const response = await axios.post(`http://127.0.0.1:${port}/services/5/records`, { name: 'www' }, {
+        headers: { Authorization: 'Bearer secret' }
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.data.data).toEqual({ id: 7, name: '' });
+    });
+
+    it('should keep serving after a malformed request', async () => {
+      const { port } = await server.listen(0, '127.0.0.1');
+      const malformed = await axios.get(`http://127.0.0.1:${port}/services/%zz/records`, { validateStatus: () => true });
+      const response = await axios.get(`http://127.0.0.1:${port}/services/status`, { validateStatus: () => true });
+
+      expect(malformed.status).toBe(400);
+      expect(response.status).toBe(204);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+const { downgradeSchema, downgradeSpec } = require('../openapi-downgrade');
+
+const buildSpec = (schema, extra = {}) => ({
+  openapi: '3.1.1',
+  info: { title: 'Test API', version: '1.0.0' },
+  paths: {
+    '/services': {
+      get: {
+        responses: {
+          200: {
+            description: 'OK',
+            content: {
+              'application/json': {
+                schema,
+                examples: { 'Success-Response': { value: { status: 'success' } } }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  components: { schemas: {} },
+  ...extra
+});
+
+const convert = (schema) => {
+  const issues = [];
+  return { schema: downgradeSchema(schema, ['schema'], issues), issues };
+};
+
+describe('openapi-downgrade', () => {
+  describe('downgradeSchema', () => {
+    it('should turn nullable type arrays into nullable', () => {
+      expect(convert({ type: ['string', 'null'] }).schema).toEqual({ type: 'string', nullable: true });
+    });
+
+    it('should turn type unions into anyOf', () => {
+      expect(convert({ type: ['string', 'integer', 'null'] }).schema).toEqual({
+        anyOf: [{ type: 'string', nullable: true }, { type: 'integer', nullable: true }]
+      });
+    });
+
+    it('should report schemas that only allow null', () => {
+      const { schema, issues } = convert({ type: 'null' });
+
+      expect(schema).toEqual({ nullable: true });
+      expect(issues).toEqual([{ location: '/schema/type', message: expect.stringContaining('only allows null') }]);
+    });
+
+    it('should turn const into a single-value enum', () => {
+      expect(convert({ type: 'string', const: 'success' }).schema).toEqual({ type: 'string', enum: ['success'] });
+    });
+
+    it('should turn numeric exclusive bounds into the boolean form', () => {
+      expect(convert({ type: 'integer', exclusiveMinimum: 0, exclusiveMaximum: 10 }).schema).toEqual({
+        type: 'integer',
+        minimum: 0,
+        exclusiveMinimum: true,
+        maximum: 10,
+        exclusiveMaximum: true
+      });
+    });
+
+    it('should keep an inclusive bound that is already stricter', () => {
+      expect(convert({ type: 'integer', minimum: 5, exclusiveMinimum: 0 }).schema).toEqual({ type: 'integer', minimum: 5 });
+    });
+
+    it('should keep the first schema example and report the rest', () => {
+      const { schema, issues } = convert({ type: 'string', examples: ['a', 'b'] });
+
+      expect(schema).toEqual({ type: 'string', example: 'a' });
+      expect(issues[0]).toMatchObject({ location: '/schema/examples', message: 'Only the first of 2 schema examples is kept' });
+    });
+
+    it('should map content encoding to string formats', () => {
+      expect(convert({ type: 'string', contentEncoding: 'base64' }).schema).toEqual({ type: 'string', format: 'byte' });
+      expect(convert({ type: 'string', contentMediaType: 'image/png' }).schema).toEqual({ type: 'string', format: 'binary' });
+    });
+
+    it('should wrap $ref siblings in allOf', () => {
+      expect(convert({ $ref: '#/components/schemas/Error', description: 'Failure' }).schema).toEqual({
+        description: 'Failure',
+        allOf: [{ $ref: '#/components/schemas/Error' }]
+      });
+    });
+
+    it('should drop and report 3.1-only keywords in nested schemas', () => {
+      const { schema, issues } = convert({
+        type: 'object',
+        properties: { tags: { type: 'array', prefixItems: [{ type: 'string' }], items: { type: ['integer', 'null'] } } }
+      });
+
+      expect(schema.properties.tags).toEqual({ type: 'array', items: { type: 'integer', nullable: true } });
+      expect(issues).toEqual([{
+        location: '/schema/properties/tags/prefixItems',
+        message: 'Keyword "prefixItems" is not supported by OpenAPI 3.0 and was dropped'
+      }]);
+    });
+  });
+
+  describe('downgradeSpec', () => {
+    it('should set the 3.0.3 version and convert schemas in paths and components', () => {
+      const source = buildSpec({ type: ['object', 'null'] });
+      source.components.schemas.Status = { const: 'success' };
+
+      const { spec, issues } = downgradeSpec(source);
+      const content = spec.paths['/services'].get.responses['200'].content['application/json'];
+
+      expect(spec.openapi).toBe('3.0.3');
+      expect(content.schema).toEqual({ type: 'object', nullable: true });
+      expect(content.examples).toEqual(source.paths['/services'].get.responses['200'].content['application/json'].examples);
+      expect(spec.components.schemas.Status).toEqual({ enum: ['success'] });
+      expect(issues).toEqual([]);
+    });
+
+    it('should not modify the source spec', () => {
+      const source = buildSpec({ type: ['string', 'null'] });
+
+      downgradeSpec(source);
+
+      expect(source.openapi).toBe('3.1.1');
+      expect(source.paths['/services'].get.responses['200'].content['application/json'].schema.type).toEqual(['string', 'null']);
+    });
+
+    it('should drop and report 3.1-only document features', () => {
+      const source = buildSpec({ type: 'object' }, {
+        jsonSchemaDialect: 'https://spec.openapis.org/oas/3.1/dialect/base',
+        webhooks: { statusChanged: {} }
+      });
+      source.info.summary = 'Game server API';
+      source.info.license = { name: 'MIT', identifier: 'MIT' };
+      source.components.securitySchemes = { ClientCert: { type: 'mutualTLS' }, BearerAuth: { type: 'http', scheme: 'bearer' } };
+
+      const { spec, issues } = downgradeSpec(source);
+
+      expect(spec).not.toHaveProperty('jsonSchemaDialect');
+      expect(spec).not.toHaveProperty('webhooks');
+      expect(spec.info).toEqual({ title: 'Test API', version: '1.0.0', license: { name: 'MIT' } });
+      expect(Object.keys(spec.components.securitySchemes)).toEqual(['BearerAuth']);
+      expect(issues.map(issue => issue.location)).toEqual([
+        '/jsonSchemaDialect',
+        '/webhooks',
+        '/info/summary',
+        '/info/license/identifier',
+        '/components/securitySchemes/ClientCert'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,213 @@
+const NitradoAPIConverter = require('../converter');
+const {
+  resolvePointer,
+  checkMetaSchema,
+  checkOperationIds,
+  checkPathParameters,
+  checkReferences,
+  validateSpec,
+  formatReport
+} = require('../openapi-validator');
+const { sampleApiData, sampleOpenApiSpec } = require('./fixtures/sampleData');
+
+const buildSpec = (paths, components = {}) => ({
+  openapi: '3.1.1',
+  info: { title: 'Test API', version: '1.0.0' },
+  paths,
+  components
+});
+
+const pathParameter = (name) => ({ name, in: 'path', required: true, schema: { type: 'string' } });
+
+describe('openapi-validator', () => {
+  describe('validateSpec', () => {
+    it('should accept the sample spec', () => {
+      const report = validateSpec(sampleOpenApiSpec);
+
+      expect(report.valid).toBe(true);
+      expect(report.errors).toEqual([]);
+      expect(report.stats).toEqual({ paths: 1, operations: 1, errors: 0, warnings: 0 });
+    });
+
+    it('should accept a spec generated by the converter', () => {
+      const consoleLogSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      const converter = new NitradoAPIConverter();
+      converter.apiData = sampleApiData;
+
+      const report = validateSpec(converter.convertToOpenAPI());
+      consoleLogSpy.mockRestore();
+
+      expect(report.errors).toEqual([]);
+      expect(report.valid).toBe(true);
+    });
+
+    it('should count issues per check', () => {
+      const report = validateSpec(buildSpec({
+        '/a': { get: { operationId: 'same', responses: { 200: { description: 'OK' } } } },
+        '/b': { get: { operationId: 'same', responses: { 200: { description: 'OK' } } } }
+      }));
+
+      expect(report.valid).toBe(false);
+      expect(report.checks.operationId).toEqual({ errors: 1, warnings: 0 });
+      expect(report.checks.schema).toEqual({ errors: 0, warnings: 0 });
+    });
+  });
+
+  describe('checkMetaSchema', () => {
+    it('should report meta-schema violations with their location', () => {
+      const issues = checkMetaSchema(buildSpec({
+        '/a': { get: { responses: { 200: { summary: 'missing description' } } } }
+      }));
+
+      expect(issues).toContainEqual({
+        check: 'schema',
+        severity: 'error',
+        location: '/paths/~1a/get/responses/200',
+        message: 'must have required property \'description\''
+      });
+      expect(issues.some(issue => issue.message.includes('"else" schema'))).toBe(false);
+    });
+
+    it('should name unexpected properties', () => {
+      const issues = checkMetaSchema(buildSpec({ 'no-slash': {} }));
+
+      expect(issues).toContainEqual(expect.objectContaining({
+        location: '/paths',
+        message: 'must NOT have unevaluated properties "no-slash"'
+      }));
+    });
+  });
+
+  describe('checkOperationIds', () => {
+    it('should report duplicates with the first location', () => {
+      const issues = checkOperationIds(buildSpec({
+        '/a': { get: { operationId: 'getThing' } },
+        '/b': { post: { operationId: 'getThing' } }
+      }));
+
+      expect(issues).toEqual([{
+        check: 'operationId',
+        severity: 'error',
+        location: '/paths/~1b/post',
+        message: 'Duplicate operationId "getThing" (first used at /paths/~1a/get)'
+      }]);
+    });
+
+    it('should warn about missing operationIds', () => {
+      const issues = checkOperationIds(buildSpec({ '/a': { get: {} } }));
+
+      expect(issues).toEqual([expect.objectContaining({ severity: 'warning', message: 'Operation has no operationId' })]);
+    });
+  });
+
+  describe('checkPathParameters', () => {
+    it('should report template names without a declared parameter', () => {
+      const issues = checkPathParameters(buildSpec({
+        '/services/{id}/logs/{file}': { get: { parameters: [pathParameter('id')] } }
+      }));
+
+      expect(issues.map(issue => issue.message)).toEqual(['Path parameter "{file}" is not declared']);
+    });
+
+    it('should report declared path parameters missing from the template', () => {
+      const issues = checkPathParameters(buildSpec({
+        '/services': { get: { parameters: [pathParameter('id')] } }
+      }));
+
+      expect(issues).toEqual([expect.objectContaining({
+        location: '/paths/~1services/get/parameters/0',
+        message: 'Path parameter "id" does not appear in "/services"'
+      })]);
+    });
+
+    it('should accept path item parameters and referenced parameters', () => {
+      const issues = checkPathParameters(buildSpec({
+        '/services/{id}/logs/{file}': {
+          parameters: [pathParameter('id')],
+          get: { parameters: [{ $ref: '#/components/parameters/File' }] }
+        }
+      }, { parameters: { File: pathParameter('file') } }));
+
+      expect(issues).toEqual([]);
+    });
+
+    it('should report optional path parameters and duplicates', () => {
+      const issues = checkPathParameters(buildSpec({
+        '/services/{id}': {
+          get: { parameters: [{ name: 'id', in: 'path', schema: { type: 'string' } }, pathParameter('id')] }
+        }
+      }));
+
+      expect(issues.map(issue => issue.message)).toEqual(['Duplicate path parameter "id"']);
+
+      const optional = checkPathParameters(buildSpec({
+        '/services/{id}': { get: { parameters: [{ name: 'id', in: 'path', schema: { type: 'string' } }] } }
+      }));
+
+      expect(optional.map(issue => issue.message)).toEqual(['Path parameter "id" must be required']);
+    });
+
+    it('should report equivalent and repeated templates', () => {
+      const issues = checkPathParameters(buildSpec({
+        '/services/{id}': {},
+        '/services/{service_id}': {},
+        '/pairs/{id}/{id}': {}
+      }));
+
+      expect(issues.map(issue => issue.message)).toEqual([
+        'Path template is equivalent to "/services/{id}"',
+        'Path template repeats parameter "{id}"'
+      ]);
+    });
+  });
+
+  describe('checkReferences', () => {
+    it('should report references that do not resolve', () => {
+      const issues = checkReferences(buildSpec({
+        '/a': {
+          get: {
+            responses: {
+              200: { $ref: '#/components/responses/Missing' },
+              400: { $ref: '#/components/responses/BadRequest' }
+            }
+          }
+        }
+      }, { responses: { BadRequest: { description: 'Bad' } } }));
+
+      expect(issues).toEqual([{
+        check: 'refs',
+        severity: 'error',
+        location: '/paths/~1a/get/responses/200',
+        message: 'Reference "#/components/responses/Missing" does not resolve'
+      }]);
+    });
+
+    it('should warn about external references', () => {
+      const issues = checkReferences({ paths: { '/a': { $ref: 'other.json#/paths/a' } } });
+
+      expect(issues).toEqual([expect.objectContaining({ severity: 'warning' })]);
+    });
+  });
+
+  describe('resolvePointer', () => {
+    it('should unescape pointer segments', () => {
+      const spec = { paths: { '/a/b': { 'x~y': 1 } } };
+
+      expect(resolvePointer(spec, '#/paths/~1a~1b/x~0y')).toBe(1);
+      expect(resolvePointer(spec, '#/paths/missing')).toBeUndefined();
+    });
+  });
+
+  describe('formatReport', () => {
+    it('should group issues under each check', () => {
+      const text = formatReport(validateSpec(buildSpec({
+        '/a': { get: { operationId: 'same', responses: { 200: { description: 'OK' } } } },
+        '/b': { get: { operationId: 'same', responses: { 200: { description: 'OK' } } } }
+      })));
+
+      expect(text).toContain('❌ operationId: 1 error(s), 0 warning(s)');
+      expect(text).toContain('   ✖ /paths/~1b/get: Duplicate operationId "same" (first used at /paths/~1a/get)');
+      expect(text).toContain('❌ Specification is invalid: 1 error(s), 0 warning(s)');
+    });
+  });
+});
@@ -0,0 +1,77 @@
+const {
+  tokenize,
+  dropRepeatedWords,
+  applyCase,
+  normalizeOperationIdStrategy,
+  normalizeOperationIdCase,
+  buildOperationId
+} = require('../operation-id-naming');
+
+const parts = { group: 'GameMinecraft', name: 'MinecraftAvatar', method: 'get', path: '/services/:id/gameservers/games/minecraft/avatar' };
+
+describe('operation-id-naming', () => {
+  describe('tokenize', () => {
+    it('should split at separators and case boundaries', () => {
+      expect(tokenize('Add_to_Service')).toEqual(['add', 'to', 'service']);
+      expect(tokenize('getTS3Info')).toEqual(['get', 'ts3', 'info']);
+      expect(tokenize('/services/:id/gameservers')).toEqual(['services', 'id', 'gameservers']);
+      expect(tokenize(undefined)).toEqual([]);
+    });
+  });
+
+  describe('dropRepeatedWords', () => {
+    it('should drop words repeating the word before them and keep the case of the rest', () => {
+      expect(dropRepeatedWords('CompanyCompanyStatsGetStats')).toBe('CompanyStatsGetStats');
+      expect(dropRepeatedWords('DomainDomainDomainServiceAddtoService')).toBe('DomainServiceAddtoService');
+      expect(dropRepeatedWords('GetTS3Info')).toBe('GetTS3Info');
+    });
+  });
+
+  describe('applyCase', () => {
+    it('should join tokens in each case style', () => {
+      const tokens = ['get', 'company', 'stats'];
+
+      expect(applyCase(tokens, 'PascalCase')).toBe('GetCompanyStats');
+      expect(applyCase(tokens, 'camelCase')).toBe('getCompanyStats');
+      expect(applyCase(tokens, 'snake_case')).toBe('get_company_stats');
+    });
+  });
+
+  describe('normalizeOperationIdStrategy', () => {
+    it('should accept named strategies and templates with known placeholders', () => {
+      expect(normalizeOperationIdStrategy(undefined)).toBe('auto');
+      expect(normalizeOperationIdStrategy('Group+Name')).toBe('group+name');
+      expect(normalizeOperationIdStrategy('{group}_{name}')).toBe('{group}_{name}');
+      expect(() => normalizeOperationIdStrategy('{group}_{summary}')).toThrow('Invalid operationId strategy "{group}_{summary}"');
+      expect(() => normalizeOperationIdStrategy('group')).toThrow('Expected one of: auto, auto-compact, name, group+name, method+path');
+    });
+  });
+
+  describe('normalizeOperationIdCase', () => {
+    it('should accept case styles in any capitalization', () => {
+      expect(normalizeOperationIdCase(undefined)).toBe('PascalCase');
+      expect(normalizeOperationIdCase('CAMELCASE')).toBe('camelCase');
+      expect(() => normalizeOperationIdCase('kebab-case')).toThrow('Expected one of: PascalCase, camelCase, snake_case');
+    });
+  });
+
+  describe('buildOperationId', () => {
+    it('should build IDs for the named strategies without repeated tokens', () => {
+      expect(buildOperationId('name', parts, 'PascalCase')).toBe('MinecraftAvatar');
+      expect(buildOperationId('group+name', parts, 'PascalCase')).toBe('GameMinecraftAvatar');
+      expect(buildOperationId('group+name', parts, 'camelCase')).toBe('gameMinecraftAvatar');
+      expect(buildOperationId('method+path', parts, 'snake_case')).toBe('get_services_id_gameservers_games_minecraft_avatar');
+    });
+
+    it('should keep the literal text of templates', () => {
+      expect(buildOperationId('{group}_{name}', parts, 'PascalCase')).toBe('GameMinecraft_Avatar');
+      expect(buildOperationId('{group}_{name}', parts, 'camelCase')).toBe('gameMinecraft_Avatar');
+      expect(buildOperationId('{method}{group}{name}', parts, 'snake_case')).toBe('get_game_minecraft_avatar');
+    });
+
+    it('should drop separators around empty placeholders', () => {
+      expect(buildOperationId('{group}__{name}', { name: 'GetStats' }, 'PascalCase')).toBe('GetStats');
+      expect(buildOperationId('{group}_{name}', {}, 'PascalCase')).toBe('');
+    });
+  });
+});
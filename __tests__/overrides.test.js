@@ -0,0 +1,127 @@
+const { normalizeOverridePath, mergePatch, parsePointer, OverrideSet } = require('../overrides');
+
+const operation = {
+  operationId: 'ServicesRecordsList',
+  summary: 'List records',
+  tags: ['Records'],
+  parameters: [
+    { name: 'id', in: 'path', required: true, schema: { type: 'integer' } },
+    { name: 'price', in: 'query', schema: { type: 'integer' } }
+  ],
+  responses: { 200: { description: 'OK' } }
+};
+
+const context = { method: 'GET', path: '/services/{id}/records', group: 'Records', operationId: 'ServicesRecordsList' };
+
+describe('overrides', () => {
+  describe('normalizeOverridePath', () => {
+    it('should accept apiDoc and OpenAPI style URLs', () => {
+      expect(normalizeOverridePath('services/:id/records/')).toBe('/services/{id}/records');
+      expect(normalizeOverridePath('/services/{id}/records')).toBe('/services/{id}/records');
+    });
+  });
+
+  describe('mergePatch', () => {
+    it('should merge objects, replace arrays and remove null fields', () => {
+      const merged = mergePatch({ a: { b: 1, c: 2 }, list: [1, 2], gone: true }, { a: { c: 3 }, list: [3], gone: null });
+
+      expect(merged).toEqual({ a: { b: 1, c: 3 }, list: [3] });
+    });
+  });
+
+  describe('parsePointer', () => {
+    it('should split and unescape JSON pointers', () => {
+      expect(parsePointer('/responses/200/content/application~1json')).toEqual(['responses', '200', 'content', 'application/json']);
+      expect(parsePointer('')).toEqual([]);
+      expect(() => parsePointer('responses')).toThrow('"responses" is not a JSON pointer');
+    });
+  });
+
+  describe('OverrideSet', () => {
+    it('should accept a list of rules or an overrides list', () => {
+      const rule = { match: { operationId: 'ServicesRecordsList' }, merge: { deprecated: true } };
+
+      expect(OverrideSet.fromData([rule], 'list').rules).toHaveLength(1);
+      expect(OverrideSet.fromData({ overrides: [rule] }, 'object').rules).toHaveLength(1);
+      expect(() => OverrideSet.fromData({ rules: [] }, 'overrides.yaml'))
+        .toThrow('Invalid overrides in overrides.yaml: expected a list of rules or an "overrides" list');
+    });
+
+    it('should reject invalid rules', () => {
+      expect(() => new OverrideSet([{ match: {}, merge: {} }])).toThrow('Invalid override #1: match needs a url, operationId or group');
+      expect(() => new OverrideSet([{ match: { path: '/x' }, merge: {} }])).toThrow('unknown match key(s) path');
+      expect(() => new OverrideSet([{ match: { url: '/x' } }])).toThrow('expected at least one of: merge, replace, delete');
+      expect(() => new OverrideSet([{ match: { url: '/x' }, target: 'path', merge: {} }])).toThrow('invalid target "path"');
+      expect(() => new OverrideSet([{ match: { operationId: 'X' }, target: 'endpoint', merge: {} }]))
+        .toThrow('operationIds are assigned during conversion and can only match operations');
+      expect(() => new OverrideSet([{ match: { url: '/x' }, delete: ['summary'] }])).toThrow('"summary" is not a JSON pointer');
+    });
+
+    it('should require every match criterion to match', () => {
+      const overrides = new OverrideSet([
+        { match: { method: 'get', url: 'services/:id/records' }, merge: { deprecated: true } },
+        { match: { method: 'POST', url: '/services/:id/records' }, merge: { summary: 'Create' } }
+      ]);
+
+      const patched = overrides.apply(operation, 'operation', context);
+
+      expect(patched.deprecated).toBe(true);
+      expect(patched.summary).toBe('List records');
+      expect(overrides.getUnmatchedRules().map(rule => rule.label)).toEqual(['#2 (POST /services/{id}/records)']);
+    });
+
+    it('should match URLs whatever their path parameter names', () => {
+      const overrides = new OverrideSet([
+        { match: { method: 'GET', url: '/services/:service_id/records' }, merge: { deprecated: true } }
+      ]);
+
+      expect(overrides.apply(operation, 'operation', context).deprecated).toBe(true);
+      expect(overrides.getUnmatchedRules()).toEqual([]);
+    });
+
+    it('should replace and delete fields addressing array items by name', () => {
+      const overrides = new OverrideSet([{
+        match: { operationId: 'ServicesRecordsList' },
+        replace: {
+          '/parameters/price/schema': { type: 'number', format: 'float' },
+          '/responses/200/content/application~1json/schema': { $ref: '#/components/schemas/Record' }
+        },
+        delete: ['/parameters/id/required', '/tags/0']
+      }]);
+
+      const patched = overrides.apply(operation, 'operation', context);
+
+      expect(patched.parameters[1].schema).toEqual({ type: 'number', format: 'float' });
+      expect(patched.responses[200].content['application/json'].schema).toEqual({ $ref: '#/components/schemas/Record' });
+      expect(patched.parameters[0].required).toBeUndefined();
+      expect(patched.tags).toEqual([]);
+      expect(operation.parameters[1].schema.type).toBe('integer');
+      expect(overrides.problems).toEqual([]);
+    });
+
+    it('should record pointers that do not resolve', () => {
+      const overrides = new OverrideSet([{
+        match: { group: 'Records' },
+        replace: { '/parameters/limit/schema': { type: 'integer' } },
+        delete: ['/deprecated']
+      }]);
+
+      overrides.apply(operation, 'operation', context);
+
+      expect(overrides.problems).toEqual([
+        'Override #1 (group Records): /parameters/limit/schema not found in GET /services/{id}/records',
+        'Override #1 (group Records): /deprecated not found in GET /services/{id}/records'
+      ]);
+      overrides.resetMatches();
+      expect(overrides.problems).toEqual([]);
+      expect(overrides.getUnmatchedRules()).toHaveLength(1);
+    });
+
+    it('should only apply rules to their target', () => {
+      const overrides = new OverrideSet([{ match: { group: 'Records' }, target: 'endpoint', merge: { group: 'Record' } }]);
+
+      expect(overrides.apply(operation, 'operation', context)).toBe(operation);
+      expect(overrides.apply({ url: '/services/:id/records', group: 'Records' }, 'endpoint', context).group).toBe('Record');
+    });
+  });
+});
@@ -0,0 +1,138 @@
+const NitradoAPIConverter = require('../converter');
+const {
+  POSTMAN_SCHEMA_URL,
+  sampleValue,
+  buildUrl,
+  buildRequest,
+  buildPostmanCollection
+} = require('../postman-exporter');
+const { sampleApiData } = require('./fixtures/sampleData');
+
+describe('postman-exporter', () => {
+  describe('sampleValue', () => {
+    it('should prefer defaults over type placeholders', () => {
+      expect(sampleValue({
+        type: 'object',
+        properties: {
+          ttl: { type: 'string', default: '3600' },
+          limit: { type: 'integer' },
+          enabled: { type: 'boolean' },
+          tags: { type: 'array', items: { type: 'string' } },
+          name: { type: ['string', 'null'] }
+        }
+      })).toEqual({ ttl: '3600', limit: 0, enabled: false, tags: [''], name: '' });
+    });
+
+    it('should follow references and use allowed values', () => {
+      const spec = { components: { schemas: { Status: { type: 'string', enum: ['started', 'stopped'] } } } };
+
+      expect(sampleValue({
+        type: 'object',
+        properties: {
+          status: { $ref: '#/components/schemas/Status' },
+          kind: { const: 'game' },
+          id: { anyOf: [{ type: 'integer' }, { type: 'string' }] }
+        }
+      }, spec)).toEqual({ status: 'started', kind: 'game', id: 0 });
+      expect(sampleValue({ $ref: '#/components/schemas/Status' })).toEqual({});
+    });
+  });
+
+  describe('buildUrl', () => {
+    it('should turn path templates into Postman variables and add query parameters', () => {
+      const url = buildUrl('/services/{id}/records', [
+        { name: 'id', in: 'path', required: true, schema: { type: 'integer', default: 5 }, description: 'Service ID' },
+        { name: 'ttl', in: 'query', required: true, schema: { type: 'string', default: '3600' } },
+        { name: 'page', in: 'query', required: false, schema: { type: 'integer' } }
+      ]);
+
+      expect(url).toEqual({
+        raw: '{{baseUrl}}/services/:id/records?ttl=3600',
+        host: ['{{baseUrl}}'],
+        path: ['services', ':id', 'records'],
+        query: [
+          { key: 'ttl', value: '3600', description: undefined, disabled: false },
+          { key: 'page', value: '0', description: undefined, disabled: true }
+        ],
+        variable: [{ key: 'id', value: '5', description: 'Service ID' }]
+      });
+    });
+
+    it('should flatten deepObject query parameters', () => {
+      const url = buildUrl('/search', [{
+        name: 'filter',
+        in: 'query',
+        required: true,
+        style: 'deepObject',
+        schema: { type: 'object', required: ['name'], properties: { name: { type: 'string' }, game: { type: 'string' } } }
+      }]);
+
+      expect(url.query.map(entry => [entry.key, entry.disabled])).toEqual([
+        ['filter[name]', false],
+        ['filter[game]', true]
+      ]);
+    });
+  });
+
+  describe('buildRequest', () => {
+    it('should prefill JSON bodies and leave authorization to the collection', () => {
+      const request = buildRequest('/domain/{domain}/records', 'post', {
+        security: [{ BearerAuth: [] }],
+        parameters: [
+          { name: 'Authorization', in: 'header', required: false, schema: { type: 'string' } },
+          { name: 'Content-Type', in: 'header', required: false, schema: { type: 'string' } }
+        ],
+        requestBody: {
+          content: {
+            'application/json': { schema: { type: 'object', properties: { ttl: { type: 'string', default: '3600' } } } }
+          }
+        }
+      });
+
+      expect(request.method).toBe('POST');
+      expect(request.header).toEqual([{ key: 'Content-Type', value: 'application/json' }]);
+      expect(JSON.parse(request.body.raw)).toEqual({ ttl: '3600' });
+      expect(request).not.toHaveProperty('auth');
+    });
+
+    it('should disable authentication for public operations', () => {
+      expect(buildRequest('/ping', 'get', { responses: {} }).auth).toEqual({ type: 'noauth' });
+    });
+  });
+
+  describe('buildPostmanCollection', () => {
+    let converter;
+    let collection;
+
+    beforeEach(() => {
+      converter = new NitradoAPIConverter({ logLevel: 'quiet' });
+      converter.apiData = sampleApiData;
+      collection = buildPostmanCollection(converter, converter.convertToOpenAPI());
+    });
+
+    it('should describe a v2.1 collection with bearer auth variables', () => {
+      expect(collection.info).toMatchObject({ name: 'Nitrado API', schema: POSTMAN_SCHEMA_URL });
+      expect(collection.auth).toEqual({
+        type: 'bearer',
+        bearer: [{ key: 'token', value: '{{bearerToken}}', type: 'string' }]
+      });
+      expect(collection.variable.map(variable => variable.key)).toEqual(['baseUrl', 'bearerToken']);
+    });
+
+    it('should create one folder per apiDoc group', () => {
+      expect(collection.item.map(folder => [folder.name, folder.item.map(item => item.name)])).toEqual([
+        ['Company', ['Get company stats']],
+        ['Domain', ['Add to Service']],
+        ['Game_Minecraft', ['Details']]
+      ]);
+    });
+
+    it('should save parsed success examples as responses', () => {
+      const [response] = collection.item[0].item[0].response;
+
+      expect(response).toMatchObject({ name: 'Success-Response', status: 'OK', code: 200 });
+      expect(JSON.parse(response.body)).toEqual({ status: 'success', data: { employee_count: 50 } });
+      expect(response.originalRequest.url.raw).toBe('{{baseUrl}}/company/stats');
+    });
+  });
+});
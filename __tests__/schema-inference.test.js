@@ -0,0 +1,157 @@
+const {
+  splitExampleContent,
+  parseLenientJSON,
+  parseExample,
+  inferSchema,
+  mergeSchemas
+} = require('../schema-inference');
+
+describe('Schema Inference', () => {
+  describe('splitExampleContent', () => {
+    it('should split the status line from the body', () => {
+      const result = splitExampleContent('HTTP/1.1 200 OK\n{\n  "status": "success"\n}');
+
+      expect(result.statusCode).toBe(200);
+      expect(result.statusText).toBe('OK');
+      expect(result.body).toBe('{\n  "status": "success"\n}');
+    });
+
+    it('should handle leading whitespace and empty bodies', () => {
+      const result = splitExampleContent('  HTTP/1.1 204 No Content');
+
+      expect(result.statusCode).toBe(204);
+      expect(result.statusText).toBe('No Content');
+      expect(result.body).toBe('');
+    });
+
+    it('should return the whole content when there is no status line', () => {
+      const result = splitExampleContent('{"status": "success"}');
+
+      expect(result.statusCode).toBeNull();
+      expect(result.body).toBe('{"status": "success"}');
+    });
+  });
+
+  describe('parseLenientJSON', () => {
+    it('should parse valid JSON', () => {
+      expect(parseLenientJSON('{"a": 1}')).toEqual({ a: 1 });
+    });
+
+    it('should repair trailing commas, single quotes and placeholders', () => {
+      const body = `{
+        "status": 'success',
+        "data": {
+          "items": ["a", "b",],
+          ...
+          "id": 1 // the id
+        },
+      }`;
+
+      expect(parseLenientJSON(body)).toEqual({
+        status: 'success',
+        data: { items: ['a', 'b'], id: 1 }
+      });
+    });
+
+    it('should keep apostrophes inside double-quoted strings', () => {
+      const body = `{ "status": 'success', "message": "Server's config, 'default' profile" }`;
+
+      expect(parseLenientJSON(body)).toEqual({ status: 'success', message: 'Server\'s config, \'default\' profile' });
+    });
+
+    it('should return undefined for unrecoverable bodies', () => {
+      expect(parseLenientJSON('{ status: success }')).toBeUndefined();
+      expect(parseLenientJSON('')).toBeUndefined();
+    });
+  });
+
+  describe('parseExample', () => {
+    it('should parse an apiDoc success example', () => {
+      const result = parseExample({
+        title: 'Success-Response',
+        content: 'HTTP/1.1 200 OK\n{"status": "success", "message": "Done"}',
+        type: 'json'
+      });
+
+      expect(result.title).toBe('Success-Response');
+      expect(result.statusCode).toBe(200);
+      expect(result.parsed).toBe(true);
+      expect(result.data).toEqual({ status: 'success', message: 'Done' });
+    });
+  });
+
+  describe('inferSchema', () => {
+    it('should infer primitive types', () => {
+      expect(inferSchema('text')).toEqual({ type: 'string' });
+      expect(inferSchema(42)).toEqual({ type: 'integer' });
+      expect(inferSchema(4.2)).toEqual({ type: 'number' });
+      expect(inferSchema(true)).toEqual({ type: 'boolean' });
+      expect(inferSchema(null)).toEqual({});
+    });
+
+    it('should leave fields only seen as null unconstrained', () => {
+      expect(inferSchema({ data: { expires: null, tags: [null] } })).toEqual({
+        type: 'object',
+        properties: {
+          data: {
+            type: 'object',
+            properties: {
+              expires: {},
+              tags: { type: 'array', items: {} }
+            }
+          }
+        }
+      });
+    });
+
+    it('should infer nested objects', () => {
+      expect(inferSchema({ data: { count: 1, name: 'a' } })).toEqual({
+        type: 'object',
+        properties: {
+          data: {
+            type: 'object',
+            properties: {
+              count: { type: 'integer' },
+              name: { type: 'string' }
+            }
+          }
+        }
+      });
+    });
+
+    it('should merge array item schemas', () => {
+      const schema = inferSchema([
+        { id: 1, price: 5, comment: null },
+        { id: 2, price: 5.5, comment: 'hello', extra: true }
+      ]);
+
+      expect(schema).toEqual({
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            price: { type: 'number' },
+            comment: { type: ['string', 'null'] },
+            extra: { type: 'boolean' }
+          }
+        }
+      });
+    });
+
+    it('should infer empty arrays with open item schemas', () => {
+      expect(inferSchema([])).toEqual({ type: 'array', items: {} });
+    });
+  });
+
+  describe('mergeSchemas', () => {
+    it('should keep the non-empty item schema when merging arrays', () => {
+      const merged = mergeSchemas(
+        { type: 'array', items: {} },
+        { type: 'array', items: { type: 'string' } }
+      );
+
+      expect(merged).toEqual({ type: 'array', items: { type: 'string' } });
+    });
+  });
+});
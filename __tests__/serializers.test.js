@@ -0,0 +1,116 @@
+const yaml = require('js-yaml');
+const {
+  orderKeys,
+  toYAML,
+  registerSerializer,
+  getSerializer,
+  resolveOutputFormats,
+  getSerializerForFile,
+  parseFile
+} = require('../serializers');
+
+const spec = {
+  paths: {
+    '/services': {
+      get: {
+        responses: {
+          404: { description: 'Not Found' },
+          200: { description: 'OK', content: { 'application/json': { example: { zeta: 1, alpha: 2 } } } },
+          default: { description: 'Error' }
+        },
+        operationId: 'getServices',
+        summary: 'List services'
+      }
+    }
+  },
+  info: { version: '1.0.0', title: 'Test API' },
+  openapi: '3.1.1'
+};
+
+describe('serializers', () => {
+  describe('orderKeys', () => {
+    it('should order OpenAPI keys and sort status codes numerically', () => {
+      const ordered = orderKeys(spec);
+      const operation = ordered.paths['/services'].get;
+
+      expect(Object.keys(ordered)).toEqual(['openapi', 'info', 'paths']);
+      expect(Object.keys(ordered.info)).toEqual(['title', 'version']);
+      expect(Object.keys(operation)).toEqual(['summary', 'operationId', 'responses']);
+      expect(Object.keys(operation.responses)).toEqual(['200', '404', 'default']);
+    });
+
+    it('should leave example values untouched', () => {
+      const ordered = orderKeys(spec);
+
+      expect(Object.keys(ordered.paths['/services'].get.responses['200'].content['application/json'].example))
+        .toEqual(['zeta', 'alpha']);
+    });
+
+    it('should treat component parameters as a name map', () => {
+      const ordered = orderKeys({ components: { parameters: { zone: { name: 'zone' }, id: { name: 'id' } } } });
+
+      expect(Object.keys(ordered.components.parameters)).toEqual(['id', 'zone']);
+    });
+  });
+
+  describe('toYAML', () => {
+    it('should quote scalars YAML would otherwise reinterpret', () => {
+      const output = toYAML({ enum: ['on', 'yes', 'null', '1.0'], responses: { 200: { description: 'OK' } } });
+
+      expect(output).toContain('\'200\':');
+      expect(output).toContain('- \'on\'');
+      expect(output).toContain('- \'yes\'');
+      expect(output).toContain('- \'null\'');
+      expect(output).toContain('- \'1.0\'');
+    });
+
+    it('should write multi-line descriptions as literal blocks', () => {
+      const output = toYAML({ description: 'First line\n\nSecond line' });
+
+      expect(output).toBe('description: |-\n  First line\n\n  Second line\n');
+    });
+
+    it('should round-trip through the YAML parser', () => {
+      expect(yaml.load(toYAML(spec))).toEqual(spec);
+    });
+  });
+
+  describe('resolveOutputFormats', () => {
+    it('should expand both into JSON and YAML', () => {
+      expect(resolveOutputFormats('both')).toEqual(['json', 'yaml']);
+      expect(resolveOutputFormats('YAML')).toEqual(['yaml']);
+      expect(resolveOutputFormats()).toEqual(['json']);
+    });
+
+    it('should reject unknown formats', () => {
+      expect(() => resolveOutputFormats('xml')).toThrow('Invalid output format "xml"');
+    });
+  });
+
+  describe('registerSerializer', () => {
+    it('should register serializers with an extension and serialize/parse functions', () => {
+      const serializer = { extension: 'txt', serialize: String, parse: String };
+
+      registerSerializer('text', serializer);
+
+      expect(getSerializer('text')).toBe(serializer);
+      expect(resolveOutputFormats('text')).toEqual(['text']);
+    });
+
+    it('should reject incomplete serializers', () => {
+      expect(() => registerSerializer('broken', { extension: 'x' })).toThrow('Serializer "broken" needs');
+    });
+
+    it('should reject unknown serializer names', () => {
+      expect(() => getSerializer('xml')).toThrow('Unknown serializer "xml"');
+    });
+  });
+
+  describe('parseFile', () => {
+    it('should pick the parser by file extension', () => {
+      expect(getSerializerForFile('spec.yml')).toBe(getSerializer('yaml'));
+      expect(parseFile('spec.yaml', 'openapi: 3.1.1\n')).toEqual({ openapi: '3.1.1' });
+      expect(parseFile('spec.json', '{"openapi":"3.1.1"}')).toEqual({ openapi: '3.1.1' });
+    });
+  });
+});
@@ -0,0 +1,295 @@
+const NitradoAPIConverter = require('../converter');
+const {
+  detectSnapshotKind,
+  extractModel,
+  diffModels,
+  diffSnapshots,
+  formatType,
+  formatMarkdown
+} = require('../snapshot-diff');
+const { sampleApiData } = require('./fixtures/sampleData');
+
+const buildSpec = (paths, components = {}) => ({
+  openapi: '3.1.1',
+  info: { title: 'Test API', version: '1.0.0' },
+  paths,
+  components
+});
+
+const buildOperation = (overrides = {}) => ({
+  operationId: 'getServices',
+  summary: 'List services',
+  parameters: [],
+  responses: {
+    200: {
+      description: 'OK',
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            properties: {
+              status: { type: 'string' },
+              data: { type: 'object', properties: { id: { type: 'integer' } } }
+            }
+          }
+        }
+      }
+    }
+  },
+  ...overrides
+});
+
+const diffSpecs = (basePaths, headPaths) =>
+  diffModels(extractModel(buildSpec(basePaths)), extractModel(buildSpec(headPaths)));
+
+describe('snapshot-diff', () => {
+  describe('detectSnapshotKind', () => {
+    it('should detect raw and OpenAPI snapshots', () => {
+      expect(detectSnapshotKind({ api: [] })).toBe('raw');
+      expect(detectSnapshotKind(buildSpec({}))).toBe('openapi');
+    });
+
+    it('should reject unknown snapshots', () => {
+      expect(() => detectSnapshotKind({ foo: 1 })).toThrow('Unrecognized snapshot');
+    });
+  });
+
+  describe('extractModel', () => {
+    it('should flatten parameters, request bodies and response fields', () => {
+      const model = extractModel(buildSpec({
+        '/services/{id}': {
+          post: buildOperation({
+            parameters: [
+              { name: 'id', in: 'path', required: true, schema: { type: 'integer' } },
+              { name: 'filter', in: 'query', schema: { type: 'object', properties: { name: { type: 'string' } } } }
+            ],
+            requestBody: {
+              required: true,
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    required: ['name'],
+                    properties: { name: { type: 'string' }, tags: { type: 'array', items: { type: 'string' } } }
+                  }
+                }
+              }
+            }
+          })
+        }
+      }));
+
+      const endpoint = model.endpoints['POST /services/{id}'];
+      expect(Object.keys(endpoint.parameters).sort()).toEqual([
+        'body:name', 'body:tags', 'body:tags[]', 'path:id', 'query:filter', 'query:filter.name'
+      ]);
+      expect(endpoint.parameters['body:name']).toMatchObject({ required: true, type: { types: ['string'] } });
+      expect(endpoint.parameters['body:tags'].required).toBe(false);
+      expect(Object.keys(endpoint.responses['200'].fields)).toEqual(['status', 'data', 'data.id']);
+    });
+
+    it('should resolve referenced response schemas', () => {
+      const spec = buildSpec({
+        '/a': { get: buildOperation({ responses: { 401: { $ref: '#/components/responses/Unauthorized' } } }) }
+      }, {
+        responses: {
+          Unauthorized: {
+            description: 'Unauthorized',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+          }
+        },
+        schemas: { Error: { type: 'object', properties: { message: { type: 'string' } } } }
+      });
+
+      expect(Object.keys(extractModel(spec).endpoints['GET /a'].responses['401'].fields)).toEqual(['message']);
+    });
+  });
+
+  describe('diffModels', () => {
+    it('should report added and removed endpoints', () => {
+      const changes = diffSpecs(
+        { '/old': { get: buildOperation() } },
+        { '/new': { get: buildOperation({ summary: 'New endpoint' }) } }
+      );
+
+      expect(changes.map(change => [change.type, change.action, change.endpoint])).toEqual([
+        ['endpoint', 'added', 'GET /new'],
+        ['endpoint', 'removed', 'GET /old']
+      ]);
+      expect(changes[0].summary).toBe('New endpoint');
+    });
+
+    it('should report parameter additions, required flags and type changes', () => {
+      const changes = diffSpecs(
+        { '/a': { get: buildOperation({ parameters: [{ name: 'page', in: 'query', schema: { type: 'integer' } }] }) } },
+        {
+          '/a': {
+            get: buildOperation({
+              parameters: [
+                { name: 'page', in: 'query', required: true, schema: { type: 'string' } },
+                { name: 'limit', in: 'query', schema: { type: 'integer' } }
+              ]
+            })
+          }
+        }
+      );
+
+      expect(changes.map(change => change.message)).toEqual([
+        'Added optional query parameter `limit` (`integer`)',
+        'Query parameter `page` is now required',
+        'Type of query parameter `page` changed from `integer` to `string`'
+      ]);
+      expect(changes[2]).toMatchObject({ from: { types: ['integer'] }, to: { types: ['string'] } });
+    });
+
+    it('should report response and response field changes', () => {
+      const headOperation = buildOperation();
+      headOperation.responses['200'].content['application/json'].schema.properties.data.properties = {
+        id: { type: 'string' },
+        name: { type: 'string' }
+      };
+      headOperation.responses['404'] = { description: 'Not Found' };
+
+      const changes = diffSpecs({ '/a': { get: buildOperation() } }, { '/a': { get: headOperation } });
+
+      expect(changes.map(change => change.message)).toEqual([
+        'Added 404 response',
+        'Added response field `data.name` (200, `string`)',
+        'Type of response field `data.id` (200) changed from `integer` to `string`'
+      ]);
+    });
+
+    it('should report deprecations, permissions, operationIds and documentation', () => {
+      const changes = diffSpecs(
+        { '/a': { get: buildOperation({ 'x-nitrado-permissions': ['ROLE_A'] }) } },
+        {
+          '/a': {
+            get: buildOperation({
+              operationId: 'listServices',
+              summary: 'List all services',
+              deprecated: true,
+              'x-nitrado-permissions': ['ROLE_B']
+            })
+          }
+        }
+      );
+
+      expect(changes.map(change => [change.type, change.action])).toEqual([
+        ['operationId', 'changed'],
+        ['deprecation', 'added'],
+        ['permission', 'added'],
+        ['permission', 'removed'],
+        ['documentation', 'changed']
+      ]);
+    });
+
+    it('should report nothing for identical snapshots', () => {
+      const paths = { '/a': { get: buildOperation() } };
+
+      expect(diffSpecs(paths, paths)).toEqual([]);
+    });
+  });
+
+  describe('diffSnapshots', () => {
+    let converter;
+
+    beforeEach(() => {
+      converter = new NitradoAPIConverter({ logLevel: 'quiet' });
+    });
+
+    it('should compare raw snapshots including apiDoc permissions', () => {
+      const head = JSON.parse(JSON.stringify(sampleApiData));
+      head.api[0].permission = [{ name: 'ROLE_COMPANY_READ' }];
+      head.api.pop();
+
+      const report = diffSnapshots(sampleApiData, head, converter);
+
+      expect(report.base.kind).toBe('raw');
+      expect(report.summary).toEqual({
+        addedEndpoints: 0,
+        removedEndpoints: 1,
+        changedEndpoints: 1,
+        totalChanges: 2,
+        breakingChanges: 2
+      });
+      expect(report.changes).toContainEqual(expect.objectContaining({
+        type: 'permission',
+        action: 'added',
+        endpoint: 'GET /company/stats',
+        name: 'ROLE_COMPANY_READ'
+      }));
+    });
+
+    it('should classify each change', () => {
+      const head = JSON.parse(JSON.stringify(sampleApiData));
+      head.api.push({ ...head.api[0], url: '/company/info', name: 'GetInfo' });
+
+      const report = diffSnapshots(sampleApiData, head, converter);
+
+      expect(report.changes).toEqual([expect.objectContaining({ type: 'endpoint', action: 'added', breaking: false })]);
+      expect(report.summary.breakingChanges).toBe(0);
+    });
+
+    it('should compare a raw snapshot with an OpenAPI snapshot', () => {
+      converter.apiData = sampleApiData;
+      const spec = converter.convertToOpenAPI();
+
+      const report = diffSnapshots(sampleApiData, spec, converter);
+
+      expect(report.head.kind).toBe('openapi');
+      expect(report.changes).toEqual([]);
+    });
+  });
+
+  describe('formatType', () => {
+    it('should format unions and enums', () => {
+      expect(formatType({ types: ['null', 'string'], enum: ['a', 'b'] })).toBe('null | string (a, b)');
+      expect(formatType({ types: [] })).toBe('any');
+    });
+  });
+
+  describe('formatMarkdown', () => {
+    it('should group changes by endpoint', () => {
+      const changes = diffSpecs(
+        { '/a': { get: buildOperation() }, '/old': { get: buildOperation({ summary: 'Old' }) } },
+        { '/a': { get: buildOperation({ deprecated: true }) } }
+      );
+      const markdown = formatMarkdown({
+        base: { kind: 'openapi' },
+        head: { kind: 'openapi' },
+        summary: { addedEndpoints: 0, removedEndpoints: 1, changedEndpoints: 1 },
+        changes
+      }, { baseLabel: 'old.json', headLabel: 'new.json' });
+
+      expect(markdown).toContain('Comparing `old.json` (openapi) with `new.json` (openapi).');
+      expect(markdown).toContain('## Removed endpoints\n\n- `GET /old` - Old');
+      expect(markdown).toContain('### `GET /a`\n\n- Endpoint is now deprecated');
+    });
+
+    it('should list breaking changes first and mark them per endpoint', () => {
+      const markdown = formatMarkdown({
+        base: { kind: 'openapi' },
+        head: { kind: 'openapi' },
+        summary: { addedEndpoints: 0, removedEndpoints: 0, changedEndpoints: 1, breakingChanges: 1 },
+        changes: [{
+          type: 'parameter',
+          action: 'added',
+          endpoint: 'GET /a',
+          message: 'Added required query parameter `page` (`integer`)',
+          breaking: true,
+          reason: 'New required parameter'
+        }]
+      });
+
+      expect(markdown).toContain('| Breaking changes | 1 |');
+      expect(markdown).toContain('## Breaking changes\n\n- `GET /a`: Added required query parameter `page` (`integer`) (New required parameter)');
+      expect(markdown).toContain('- **Breaking:** Added required query parameter `page` (`integer`)');
+    });
+
+    it('should say when nothing changed', () => {
+      const markdown = formatMarkdown({ base: { kind: 'raw' }, head: { kind: 'raw' }, summary: {}, changes: [] });
+
+      expect(markdown).toContain('No changes detected.');
+    });
+  });
+});
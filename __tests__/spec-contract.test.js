@@ -0,0 +1,213 @@
+const { URLSearchParams } = require('url');
+const {
+  compilePathTemplate,
+  readQueryParameter,
+  parseFormBody,
+  getMediaType,
+  formatProblems,
+  SpecContract
+} = require('../spec-contract');
+
+const spec = {
+  openapi: '3.1.1',
+  info: { title: 'Test API', version: '1.0.0' },
+  paths: {
+    '/services/{id}/records': {
+      get: {
+        operationId: 'ServicesRecordsList',
+        security: [{ BearerAuth: [] }],
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'integer' } },
+          { name: 'filter', in: 'query', required: false, style: 'deepObject', schema: { type: 'object', properties: { ttl: { type: 'integer' } } } },
+          { name: 'Authorization', in: 'header', required: false, schema: { type: 'string' } }
+        ],
+        responses: {
+          200: {
+            description: 'OK',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Records' } } }
+          },
+          '4XX': { description: 'Client error' }
+        }
+      },
+      post: {
+        operationId: 'ServicesRecordsCreate',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': { schema: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } } },
+            'application/x-www-form-urlencoded': {
+              schema: {
+                type: 'object',
+                properties: {
+                  ttl: { type: 'integer' },
+                  parts: { type: 'object', properties: { slot: { type: 'integer' } } },
+                  ids: { type: 'array', items: { type: 'integer' } }
+                }
+              }
+            }
+          }
+        },
+        responses: { 201: { description: 'Created' } }
+      }
+    },
+    '/services/status': {
+      get: { operationId: 'ServicesStatus', security: [{}], responses: { 204: { description: 'No Content' } } }
+    }
+  },
+  components: {
+    schemas: {
+      Records: { type: 'object', properties: { status: { type: 'string' }, data: { type: 'array', items: { type: 'integer' } } } }
+    }
+  }
+};
+
+describe('spec-contract', () => {
+  let contract;
+
+  beforeEach(() => {
+    contract = new SpecContract(spec);
+  });
+
+  describe('compilePathTemplate', () => {
+    it('should match path templates and capture their parameters', () => {
+      const { pattern, names } = compilePathTemplate('/services/{id}/records.json');
+
+      expect(names).toEqual(['id']);
+      expect(pattern.exec('/services/12/records.json')[1]).toBe('12');
+      expect(pattern.test('/services/12/recordsxjson')).toBe(false);
+      expect(pattern.test('/services/12/34/records.json')).toBe(false);
+    });
+  });
+
+  describe('readQueryParameter', () => {
+    it('should read arrays and deepObject parameters', () => {
+      const searchParams = new URLSearchParams('ids[]=1&ids[]=2&filter[name]=mc&limit=5');
+
+      expect(readQueryParameter(searchParams, { name: 'ids', schema: { type: 'array' } })).toEqual(['1', '2']);
+      expect(readQueryParameter(searchParams, { name: 'filter', style: 'deepObject', schema: { type: 'object' } })).toEqual({ name: 'mc' });
+      expect(readQueryParameter(searchParams, { name: 'limit', schema: { type: 'integer' } })).toBe('5');
+      expect(readQueryParameter(searchParams, { name: 'page', schema: { type: 'integer' } })).toBeUndefined();
+    });
+  });
+
+  describe('helpers', () => {
+    it('should parse nested and repeated form fields', () => {
+      expect(parseFormBody('parts[slot]=10&parts[type]=ts3&ids[]=1&ids[]=2&tag=a&tag=b&name=www')).toEqual({
+        parts: { slot: '10', type: 'ts3' },
+        ids: ['1', '2'],
+        tag: ['a', 'b'],
+        name: 'www'
+      });
+      expect(parseFormBody('__proto__[admin]=1')).toEqual({});
+    });
+
+    it('should extract media types and format problems', () => {
+      expect(getMediaType('application/json; charset=utf-8')).toBe('application/json');
+      expect(getMediaType(undefined)).toBe('');
+      expect(formatProblems([{ location: 'request body', message: 'is required' }, { location: 'route', message: 'is unknown' }]))
+        .toBe('request body is required; route is unknown');
+    });
+  });
+
+  describe('matchRoute', () => {
+    it('should prefer literal paths over templates', () => {
+      expect(contract.matchRoute('GET', '/services/status').route.pathName).toBe('/services/status');
+      expect(contract.matchRoute('GET', '/services/5/records').pathParams).toEqual({ id: '5' });
+    });
+
+    it('should report unknown paths and methods', () => {
+      expect(contract.matchRoute('GET', '/unknown')).toEqual({ status: 404 });
+      expect(contract.matchRoute('DELETE', '/services/5/records')).toEqual({ status: 405, allow: ['GET', 'POST'] });
+    });
+
+    it('should reject path parameters with a malformed percent-encoding', () => {
+      expect(contract.matchRoute('GET', '/services/%zz/records'))
+        .toEqual({ status: 400, message: 'Path parameter "id" has a malformed percent-encoding' });
+      expect(contract.matchRoute('GET', '/services/a%20b/records').pathParams).toEqual({ id: 'a b' });
+    });
+  });
+
+  describe('validateAuthorization', () => {
+    it('should require bearer tokens only for secured operations', () => {
+      const { get } = spec.paths['/services/{id}/records'];
+
+      expect(contract.validateAuthorization(get, { headers: {} })).toEqual([{ location: 'header "Authorization"', message: 'must carry a bearer token' }]);
+      expect(contract.validateAuthorization(get, { headers: { authorization: 'Bearer abc' } })).toEqual([]);
+      expect(contract.validateAuthorization(spec.paths['/services/status'].get, { headers: {} })).toEqual([]);
+    });
+
+    it('should accept the access token as query parameter when the security allows it', () => {
+      const querySpec = {
+        ...spec,
+        components: {
+          ...spec.components,
+          securitySchemes: {
+            NitradoOAuth2: { type: 'oauth2', flows: {} },
+            AccessTokenQuery: { type: 'apiKey', in: 'query', name: 'access_token' }
+          }
+        }
+      };
+      const queryContract = new SpecContract(querySpec);
+      const operation = { security: [{ NitradoOAuth2: ['ROLE_OWNER'] }, { AccessTokenQuery: [] }] };
+
+      expect(queryContract.findCredential(operation, { headers: {}, searchParams: new URLSearchParams('access_token=abc') })).toBe('abc');
+      expect(queryContract.findCredential(operation, { headers: { authorization: 'Bearer def' }, searchParams: new URLSearchParams() })).toBe('def');
+      expect(queryContract.validateAuthorization(operation, { headers: {}, searchParams: new URLSearchParams('token=abc') })).toEqual([
+        { location: 'header "Authorization"', message: 'must carry a bearer token or the "access_token" query parameter' }
+      ]);
+    });
+  });
+
+  describe('validateRequest', () => {
+    it('should coerce and validate path and deepObject query parameters', () => {
+      const { route, operation, pathParams } = contract.matchRoute('GET', '/services/5/records');
+      const validate = query => contract.validateRequest(route, operation, {
+        pathParams,
+        searchParams: new URLSearchParams(query),
+        headers: {}
+      });
+
+      expect(validate('filter[ttl]=60')).toEqual([]);
+      expect(validate('filter[ttl]=soon')).toEqual([{ location: 'query parameter "filter"/ttl', message: 'must be integer' }]);
+    });
+
+    it('should validate JSON and form bodies by content type', () => {
+      const { route, operation } = contract.matchRoute('POST', '/services/5/records');
+      const validate = (body, contentType) => contract.validateRequest(route, operation, {
+        pathParams: {},
+        searchParams: new URLSearchParams(),
+        headers: { 'content-type': contentType },
+        body
+      });
+
+      expect(validate('{"name":"www"}', 'application/json')).toEqual([]);
+      expect(validate('{}', 'application/json')).toEqual([{ location: 'request body', message: 'must have required property \'name\'' }]);
+      expect(validate('ttl=60', 'application/x-www-form-urlencoded')).toEqual([]);
+      expect(validate('parts[slot]=10&ids[]=1&ids[]=2', 'application/x-www-form-urlencoded')).toEqual([]);
+      expect(validate('ids=1&ids=2', 'application/x-www-form-urlencoded')).toEqual([]);
+      expect(validate('parts[slot]=many', 'application/x-www-form-urlencoded'))
+        .toEqual([{ location: 'request body/parts/slot', message: 'must be integer' }]);
+      expect(validate('', 'application/json')).toEqual([{ location: 'request body', message: 'is required' }]);
+      expect(validate('<xml/>', 'text/xml')[0].location).toBe('request body');
+    });
+  });
+
+  describe('validateResponse', () => {
+    const { get } = spec.paths['/services/{id}/records'];
+    const jsonHeaders = { 'content-type': 'application/json' };
+
+    it('should validate documented bodies against referenced schemas', () => {
+      expect(contract.validateResponse(get, { status: 200, headers: jsonHeaders, body: '{"status":"success","data":[1]}' })).toEqual([]);
+      expect(contract.validateResponse(get, { status: 200, headers: jsonHeaders, body: '{"data":["a"]}' }))
+        .toEqual([{ location: 'response body/data/0', message: 'must be integer' }]);
+      expect(contract.validateResponse(get, { status: 200, headers: { 'content-type': 'text/html' }, body: '<html>' })[0].message)
+        .toBe('has content type "text/html" instead of application/json');
+    });
+
+    it('should report undocumented statuses and accept documented ranges', () => {
+      expect(contract.validateResponse(get, { status: 404, headers: {}, body: '' })).toEqual([]);
+      expect(contract.validateResponse(get, { status: 503, headers: {}, body: '' }))
+        .toEqual([{ location: 'response status', message: '503 is not documented' }]);
+    });
+  });
+});
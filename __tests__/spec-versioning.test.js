@@ -0,0 +1,137 @@
+const {
+  parseVersion,
+  compareVersions,
+  bumpVersion,
+  determineBump,
+  resolveSpecVersion
+} = require('../spec-versioning');
+
+const buildSpec = (version, paths) => ({
+  openapi: '3.1.1',
+  info: { title: 'Test API', version },
+  paths
+});
+
+const operation = (overrides = {}) => ({
+  operationId: 'getThing',
+  summary: 'Get thing',
+  parameters: [],
+  responses: { 200: { description: 'OK' } },
+  ...overrides
+});
+
+describe('spec-versioning', () => {
+  describe('parseVersion', () => {
+    it('should parse plain semver versions only', () => {
+      expect(parseVersion('1.2.3')).toEqual([1, 2, 3]);
+      expect(parseVersion('v1.2')).toBeNull();
+      expect(parseVersion(undefined)).toBeNull();
+    });
+  });
+
+  describe('compareVersions', () => {
+    it('should order versions numerically', () => {
+      expect(compareVersions([1, 10, 0], [1, 9, 9])).toBeGreaterThan(0);
+      expect(compareVersions([1, 0, 0], [1, 0, 0])).toBe(0);
+    });
+  });
+
+  describe('bumpVersion', () => {
+    it('should reset lower components', () => {
+      expect(bumpVersion('1.2.3', 'major')).toBe('2.0.0');
+      expect(bumpVersion('1.2.3', 'minor')).toBe('1.3.0');
+      expect(bumpVersion('1.2.3', 'patch')).toBe('1.2.4');
+      expect(bumpVersion('1.2.3', 'none')).toBe('1.2.3');
+    });
+  });
+
+  describe('determineBump', () => {
+    it('should pick major for breaking changes', () => {
+      const result = determineBump([
+        { type: 'endpoint', action: 'removed', endpoint: 'GET /a', message: 'Removed endpoint `GET /a`', breaking: true },
+        { type: 'endpoint', action: 'added', endpoint: 'GET /b', message: 'Added endpoint `GET /b`', breaking: false }
+      ]);
+
+      expect(result).toEqual({ bump: 'major', reason: '1 breaking change(s): Removed endpoint `GET /a`' });
+    });
+
+    it('should pick minor for compatible additions', () => {
+      const result = determineBump([
+        { type: 'parameter', action: 'added', endpoint: 'GET /a', message: 'Added optional query parameter `page`', breaking: false }
+      ]);
+
+      expect(result).toEqual({ bump: 'minor', reason: '1 compatible change(s): GET /a: Added optional query parameter `page`' });
+    });
+
+    it('should pick patch for documentation-only changes', () => {
+      const result = determineBump([
+        { type: 'documentation', action: 'changed', endpoint: 'GET /a', message: 'Updated summary', breaking: false }
+      ]);
+
+      expect(result.bump).toBe('patch');
+    });
+
+    it('should limit the examples in the reason', () => {
+      const changes = ['a', 'b', 'c', 'd', 'e'].map(name => ({
+        type: 'endpoint', action: 'added', endpoint: `GET /${name}`, message: `Added endpoint \`GET /${name}\``, breaking: false
+      }));
+
+      expect(determineBump(changes).reason).toMatch(/GET \/c`; and 2 more$/);
+    });
+  });
+
+  describe('resolveSpecVersion', () => {
+    it('should use the configured version without previous output', () => {
+      expect(resolveSpecVersion(null, buildSpec('1.0.0', {}), '1.0.0')).toEqual({
+        version: '1.0.0',
+        previousVersion: null,
+        bump: 'none',
+        reason: 'No previous output; using the configured version'
+      });
+    });
+
+    it('should bump the previous version by the detected changes', () => {
+      const previous = buildSpec('1.4.2', { '/a': { get: operation() } });
+      const spec = buildSpec('1.0.0', { '/a': { get: operation() }, '/b': { get: operation({ operationId: 'getB' }) } });
+
+      expect(resolveSpecVersion(previous, spec, '1.0.0')).toMatchObject({
+        version: '1.5.0',
+        previousVersion: '1.4.2',
+        bump: 'minor'
+      });
+    });
+
+    it('should bump major when an operation is removed', () => {
+      const previous = buildSpec('1.4.2', { '/a': { get: operation() } });
+
+      expect(resolveSpecVersion(previous, buildSpec('1.0.0', {}), '1.0.0').version).toBe('2.0.0');
+    });
+
+    it('should keep the previous record when nothing changed', () => {
+      const previous = buildSpec('2.0.0', { '/a': { get: operation() } });
+      previous.info['x-nitrado-versioning'] = { previousVersion: '1.0.0', bump: 'major', reason: 'Removed things' };
+
+      expect(resolveSpecVersion(previous, buildSpec('1.0.0', { '/a': { get: operation() } }), '1.0.0')).toEqual({
+        version: '2.0.0',
+        previousVersion: '1.0.0',
+        bump: 'major',
+        reason: 'Removed things'
+      });
+    });
+
+    it('should honor a configured version ahead of the previous output', () => {
+      const previous = buildSpec('1.4.2', { '/a': { get: operation() } });
+
+      expect(resolveSpecVersion(previous, buildSpec('3.0.0', {}), '3.0.0')).toMatchObject({
+        version: '3.0.0',
+        reason: 'Configured version is newer than the previous output'
+      });
+    });
+
+    it('should fall back to the configured version when the previous version is not semver', () => {
+      const previous = buildSpec('latest', {});
+
+      expect(resolveSpecVersion(previous, buildSpec('1.0.0', {}), '1.0.0').version).toBe('1.0.0');
+    });
+  });
+});
@@ -0,0 +1,51 @@
+const NitradoAPIConverter = require('../converter');
+const { DECLARATIONS_FILENAME, generateTypeDeclarations } = require('../typescript-declarations');
+const { sampleApiData } = require('./fixtures/sampleData');
+
+describe('typescript-declarations', () => {
+  let spec;
+  let declarations;
+
+  beforeEach(() => {
+    const converter = new NitradoAPIConverter({ logLevel: 'quiet' });
+    converter.apiData = sampleApiData;
+    spec = converter.convertToOpenAPI();
+    declarations = generateTypeDeclarations(spec);
+  });
+
+  it('should be named nitrado-types.d.ts', () => {
+    expect(DECLARATIONS_FILENAME).toBe('nitrado-types.d.ts');
+  });
+
+  it('should declare the response envelope and component schemas', () => {
+    expect(declarations).toMatch(/^\/\/ Types for Nitrado API /);
+    expect(declarations).toContain('export interface NitradoEnvelope<TData = unknown> {\n  status: string;\n  message?: string;\n  data?: TData;\n}');
+    expect(declarations).toContain('export interface Error {');
+  });
+
+  it('should type envelope data, request bodies and parameters per operation', () => {
+    const { operationId } = spec.paths['/domain/{domain}/service'].post;
+
+    expect(declarations).toContain('export interface CompanyCompanyStatsGetStatsData {\n  employee_count?: number;\n}');
+    expect(declarations).toContain('export type CompanyCompanyStatsGetStatsResponse = NitradoEnvelope<CompanyCompanyStatsGetStatsData>;');
+    expect(declarations).toContain(`export interface ${operationId}Params {`);
+    expect(declarations).toContain(`export interface ${operationId}RequestBody {`);
+  });
+
+  it('should key operations by operationId', () => {
+    const { operationId } = spec.paths['/domain/{domain}/service'].post;
+
+    expect(declarations).toContain(
+      '  CompanyCompanyStatsGetStats: {\n' +
+      '    method: \'GET\';\n' +
+      '    path: \'/company/stats\';\n' +
+      '    params: never;\n' +
+      '    requestBody: never;\n' +
+      '    response: CompanyCompanyStatsGetStatsResponse;\n' +
+      '  };'
+    );
+    expect(declarations).toMatch(new RegExp(`@deprecated\\n {3}\\*/\\n {2}${operationId}: \\{`));
+    expect(declarations).toContain('export type OperationId = keyof Operations;');
+    expect(declarations).toContain('export type OperationResponse<TOperationId extends OperationId> = Operations[TOperationId][\'response\'];');
+  });
+});
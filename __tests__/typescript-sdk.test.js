@@ -0,0 +1,89 @@
+const NitradoAPIConverter = require('../converter');
+const { PACKAGE_NAME, generateTypeScriptSDK } = require('../typescript-sdk');
+const { sampleApiData } = require('./fixtures/sampleData');
+
+describe('typescript-sdk', () => {
+  let spec;
+  let files;
+
+  beforeEach(() => {
+    const converter = new NitradoAPIConverter({ logLevel: 'quiet' });
+    converter.apiData = sampleApiData;
+    spec = converter.convertToOpenAPI();
+    files = generateTypeScriptSDK(spec);
+  });
+
+  it('should generate a buildable package layout', () => {
+    expect(Object.keys(files)).toEqual([
+      'package.json',
+      'tsconfig.json',
+      'README.md',
+      'src/index.ts',
+      'src/client.ts',
+      'src/types.ts'
+    ]);
+
+    const packageJson = JSON.parse(files['package.json']);
+    expect(packageJson).toMatchObject({ name: PACKAGE_NAME, version: '1.0.0', main: 'dist/index.js', types: 'dist/index.d.ts' });
+    expect(packageJson.dependencies).toBeUndefined();
+    expect(packageJson.license).toBe('UNLICENSED');
+    expect(JSON.parse(files['tsconfig.json']).compilerOptions).toMatchObject({ rootDir: 'src', outDir: 'dist', strict: true });
+  });
+
+  it('should group one method per operation by tag', () => {
+    const client = files['src/client.ts'];
+
+    expect(client).toContain('export const DEFAULT_BASE_URL = \'https://api.nitrado.net\';');
+    expect(client).toContain('  readonly company = {');
+    expect(client).toContain('  readonly gameMinecraft = {');
+    expect(client).toMatch(/ {2}};\n}\n$/);
+    expect(client).toContain(
+      '    companyCompanyStatsGetStats: (): Promise<Types.CompanyCompanyStatsGetStatsResponse> =>\n' +
+      '      this.request<Types.CompanyCompanyStatsGetStatsResponse>({ method: \'GET\', path: \'/company/stats\', auth: false })'
+    );
+  });
+
+  it('should pass parameters and bodies and mark deprecated operations', () => {
+    const client = files['src/client.ts'];
+    const operation = spec.paths['/domain/{domain}/service'].post;
+    const methodName = operation.operationId.charAt(0).toLowerCase() + operation.operationId.slice(1);
+
+    expect(client).toContain(`    ${methodName}: (params: Types.${operation.operationId}Params, body: Types.${operation.operationId}RequestBody)`);
+    expect(client).toContain('path: \'/domain/{domain}/service\', params, body, auth: true');
+    expect(client).toMatch(new RegExp(`\\* @deprecated\\n {5}\\*/\\n {4}${methodName}:`));
+  });
+
+  it('should take the package license from the spec and fall back to UNLICENSED', () => {
+    const license = info => JSON.parse(generateTypeScriptSDK({ ...spec, info })['package.json']).license;
+
+    expect(license({ ...spec.info, license: { name: 'Apache 2.0', identifier: 'Apache-2.0' } })).toBe('Apache-2.0');
+    expect(license({ ...spec.info, license: { name: 'Proprietary' } })).toBe('UNLICENSED');
+    expect(license({ ...spec.info, license: undefined })).toBe('UNLICENSED');
+  });
+
+  it('should send namespaced parameters under their own names', () => {
+    spec.paths['/company/stats'].get.parameters = [
+      { name: 'id', in: 'query', required: false, schema: { type: 'string' } },
+      { name: 'id', in: 'header', required: false, schema: { type: 'string' } }
+    ];
+    const client = generateTypeScriptSDK(spec)['src/client.ts'];
+
+    expect(client).toContain('queryParams: [[\'query.id\', \'id\']], headerParams: [[\'header.id\', \'id\']]');
+  });
+
+  it('should take a bearer token and a pluggable fetch', () => {
+    const client = files['src/client.ts'];
+
+    expect(client).toContain('  token?: string;');
+    expect(client).toContain('  fetch?: FetchLike;');
+    expect(client).toContain('headers.Authorization = `Bearer ${this.token}`;');
+  });
+
+  it('should emit request and response types from the inferred schemas', () => {
+    const types = files['src/types.ts'];
+
+    expect(types).toContain('export interface CompanyCompanyStatsGetStatsResponse {\n  status?: string;\n  data?: {\n    employee_count?: number;\n  };\n}');
+    expect(types).toContain('export interface Error {');
+    expect(files['src/index.ts']).toContain('export * from \'./client\';\nexport * from \'./types\';');
+  });
+});
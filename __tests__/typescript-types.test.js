@@ -0,0 +1,193 @@
+const {
+  toPascalCase,
+  toCamelCase,
+  formatLiteral,
+  formatPropertyKey,
+  formatDocComment,
+  schemaToType,
+  renderTypeDeclaration,
+  describeOperations,
+  getEnvelopeDataSchema,
+  renderOperationTypes
+} = require('../typescript-types');
+
+const spec = {
+  openapi: '3.1.1',
+  info: { title: 'Test API', version: '1.0.0' },
+  paths: {
+    '/services/{id}/records': {
+      post: {
+        operationId: 'ServicesRecordsCreate',
+        tags: ['Game_Minecraft'],
+        summary: 'Create record',
+        security: [{ BearerAuth: [] }],
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'integer' }, description: 'Service ID' },
+          { name: 'dry_run', in: 'query', required: false, schema: { type: 'boolean' } },
+          { name: 'Authorization', in: 'header', required: false, schema: { type: 'string' } }
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'OK',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Record' } } }
+          },
+          401: { description: 'Unauthorized' }
+        }
+      }
+    },
+    '/ping': {
+      get: { operationId: 'Ping', responses: { 204: { description: 'No Content' } } }
+    }
+  },
+  components: { schemas: { Record: { type: 'object', properties: { id: { type: 'integer' } } } } }
+};
+
+describe('typescript-types', () => {
+  describe('naming', () => {
+    it('should convert names to PascalCase and camelCase', () => {
+      expect(toPascalCase('Game_Minecraft')).toBe('GameMinecraft');
+      expect(toPascalCase('server-list')).toBe('ServerList');
+      expect(toPascalCase('2fa')).toBe('_2fa');
+      expect(toCamelCase('CompanyStatsGetStats')).toBe('companyStatsGetStats');
+    });
+
+    it('should quote literals and non-identifier keys with single quotes', () => {
+      expect(formatLiteral('it\'s "ok"')).toBe('\'it\\\'s "ok"\'');
+      expect(formatLiteral(3)).toBe('3');
+      expect(formatPropertyKey('employee_count')).toBe('employee_count');
+      expect(formatPropertyKey('content-type')).toBe('\'content-type\'');
+    });
+
+    it('should format doc comments and escape comment terminators', () => {
+      expect(formatDocComment('')).toBe('');
+      expect(formatDocComment('One line */', '  ')).toBe('  /** One line *\\/ */\n');
+      expect(formatDocComment('First\n\nSecond')).toBe('/**\n * First\n *\n * Second\n */\n');
+    });
+  });
+
+  describe('schemaToType', () => {
+    it('should convert primitive, union and enum schemas', () => {
+      expect(schemaToType({ type: 'integer' })).toBe('number');
+      expect(schemaToType({ type: ['string', 'null'] })).toBe('string | null');
+      expect(schemaToType({ type: 'string', nullable: true })).toBe('string | null');
+      expect(schemaToType({ enum: ['started', 'stopped'] })).toBe('\'started\' | \'stopped\'');
+      expect(schemaToType({ const: 'success' })).toBe('\'success\'');
+      expect(schemaToType({})).toBe('unknown');
+    });
+
+    it('should convert arrays, references and compositions', () => {
+      expect(schemaToType({ type: 'array', items: { $ref: '#/components/schemas/game_server' } })).toBe('Array<GameServer>');
+      expect(schemaToType({ allOf: [{ $ref: '#/components/schemas/A' }, { $ref: '#/components/schemas/B' }] })).toBe('A & B');
+      expect(schemaToType({ oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }] })).toBe('string | Array<string>');
+    });
+
+    it('should render object members with optional markers and docs', () => {
+      expect(schemaToType({
+        type: 'object',
+        required: ['id'],
+        properties: { id: { type: 'integer', description: 'Identifier' }, 'x-tag': { type: 'string' } }
+      })).toBe('{\n  /** Identifier */\n  id: number;\n  \'x-tag\'?: string;\n}');
+      expect(schemaToType({ type: 'object' })).toBe('{\n  [key: string]: unknown;\n}');
+    });
+  });
+
+  describe('renderTypeDeclaration', () => {
+    it('should use interfaces for object schemas and aliases otherwise', () => {
+      expect(renderTypeDeclaration('Status', { type: 'string', enum: ['a'], description: 'Status' }))
+        .toBe('/** Status */\nexport type Status = \'a\';\n');
+      expect(renderTypeDeclaration('Record', spec.components.schemas.Record))
+        .toBe('export interface Record {\n  id?: number;\n}\n');
+    });
+  });
+
+  describe('describeOperations', () => {
+    it('should collect parameters, bodies and success schemas per operation', () => {
+      const [create, ping] = describeOperations(spec);
+
+      expect(create).toMatchObject({
+        operationId: 'ServicesRecordsCreate',
+        typeName: 'ServicesRecordsCreate',
+        methodName: 'servicesRecordsCreate',
+        tag: 'Game_Minecraft',
+        method: 'post',
+        path: '/services/{id}/records',
+        isPublic: false,
+        requestBody: { required: true },
+        responseSchemas: [{ $ref: '#/components/schemas/Record' }]
+      });
+      expect(create.pathParameters.map(parameter => parameter.name)).toEqual(['id']);
+      expect(create.queryParameters.map(parameter => parameter.name)).toEqual(['dry_run']);
+      expect(create.headerParameters).toEqual([]);
+      expect(ping).toMatchObject({ tag: 'Default', isPublic: true, requestBody: null, responseSchemas: [] });
+    });
+  });
+
+  describe('describeOperations', () => {
+    it('should namespace parameters sharing a name across locations', () => {
+      const collidingSpec = {
+        ...spec,
+        paths: {
+          '/services/{id}/records': {
+            get: {
+              operationId: 'ServicesRecordsList',
+              parameters: [
+                { name: 'id', in: 'path', required: true, schema: { type: 'integer' } },
+                { name: 'id', in: 'query', required: false, schema: { type: 'string' } },
+                { name: 'limit', in: 'query', required: false, schema: { type: 'integer' } }
+              ],
+              responses: { 204: { description: 'No Content' } }
+            }
+          }
+        }
+      };
+      const [list] = describeOperations(collidingSpec);
+
+      expect(list.pathParameters.map(parameter => parameter.key)).toEqual(['path.id']);
+      expect(list.queryParameters.map(parameter => parameter.key)).toEqual(['query.id', 'limit']);
+      expect(renderOperationTypes(list)).toContain(
+        'export interface ServicesRecordsListParams {\n  \'path.id\': number;\n  \'query.id\'?: string;\n  limit?: number;\n}'
+      );
+    });
+  });
+
+  describe('renderOperationTypes', () => {
+    it('should name types after the operationId', () => {
+      const [create, ping] = describeOperations(spec);
+      const output = renderOperationTypes(create);
+
+      expect(output).toContain('export interface ServicesRecordsCreateParams {\n  /** Service ID */\n  id: number;\n  dry_run?: boolean;\n}');
+      expect(output).toContain('export interface ServicesRecordsCreateRequestBody {\n  name: string;\n}');
+      expect(output).toContain('export type ServicesRecordsCreateResponse = Record;');
+      expect(renderOperationTypes(ping)).toContain('export type PingResponse = void;');
+    });
+
+    it('should unwrap status and data envelopes when asked to', () => {
+      const [create] = describeOperations(spec);
+      const envelope = {
+        type: 'object',
+        properties: { status: { type: 'string' }, data: { type: 'object', properties: { id: { type: 'integer' } } } }
+      };
+      const output = renderOperationTypes({ ...create, responseSchemas: [envelope] }, { envelopes: true });
+
+      expect(output).toContain('export interface ServicesRecordsCreateData {\n  id?: number;\n}');
+      expect(output).toContain('export type ServicesRecordsCreateResponse = NitradoEnvelope<ServicesRecordsCreateData>;');
+    });
+  });
+
+  describe('getEnvelopeDataSchema', () => {
+    it('should only match status, message and data objects', () => {
+      expect(getEnvelopeDataSchema({ type: 'object', properties: { status: {}, data: { type: 'string' } } })).toEqual({ type: 'string' });
+      expect(getEnvelopeDataSchema({ type: 'object', properties: { status: {}, message: {} } })).toBeNull();
+      expect(getEnvelopeDataSchema({ type: 'object', properties: { status: {}, total: {} } })).toBeUndefined();
+      expect(getEnvelopeDataSchema({ $ref: '#/components/schemas/Record' })).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const {
+  cleanUrl,
+  buildParameterNameMap,
+  reconcileParameterNames,
+  normalizeUrls
+} = require('../url-normalizer');
+
+describe('URL Normalizer', () => {
+  describe('cleanUrl', () => {
+    it('should leave well-formed URLs untouched', () => {
+      expect(cleanUrl('/services/:id/gameservers')).toEqual({
+        url: '/services/:id/gameservers',
+        fixes: []
+      });
+    });
+
+    it('should add a leading slash', () => {
+      expect(cleanUrl('services/:service_id/gameservers/games/atlas/maps')).toEqual({
+        url: '/services/:service_id/gameservers/games/atlas/maps',
+        fixes: ['added leading slash']
+      });
+    });
+
+    it('should collapse duplicate slashes and strip trailing slashes and query strings', () => {
+      expect(cleanUrl(' //domain//contact/?page=1 ')).toEqual({
+        url: '/domain/contact',
+        fixes: ['trimmed whitespace', 'stripped query string', 'collapsed duplicate slashes', 'stripped trailing slash']
+      });
+    });
+
+    it('should keep the root path', () => {
+      expect(cleanUrl('/').url).toBe('/');
+    });
+  });
+
+  describe('buildParameterNameMap', () => {
+    it('should pick the most common name per position', () => {
+      const map = buildParameterNameMap([
+        '/services/:id',
+        '/services/:id/gameservers',
+        '/services/:service_id/gameservers/games/atlas/maps',
+        '/domain/:domain/service'
+      ]);
+
+      expect(map).toEqual({
+        'services': 'id',
+        'domain': 'domain'
+      });
+    });
+
+    it('should break ties alphabetically', () => {
+      expect(buildParameterNameMap(['/a/:zeta', '/a/:alpha/b'])).toEqual({ a: 'alpha' });
+    });
+  });
+
+  describe('reconcileParameterNames', () => {
+    it('should rename parameters and report the renames', () => {
+      const result = reconcileParameterNames('/services/:service_id/users/:user_id', {
+        'services': 'id',
+        'services/:/users': 'user_id'
+      });
+
+      expect(result).toEqual({
+        url: '/services/:id/users/:user_id',
+        renames: { service_id: 'id' }
+      });
+    });
+
+    it('should keep a parameter name when the canonical name is taken by another parameter', () => {
+      const result = reconcileParameterNames('/services/:service_id/users/:id/roles/:role', {
+        'services': 'id',
+        'services/:/users': 'user_id',
+        'services/:/users/:/roles': 'id'
+      });
+
+      expect(result).toEqual({
+        url: '/services/:service_id/users/:user_id/roles/:role',
+        renames: { id: 'user_id' }
+      });
+    });
+  });
+
+  describe('normalizeUrls', () => {
+    it('should combine structural fixes and parameter renames', () => {
+      const [first, second] = normalizeUrls([
+        '/services/:id/gameservers',
+        'services/:service_id/gameservers/games/atlas/maps'
+      ]);
+
+      expect(first.fixes).toEqual([]);
+      expect(second).toEqual({
+        url: '/services/:id/gameservers/games/atlas/maps',
+        renames: { service_id: 'id' },
+        fixes: ['added leading slash', 'renamed parameter :service_id to :id']
+      });
+    });
+  });
+});
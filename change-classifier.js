@@ -0,0 +1,105 @@
+/**
+ * Compatibility classification of snapshot changes
+ * Follows OpenAPI compatibility rules: clients built against the base snapshot must keep working
+ */
+
+const EXIT_CODE_BREAKING = 2;
+
+/**
+ * Check whether every value accepted by one type is accepted by another
+ * An empty type list accepts anything and integers are a subset of numbers
+ */
+function acceptsAll(wider, narrower) {
+  if (!wider || !narrower) {
+    return false;
+  }
+
+  const typesCovered = wider.types.length === 0 || (
+    narrower.types.length > 0 &&
+    narrower.types.every(type => wider.types.includes(type) || (type === 'integer' && wider.types.includes('number')))
+  );
+  const enumCovered = !wider.enum || (
+    Array.isArray(narrower.enum) && narrower.enum.every(value => wider.enum.includes(value))
+  );
+
+  return typesCovered && enumCovered;
+}
+
+/**
+ * Check whether a response status is a success status
+ */
+function isSuccessStatus(status) {
+  return /^2(\d\d|XX)$/i.test(String(status));
+}
+
+/**
+ * Explain why a change breaks clients, or return null when it is compatible
+ */
+function getBreakingReason(change) {
+  switch (change.type) {
+    case 'endpoint':
+      return change.action === 'removed' ? 'Removed operation' : null;
+
+    case 'operationId':
+      return 'Changed operationId renames generated client methods';
+
+    case 'permission':
+      return change.action === 'added' ? 'Existing tokens may lack the new permission' : null;
+
+    case 'parameter':
+      if (change.action === 'added') {
+        return change.required ? 'New required parameter' : null;
+      }
+      if (change.action === 'removed') {
+        return 'Removed parameter';
+      }
+      if (change.property === 'required') {
+        return change.to ? 'Parameter became required' : null;
+      }
+      // Requests must accept everything they accepted before
+      return acceptsAll(change.to, change.from) ? null : 'Narrowed parameter type';
+
+    case 'response':
+      return change.action === 'removed' && isSuccessStatus(change.status) ? 'Removed success response' : null;
+
+    case 'responseField':
+      if (change.action === 'removed') {
+        return 'Removed response field';
+      }
+      if (change.action === 'changed') {
+        // Responses must not return anything clients did not expect before
+        return acceptsAll(change.from, change.to) ? null : 'Changed response field type';
+      }
+      return null;
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Annotate each change with whether it breaks existing clients
+ */
+function classifyChanges(changes) {
+  return changes.map(change => {
+    const reason = getBreakingReason(change);
+    return reason
+      ? { ...change, breaking: true, reason }
+      : { ...change, breaking: false };
+  });
+}
+
+/**
+ * Check whether any classified change is breaking
+ */
+function hasBreakingChanges(changes) {
+  return changes.some(change => change.breaking);
+}
+
+module.exports = {
+  EXIT_CODE_BREAKING,
+  acceptsAll,
+  getBreakingReason,
+  classifyChanges,
+  hasBreakingChanges
+};
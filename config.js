@@ -24,11 +24,33 @@ class Config {
       .option('--contact-name <name>', 'Contact name for OpenAPI spec', process.env.NITRADO_CONTACT_NAME || 'Nitrado Support')
       .option('--contact-url <url>', 'Contact URL for OpenAPI spec', process.env.NITRADO_CONTACT_URL || 'https://nitrado.net/support')
       .option('--license-url <url>', 'License URL for OpenAPI spec', process.env.NITRADO_LICENSE_URL || 'https://nitrado.net/terms')
+      .option('--parameter-placement <strategy>', 'Placement of apiDoc Parameter fields: auto, query or body', process.env.NITRADO_PARAMETER_PLACEMENT || 'auto')
+      .option('--parameter-placement-overrides <list>', 'Per-endpoint placements, e.g. "POST /oauth/token=query,DELETE /foo=body"', process.env.NITRADO_PARAMETER_PLACEMENT_OVERRIDES)
+      .option('--overrides <file>', 'JSON or YAML file with manual fixes for upstream documentation mistakes', process.env.NITRADO_OVERRIDES)
+      .option('--operation-id-strategy <strategy>', 'operationId naming: auto, auto-compact, name, group+name, method+path or a template such as "{group}_{name}"', process.env.NITRADO_OPERATION_ID_STRATEGY || 'auto')
+      .option('--operation-id-case <style>', 'Case style of built operationIds: PascalCase, camelCase or snake_case', process.env.NITRADO_OPERATION_ID_CASE || 'PascalCase')
+      .option('--description-format <format>', 'Format of converted descriptions: html, markdown or text', process.env.NITRADO_DESCRIPTION_FORMAT || 'markdown')
+      .option('--format <format>', 'Output format of the OpenAPI spec: json, yaml or both', process.env.NITRADO_OUTPUT_FORMAT || 'json')
+      .option('--targets <list>', 'Additional outputs, comma separated: openapi-3.0, postman, sdk-ts', process.env.NITRADO_TARGETS)
+      .option('--versioning <mode>', 'Spec versioning: auto (semver bump against the previous output) or fixed', process.env.NITRADO_VERSIONING || 'auto')
+      .option('--report-format <format>', 'Format of validation and diff reports: text or json', process.env.NITRADO_REPORT_FORMAT || 'text')
+      .option('--base <file>', 'Previous snapshot to compare against (diff)', process.env.NITRADO_DIFF_BASE)
+      .option('--head <file>', 'Snapshot to compare (diff), defaults to <output-dir>/nitrado-openapi.json', process.env.NITRADO_DIFF_HEAD)
+      .option('--mock-port <port>', 'Port of the mock server (serve-mock)', process.env.NITRADO_MOCK_PORT || '4010')
+      .option('--mock-host <host>', 'Host the mock server binds to (serve-mock)', process.env.NITRADO_MOCK_HOST || '127.0.0.1')
+      .option('--mock-token <token>', 'Bearer token the mock server accepts, any token when unset (serve-mock)', process.env.NITRADO_MOCK_TOKEN)
+      .option('--upstream <url>', 'Upstream the validation proxy forwards to, defaults to the server URL (proxy)', process.env.NITRADO_PROXY_UPSTREAM)
+      .option('--proxy-port <port>', 'Port of the validation proxy (proxy)', process.env.NITRADO_PROXY_PORT || '4020')
+      .option('--proxy-host <host>', 'Host the validation proxy binds to (proxy)', process.env.NITRADO_PROXY_HOST || '127.0.0.1')
+      .option('--violations-file <file>', 'JSON lines file for contract violations, defaults to <output-dir>/nitrado-contract-violations.jsonl (proxy)', process.env.NITRADO_VIOLATIONS_FILE)
+      .option('--log-level <level>', 'Log level: quiet, normal, verbose or debug')
+      .option('--quiet', 'Only log errors and results', false)
       .option('--verbose', 'Enable verbose logging', false)
-      .option('--dry-run', 'Run without making actual API calls or writing files', false);
+      .option('--debug', 'Enable debug logging', false)
+      .option('--dry-run', 'Run without writing files and print what would be written', false);
   }
 
-  getConfig() {
+  getConfig({ requireApiUrl = true } = {}) {
     program.parse();
     const options = program.opts();
 
@@ -42,12 +64,34 @@ class Config {
       contactName: options.contactName || process.env.NITRADO_CONTACT_NAME || 'Nitrado Support',
       contactUrl: options.contactUrl || process.env.NITRADO_CONTACT_URL || 'https://nitrado.net/support',
       licenseUrl: options.licenseUrl || process.env.NITRADO_LICENSE_URL || 'https://nitrado.net/terms',
+      parameterPlacement: options.parameterPlacement || process.env.NITRADO_PARAMETER_PLACEMENT || 'auto',
+      parameterPlacementOverrides: Config.parsePlacementOverrides(
+        options.parameterPlacementOverrides || process.env.NITRADO_PARAMETER_PLACEMENT_OVERRIDES
+      ),
+      overrides: options.overrides || process.env.NITRADO_OVERRIDES,
+      operationIdStrategy: options.operationIdStrategy || process.env.NITRADO_OPERATION_ID_STRATEGY || 'auto',
+      operationIdCase: options.operationIdCase || process.env.NITRADO_OPERATION_ID_CASE || 'PascalCase',
+      descriptionFormat: options.descriptionFormat || process.env.NITRADO_DESCRIPTION_FORMAT || 'markdown',
+      outputFormat: options.format || process.env.NITRADO_OUTPUT_FORMAT || 'json',
+      targets: Config.parseList(options.targets || process.env.NITRADO_TARGETS),
+      versioning: options.versioning || process.env.NITRADO_VERSIONING || 'auto',
+      reportFormat: options.reportFormat || process.env.NITRADO_REPORT_FORMAT || 'text',
+      diffBase: options.base || process.env.NITRADO_DIFF_BASE,
+      diffHead: options.head || process.env.NITRADO_DIFF_HEAD,
+      mockPort: Number(options.mockPort || process.env.NITRADO_MOCK_PORT || 4010),
+      mockHost: options.mockHost || process.env.NITRADO_MOCK_HOST || '127.0.0.1',
+      mockToken: options.mockToken || process.env.NITRADO_MOCK_TOKEN,
+      proxyUpstream: options.upstream || process.env.NITRADO_PROXY_UPSTREAM,
+      proxyPort: Number(options.proxyPort || process.env.NITRADO_PROXY_PORT || 4020),
+      proxyHost: options.proxyHost || process.env.NITRADO_PROXY_HOST || '127.0.0.1',
+      violationsFile: options.violationsFile || process.env.NITRADO_VIOLATIONS_FILE,
       verbose: options.verbose || process.env.NITRADO_VERBOSE === 'true',
+      logLevel: Config.resolveLogLevel(options),
       dryRun: options.dryRun || process.env.NITRADO_DRY_RUN === 'true'
     };
 
     // Validate required fields
-    if (!config.apiDataUrl) {
+    if (requireApiUrl && !config.apiDataUrl) {
       console.error('❌ API URL is required. Set NITRADO_API_URL environment variable or use --api-url flag.');
       process.exit(1);
     }
@@ -55,6 +99,59 @@ class Config {
     return config;
   }
 
+  /**
+   * Resolve the log level from --log-level, the shorthand flags or the environment
+   */
+  static resolveLogLevel(options = {}) {
+    if (options.logLevel) {
+      return options.logLevel;
+    }
+    if (options.quiet) {
+      return 'quiet';
+    }
+    if (options.debug) {
+      return 'debug';
+    }
+    if (options.verbose || process.env.NITRADO_VERBOSE === 'true') {
+      return 'verbose';
+    }
+    return process.env.NITRADO_LOG_LEVEL || 'normal';
+  }
+
+  /**
+   * Parse a comma separated list, ignoring empty entries
+   */
+  static parseList(value) {
+    if (!value) {
+      return [];
+    }
+
+    return value.split(',').map(entry => entry.trim()).filter(Boolean);
+  }
+
+  /**
+   * Parse "METHOD /url=placement" pairs separated by commas
+   */
+  static parsePlacementOverrides(value) {
+    if (!value) {
+      return {};
+    }
+
+    return value.split(',').reduce((overrides, entry) => {
+      const separatorIndex = entry.lastIndexOf('=');
+      if (separatorIndex === -1) {
+        return overrides;
+      }
+
+      const endpointKey = entry.slice(0, separatorIndex).trim();
+      const placement = entry.slice(separatorIndex + 1).trim();
+      if (endpointKey && placement) {
+        overrides[endpointKey] = placement;
+      }
+      return overrides;
+    }, {});
+  }
+
   static getConfigWithDefaults(overrides = {}) {
     const config = new Config();
     const baseConfig = config.getConfig();
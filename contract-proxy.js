@@ -0,0 +1,248 @@
+/**
+ * Validation proxy for contract testing against the generated OpenAPI spec
+ * Forwards every request to an upstream and records contract violations as JSON lines
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const Logger = require('./logger');
+const { JSON_CONTENT_TYPE, SpecContract } = require('./spec-contract');
+
+const VIOLATIONS_FILENAME = 'nitrado-contract-violations.jsonl';
+
+// Connection-specific headers that are not forwarded in either direction
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'proxy-connection', 'transfer-encoding', 'upgrade', 'host', 'content-length'];
+
+/**
+ * Copy headers without the hop-by-hop ones
+ */
+function filterHeaders(headers) {
+  return Object.fromEntries(Object.entries(headers).filter(([name]) => !HOP_BY_HOP_HEADERS.includes(name.toLowerCase())));
+}
+
+/**
+ * Send a request to the upstream, resolving with its status, headers and buffered body
+ * The upstream path is prefixed to the request URL, e.g. http://stub/base + /company/stats
+ */
+function forwardRequest(upstream, { method, url, headers, body }) {
+  const target = new URL(upstream);
+  const client = target.protocol === 'https:' ? https : http;
+  const requestHeaders = {
+    ...filterHeaders(headers),
+    host: target.host,
+    // Bodies are validated, so ask for them uncompressed
+    'accept-encoding': 'identity'
+  };
+  if (body.length > 0) {
+    requestHeaders['content-length'] = String(body.length);
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = client.request({
+      protocol: target.protocol,
+      hostname: target.hostname,
+      port: target.port,
+      method,
+      path: `${target.pathname.replace(/\/+$/, '')}${url}`,
+      headers: requestHeaders
+    }, response => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body: Buffer.concat(chunks) }));
+      response.on('error', reject);
+    });
+
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+class ContractProxy {
+  constructor(spec, options = {}) {
+    if (!options.upstream) {
+      throw new Error('An upstream URL is required for the contract proxy');
+    }
+
+    this.upstream = options.upstream;
+    this.violationsFile = options.violationsFile;
+    this.logger = options.logger || new Logger('quiet');
+    this.contract = new SpecContract(spec);
+    this.violationCount = 0;
+    this.pendingWrite = Promise.resolve();
+    this.server = null;
+  }
+
+  /**
+   * Check a request against the spec
+   * Returns the matched operation, if any, and the problems found
+   */
+  checkRequest({ method, url, headers, body }) {
+    const { pathname, searchParams } = new URL(url, 'http://localhost');
+    const matched = this.contract.matchRoute(method, pathname);
+
+    if (!matched.route) {
+      const message = matched.message || (matched.status === 405
+        ? `${method.toUpperCase()} is not documented for this path (documented: ${matched.allow.join(', ')})`
+        : `${method.toUpperCase()} ${pathname} does not match any documented path`);
+      return { problems: [{ location: 'route', message }] };
+    }
+
+    const { route, operation, pathParams } = matched;
+    return {
+      route,
+      operation,
+      problems: [
+        ...this.contract.validateAuthorization(operation, { headers, searchParams }),
+        ...this.contract.validateRequest(route, operation, { pathParams, searchParams, headers, body })
+      ]
+    };
+  }
+
+  /**
+   * Check a request, turning an error of the check itself into a route problem so the request is still forwarded
+   */
+  checkRequestSafely(request) {
+    try {
+      return this.checkRequest(request);
+    } catch (error) {
+      return { problems: [{ location: 'route', message: `could not be checked: ${error.message}` }] };
+    }
+  }
+
+  /**
+   * Build one violation record per problem
+   */
+  createViolations(direction, request, matched, problems, status) {
+    const timestamp = new Date().toISOString();
+
+    return problems.map(problem => ({
+      timestamp,
+      direction,
+      method: request.method.toUpperCase(),
+      url: request.url,
+      path: matched.route?.pathName ?? null,
+      operationId: matched.operation?.operationId ?? null,
+      ...(status !== undefined && { status }),
+      location: problem.location,
+      message: problem.message
+    }));
+  }
+
+  /**
+   * Append violations to the JSON lines file, keeping the order in which requests completed
+   */
+  recordViolations(violations) {
+    if (violations.length === 0) {
+      return this.pendingWrite;
+    }
+
+    this.violationCount += violations.length;
+    violations.forEach(violation => this.logger.verbose(`   ${violation.direction} ${violation.location} ${violation.message}`));
+
+    if (this.violationsFile) {
+      const lines = violations.map(violation => `${JSON.stringify(violation)}\n`).join('');
+      this.pendingWrite = this.pendingWrite
+        .then(() => fs.mkdir(path.dirname(this.violationsFile), { recursive: true }))
+        .then(() => fs.appendFile(this.violationsFile, lines))
+        .catch(error => this.logger.error('❌ Error writing contract violations:', error.message));
+    }
+    return this.pendingWrite;
+  }
+
+  /**
+   * Validate a request, forward it and validate the upstream response
+   */
+  async handleRequest(request) {
+    const body = request.body || Buffer.alloc(0);
+    const matched = this.checkRequestSafely({ ...request, body: body.toString('utf8') });
+    const violations = this.createViolations('request', request, matched, matched.problems);
+
+    let response;
+    try {
+      response = await forwardRequest(this.upstream, { ...request, body });
+    } catch (error) {
+      this.logger.error(`❌ Upstream request failed: ${request.method} ${request.url}:`, error.message);
+      await this.recordViolations(violations);
+      return {
+        status: 502,
+        headers: { 'content-type': JSON_CONTENT_TYPE },
+        body: Buffer.from(JSON.stringify({ status: 'error', message: `Upstream request failed: ${error.message}` }))
+      };
+    }
+
+    if (matched.operation) {
+      const problems = this.contract.validateResponse(matched.operation, {
+        status: response.status,
+        headers: response.headers,
+        body: response.body.toString('utf8')
+      });
+      violations.push(...this.createViolations('response', request, matched, problems, response.status));
+    }
+
+    this.logger.info(`🔀 ${request.method} ${request.url} → ${response.status}`);
+    if (violations.length > 0) {
+      this.logger.warn(`⚠️  ${violations.length} contract violation(s) for ${request.method} ${request.url}`);
+    }
+    await this.recordViolations(violations);
+
+    return { status: response.status, headers: filterHeaders(response.headers), body: response.body };
+  }
+
+  /**
+   * Start listening, resolving with the bound address
+   */
+  listen(port, host) {
+    this.server = http.createServer((request, response) => {
+      const chunks = [];
+      request.on('data', chunk => chunks.push(chunk));
+      request.on('end', async () => {
+        let result;
+        try {
+          result = await this.handleRequest({
+            method: request.method,
+            url: request.url,
+            headers: request.headers,
+            body: Buffer.concat(chunks)
+          });
+        } catch (error) {
+          // An unhandled rejection would end the process, so any other failure answers 500
+          this.logger.error(`❌ Proxy request failed: ${request.method} ${request.url}:`, error.message);
+          result = {
+            status: 500,
+            headers: { 'content-type': JSON_CONTENT_TYPE },
+            body: Buffer.from(JSON.stringify({ status: 'error', message: `Proxy request failed: ${error.message}` }))
+          };
+        }
+
+        response.writeHead(result.status, { ...result.headers, 'content-length': result.body.length });
+        response.end(result.body);
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => resolve(this.server.address()));
+    });
+  }
+
+  /**
+   * Stop the proxy once pending violations are written
+   */
+  async close() {
+    if (this.server) {
+      const server = this.server;
+      this.server = null;
+      await new Promise((resolve, reject) => server.close(error => (error ? reject(error) : resolve())));
+    }
+    await this.pendingWrite;
+  }
+}
+
+module.exports = {
+  VIOLATIONS_FILENAME,
+  forwardRequest,
+  ContractProxy
+};
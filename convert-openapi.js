@@ -9,6 +9,7 @@ const Config = require('./config');
 async function convertOnly() {
   const config = new Config().getConfig();
   const converter = new NitradoAPIConverter(config);
+  const { logger } = converter;
 
   try {
     // Try to load existing API data
@@ -17,37 +18,32 @@ async function convertOnly() {
 
     const apiDataPath = path.join(converter.outputDir, 'nitrado-api.json');
 
-    if (config.verbose) {
-      console.log(`📂 Loading API data from: ${apiDataPath}`);
-    }
+    logger.verbose(`📂 Loading API data from: ${apiDataPath}`);
 
     const rawData = await fs.readFile(apiDataPath, 'utf8');
     converter.apiData = JSON.parse(rawData);
 
-    console.log('📂 Loaded existing API data');
-    console.log('🔄 Converting to OpenAPI 3.1.1 specification...');
+    logger.info('📂 Loaded existing API data');
 
-    if (config.dryRun) {
-      console.log('🧪 Dry run mode - no files will be written');
-      const openAPISpec = converter.convertToOpenAPI();
-      console.log('✅ OpenAPI conversion completed (dry run)!');
-      console.log(`📊 Generated OpenAPI spec with ${Object.keys(openAPISpec.paths).length} paths`);
-      return;
+    if (converter.dryRun) {
+      logger.info('🧪 Dry run mode - no files will be written');
     }
 
-    // Convert to OpenAPI
-    const openAPISpec = converter.convertToOpenAPI();
-    await converter.saveAsJSON(openAPISpec, 'nitrado-openapi.json');
+    // Convert to OpenAPI, versioned against the previous output
+    await converter.convertAndSaveOpenAPI();
+    const openAPISpec = converter.openAPISpec;
 
-    console.log('✅ OpenAPI conversion completed!');
-    console.log(`📊 Generated OpenAPI spec with ${Object.keys(openAPISpec.paths).length} paths`);
+    logger.info(`✅ OpenAPI conversion completed${converter.dryRun ? ' (dry run)' : ''}!`);
+    logger.info(`📊 Generated OpenAPI spec with ${Object.keys(openAPISpec.paths).length} paths`);
 
-  } catch (error) {
-    console.error('❌ Error:', error.message);
-    if (config.verbose) {
-      console.error('Stack trace:', error.stack);
+    if (converter.dryRun) {
+      converter.dryRunPlan.print(logger);
     }
-    console.log('💡 Run the full converter first: npm run extract');
+
+  } catch (error) {
+    logger.error('❌ Error:', error.message);
+    logger.verbose('Stack trace:', error.stack);
+    logger.info('💡 Run the full converter first: npm run extract');
     process.exit(1);
   }
 }
@@ -1,6 +1,50 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { STATUS_CODES } = require('http');
 const axios = require('axios');
+const { parseExample, inferSchema } = require('./schema-inference');
+const { DESCRIPTION_FORMATS, htmlToText, formatDescription } = require('./description-formatter');
+const { cleanUrl, normalizeUrls } = require('./url-normalizer');
+const Logger = require('./logger');
+const DryRunPlan = require('./dry-run-plan');
+const { VERSIONING_MODES, resolveSpecVersion } = require('./spec-versioning');
+const { getSerializer, resolveOutputFormats, parseFile } = require('./serializers');
+const { TARGET_OPENAPI_VERSION, downgradeSpec } = require('./openapi-downgrade');
+const { buildPostmanCollection } = require('./postman-exporter');
+const { generateTypeScriptSDK } = require('./typescript-sdk');
+const { DECLARATIONS_FILENAME, generateTypeDeclarations } = require('./typescript-declarations');
+const { OverrideSet } = require('./overrides');
+const { listOperations } = require('./openapi-validator');
+const { HEURISTIC_STRATEGIES, tokenize, dropRepeatedWords, applyCase, normalizeOperationIdStrategy, normalizeOperationIdCase, buildOperationId } = require('./operation-id-naming');
+
+const METHODS_WITH_BODY = ['post', 'put', 'patch'];
+const PARAMETER_PLACEMENTS = ['auto', 'query', 'body'];
+const REQUEST_BODY_CONTENT_TYPES = ['application/json', 'application/x-www-form-urlencoded'];
+
+// Additional outputs generated from the OpenAPI spec next to nitrado-openapi.*
+const OUTPUT_TARGETS = ['openapi-3.0', 'postman', 'sdk-ts'];
+
+// Persisted operationIds by "METHOD /path", so known operations keep their IDs across runs
+const OPERATION_ID_LOCK_FILENAME = 'operation-ids.lock.json';
+
+// OAuth2 security scheme whose scopes are the OAuth scopes and the apiDoc permission roles, e.g. ROLE_WEBINTERFACE_SETTINGS_READ
+const OAUTH_SCHEME_NAME = 'NitradoOAuth2';
+
+// apiKey scheme for the access token passed as GET parameter instead of the Authorization header
+const QUERY_TOKEN_SCHEME_NAME = 'AccessTokenQuery';
+const ACCESS_TOKEN_QUERY_PARAMETER = 'access_token';
+const QUERY_TOKEN_PATTERN = /\bGET[\s-]+param/i;
+
+// Status codes for named apiDoc errors such as "InvalidCodeError", checked in order
+const ERROR_NAME_STATUS_CODES = [
+  { pattern: /unauthori[sz]ed|token|authenticat/i, statusCode: 401 },
+  { pattern: /forbidden|permission|denied/i, statusCode: 403 },
+  { pattern: /not ?found|missing/i, statusCode: 404 },
+  { pattern: /conflict|already|exists/i, statusCode: 409 },
+  { pattern: /validation|unprocessable/i, statusCode: 422 },
+  { pattern: /rate ?limit|too ?many/i, statusCode: 429 },
+  { pattern: /maintenance|unavailable/i, statusCode: 503 }
+];
 
 class NitradoAPIConverter {
   constructor(config = {}) {
@@ -14,7 +58,17 @@ class NitradoAPIConverter {
       apiVersion: '1.0.0',
       contactName: 'Nitrado Support',
       contactUrl: 'https://nitrado.net/support',
-      licenseUrl: 'https://nitrado.net/terms'
+      licenseUrl: 'https://nitrado.net/terms',
+      parameterPlacement: 'auto',
+      parameterPlacementOverrides: {},
+      descriptionFormat: 'markdown',
+      versioning: 'auto',
+      outputFormat: 'json',
+      targets: [],
+      overrides: null,
+      operationIdStrategy: 'auto',
+      operationIdCase: 'PascalCase',
+      dryRun: false
     };
 
     // Merge provided config with defaults
@@ -24,20 +78,123 @@ class NitradoAPIConverter {
     this.apiDataUrl = this.config.apiDataUrl;
     this.outputDir = this.config.outputDir;
     this.serverUrl = this.config.serverUrl;
+    this.parameterPlacement = this.normalizeParameterPlacement(this.config.parameterPlacement);
+    this.parameterPlacementOverrides = this.normalizeParameterPlacementOverrides(
+      this.config.parameterPlacementOverrides
+    );
+    this.descriptionFormat = this.normalizeDescriptionFormat(this.config.descriptionFormat);
+    this.versioning = this.normalizeVersioning(this.config.versioning);
+    this.outputFormats = resolveOutputFormats(this.config.outputFormat);
+    this.targets = this.normalizeTargets(this.config.targets);
+    this.operationIdStrategy = normalizeOperationIdStrategy(this.config.operationIdStrategy);
+    this.operationIdCase = normalizeOperationIdCase(this.config.operationIdCase);
+    this.overrides = null; // OverrideSet loaded from the configured overrides file
     this.apiData = null;
+    this.endpointsByGroup = {}; // Normalized endpoints of the last conversion, keyed by apiDoc group
+    this.dryRun = Boolean(this.config.dryRun);
+    this.dryRunPlan = new DryRunPlan();
+    this.logger = new Logger(Logger.resolveLevel(this.config));
     this.usedOperationIds = new Set(); // Track used operation IDs
+    this.operationIdLock = null; // Locked operationIds by "METHOD /path", read from the output directory
+    this.assignedOperationIds = {}; // operationIds assigned in the last conversion by "METHOD /path"
+    this.matchedPlacementOverrides = new Set(); // Placement override keys that matched an endpoint in the last conversion
+    this.securitySchemes = {}; // Security schemes of the last conversion, keyed by name
+  }
+
+  /**
+   * Validate the configured parameter placement strategy
+   */
+  normalizeParameterPlacement(strategy) {
+    const normalized = (strategy || 'auto').toLowerCase();
+
+    if (!PARAMETER_PLACEMENTS.includes(normalized)) {
+      throw new Error(`Invalid parameter placement "${strategy}". Expected one of: ${PARAMETER_PLACEMENTS.join(', ')}`);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Validate the configured description output format
+   */
+  normalizeDescriptionFormat(format) {
+    const normalized = (format || 'markdown').toLowerCase();
+
+    if (!DESCRIPTION_FORMATS.includes(normalized)) {
+      throw new Error(`Invalid description format "${format}". Expected one of: ${DESCRIPTION_FORMATS.join(', ')}`);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Validate the configured versioning mode
+   */
+  normalizeVersioning(mode) {
+    const normalized = (mode || 'auto').toLowerCase();
+
+    if (!VERSIONING_MODES.includes(normalized)) {
+      throw new Error(`Invalid versioning mode "${mode}". Expected one of: ${VERSIONING_MODES.join(', ')}`);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Validate the configured output targets
+   */
+  normalizeTargets(targets = []) {
+    const list = Array.isArray(targets) ? targets : String(targets).split(',');
+    const normalized = list.map(target => target.trim().toLowerCase()).filter(Boolean);
+
+    normalized.forEach(target => {
+      if (!OUTPUT_TARGETS.includes(target)) {
+        throw new Error(`Invalid output target "${target}". Expected one of: ${OUTPUT_TARGETS.join(', ')}`);
+      }
+    });
+
+    return [...new Set(normalized)];
+  }
+
+  /**
+   * Convert an apiDoc HTML description to the configured format
+   */
+  formatDescription(html) {
+    return formatDescription(html, this.descriptionFormat);
+  }
+
+  /**
+   * Normalize per-endpoint placement overrides keyed by "METHOD /url", remembering the key as written for warnings
+   */
+  normalizeParameterPlacementOverrides(overrides = {}) {
+    return Object.entries(overrides).reduce((normalized, [key, placement]) => {
+      const [method = '', ...urlParts] = key.trim().split(/\s+/);
+      const endpointKey = this.getEndpointKey({ type: method, url: urlParts.join(' ') });
+      normalized[endpointKey] = { key: key.trim(), placement: this.normalizeParameterPlacement(placement) };
+      return normalized;
+    }, {});
+  }
+
+  /**
+   * Get the "METHOD /path" key identifying an endpoint by its spec path
+   * Path parameter names are ignored, so "/services/:service_id" still matches the renamed "/services/{id}"
+   */
+  getEndpointKey(endpoint) {
+    const method = (endpoint.type || 'get').toUpperCase();
+    const path = this.normalizePath(`/${(endpoint.url || '').replace(/^\/+/, '')}`).replace(/\{[^}]*\}/g, '{}');
+    return `${method} ${path}`;
   }
 
   /**
    * Fetch and parse the API data from the Nitrado endpoint
    */
   async fetchAPIData() {
-    console.log('🌐 Fetching API data from:', this.apiDataUrl);
+    this.logger.info('🌐 Fetching API data from:', this.apiDataUrl);
 
     try {
       const response = await axios.get(this.apiDataUrl);
-      console.log('✅ HTTP request successful');
-      console.log('📊 Response data type:', typeof response.data);
+      this.logger.verbose('✅ HTTP request successful');
+      this.logger.debug('📊 Response data type:', typeof response.data);
 
       const processedData = this.processResponseData(response.data);
       const parsedData = this.parseAPIData(processedData);
@@ -45,7 +202,7 @@ class NitradoAPIConverter {
       this.apiData = parsedData;
       return this.extractAPIEndpoints(parsedData);
     } catch (error) {
-      console.error('❌ Error fetching API data:', error.message);
+      this.logger.error('❌ Error fetching API data:', error.message);
       throw error;
     }
   }
@@ -55,14 +212,14 @@ class NitradoAPIConverter {
    */
   processResponseData(data) {
     if (typeof data === 'string') {
-      console.log('📊 Response length:', data.length);
+      this.logger.debug('📊 Response length:', data.length);
       const stripped = data.replace(/^define\(/, '').replace(/\);?\s*$/, '');
-      console.log('🔄 Stripped define() wrapper');
-      console.log('📊 Stripped content length:', stripped.length);
+      this.logger.debug('🔄 Stripped define() wrapper');
+      this.logger.debug('📊 Stripped content length:', stripped.length);
       return stripped;
     }
     
-    console.log('📊 Response is already an object, using directly');
+    this.logger.debug('📊 Response is already an object, using directly');
     return JSON.stringify(data);
   }
 
@@ -72,11 +229,11 @@ class NitradoAPIConverter {
   parseAPIData(processedData) {
     try {
       const parsed = JSON.parse(processedData);
-      console.log('✅ JSON parsing successful!');
-      console.log('📊 API data type:', typeof parsed);
+      this.logger.verbose('✅ JSON parsing successful!');
+      this.logger.debug('📊 API data type:', typeof parsed);
       return parsed;
     } catch (jsonError) {
-      console.error('❌ JSON parse error:', jsonError.message);
+      this.logger.error('❌ JSON parse error:', jsonError.message);
       this.logParseError(jsonError, processedData);
       throw new Error('Failed to parse API data: ' + jsonError.message);
     }
@@ -89,14 +246,14 @@ class NitradoAPIConverter {
     const positionMatch = jsonError.message.match(/at position (\d+)/);
     
     if (!positionMatch) {
-      console.error('Could not determine error position.');
+      this.logger.error('Could not determine error position.');
       return;
     }
 
     const pos = parseInt(positionMatch[1], 10);
     const before = data.slice(Math.max(0, pos - 100), pos);
     const after = data.slice(pos, pos + 100);
-    console.error(
+    this.logger.error(
       `Problematic area around position ${pos}:\n...${before}[HERE]${after}...`
     );
   }
@@ -108,11 +265,11 @@ class NitradoAPIConverter {
     const hasAPIEndpoints = data?.api && Array.isArray(data.api);
     
     if (hasAPIEndpoints) {
-      console.log('📊 Found', data.api.length, 'API endpoints');
+      this.logger.info('📊 Found', data.api.length, 'API endpoints');
       return data.api;
     }
     
-    console.log('📊 API data structure:', Object.keys(data || {}));
+    this.logger.verbose('📊 API data structure:', Object.keys(data || {}));
     return data;
   }  /**
    * Convert API data to OpenAPI 3.1.1 specification
@@ -120,19 +277,31 @@ class NitradoAPIConverter {
   convertToOpenAPI() {
     this.validateAPIData();
     
-    console.log('🔄 Converting to OpenAPI 3.1.1 specification...');
+    this.logger.info('🔄 Converting to OpenAPI 3.1.1 specification...');
     this.usedOperationIds.clear();
+    this.assignedOperationIds = {};
+    this.overrides?.resetMatches();
+    this.matchedPlacementOverrides = new Set();
+
+    // Locked IDs are reserved up front, so new operations never take them over
+    Object.values(this.operationIdLock || {}).forEach(operationId => this.usedOperationIds.add(operationId));
 
     const openAPISpec = this.createBaseOpenAPISpec();
-    const endpointsByGroup = this.groupEndpointsByGroup();
+    const endpoints = this.applyEndpointOverrides(this.normalizeEndpointUrls(this.apiData.api));
+    this.endpointsByGroup = this.groupEndpointsByGroup(endpoints);
+    this.addSecuritySchemes(openAPISpec, endpoints);
     
-    console.log('� Found', Object.keys(endpointsByGroup).length, 'API groups');
+    this.logger.verbose('� Found', Object.keys(this.endpointsByGroup).length, 'API groups');
     
-    this.apiData.api.forEach(endpoint => {
+    endpoints.forEach(endpoint => {
       this.convertEndpoint(endpoint, openAPISpec);
     });
+    this.reportOverrides();
+    this.reportUnmatchedPlacementOverrides();
+    this.reportVanishedOperationIds();
+    this.addPermissionScopes(openAPISpec);
 
-    console.log('✅ OpenAPI conversion completed');
+    this.logger.info('✅ OpenAPI conversion completed');
     return openAPISpec;
   }
 
@@ -194,7 +363,15 @@ class NitradoAPIConverter {
    */
   createComponents() {
     return {
-      schemas: {},
+      schemas: {
+        Error: {
+          type: 'object',
+          properties: {
+            status: { type: 'string' },
+            message: { type: 'string' }
+          }
+        }
+      },
       securitySchemes: {
         BearerAuth: {
           type: 'http',
@@ -208,8 +385,8 @@ class NitradoAPIConverter {
   /**
    * Group endpoints by their group/tag
    */
-  groupEndpointsByGroup() {
-    return this.apiData.api.reduce((groups, endpoint) => {
+  groupEndpointsByGroup(endpoints = this.apiData.api) {
+    return endpoints.reduce((groups, endpoint) => {
       const group = endpoint.group || 'Default';
       if (!groups[group]) {
         groups[group] = [];
@@ -226,7 +403,7 @@ class NitradoAPIConverter {
     const { url, type: method = 'get' } = endpoint;
     
     if (!url) {
-      console.warn('⚠️ Skipping endpoint without URL:', endpoint.name || 'Unknown');
+      this.logger.warn('⚠️ Skipping endpoint without URL:', endpoint.name || 'Unknown');
       return;
     }
 
@@ -236,14 +413,139 @@ class NitradoAPIConverter {
     this.ensurePathExists(openAPISpec.paths, path);
     
     const operation = this.buildOperation(endpoint, path, normalizedMethod);
-    openAPISpec.paths[path][normalizedMethod] = operation;
+    const finalOperation = this.overrides
+      ? this.overrides.apply(operation, 'operation', {
+        method: normalizedMethod.toUpperCase(),
+        path,
+        group: endpoint.group,
+        operationId: operation.operationId
+      })
+      : operation;
+
+    this.registerOverriddenOperationId(path, normalizedMethod, operation.operationId, finalOperation.operationId);
+    openAPISpec.paths[path][normalizedMethod] = finalOperation;
   }
 
   /**
-   * Normalize URL path by converting :param to {param}
+   * Lock and reserve an operationId set by an override, so later operations never reuse it
+   */
+  registerOverriddenOperationId(path, method, assignedId, operationId) {
+    if (!operationId || operationId === assignedId) {
+      return;
+    }
+
+    const key = `${method.toUpperCase()} ${path}`;
+    if (this.usedOperationIds.has(operationId)) {
+      throw new Error(`Override sets operationId "${operationId}" for ${key}, but it is already used by another operation`);
+    }
+
+    this.usedOperationIds.add(operationId);
+    this.assignedOperationIds[key] = operationId;
+  }
+
+  /**
+   * Load the configured overrides file (JSON or YAML)
+   */
+  async loadOverrides() {
+    if (!this.config.overrides) {
+      return null;
+    }
+
+    const filePath = this.config.overrides;
+    const content = await fs.readFile(filePath, 'utf8');
+    this.overrides = OverrideSet.fromData(parseFile(filePath, content), filePath);
+
+    this.logger.info(`🩹 Loaded ${this.overrides.rules.length} override(s) from ${filePath}`);
+    return this.overrides;
+  }
+
+  /**
+   * Patch raw endpoints with the overrides targeting them, before grouping and conversion
+   */
+  applyEndpointOverrides(endpoints) {
+    if (!this.overrides) {
+      return endpoints;
+    }
+
+    return endpoints.map(endpoint => (endpoint.url
+      ? this.overrides.apply(endpoint, 'endpoint', {
+        method: (endpoint.type || 'get').toUpperCase(),
+        path: this.normalizePath(endpoint.url),
+        group: endpoint.group
+      })
+      : endpoint));
+  }
+
+  /**
+   * Warn about overrides that no longer match anything, e.g. after an upstream fix or rename
+   */
+  reportOverrides() {
+    if (!this.overrides) {
+      return;
+    }
+
+    const unmatched = this.overrides.getUnmatchedRules();
+    if (unmatched.length > 0) {
+      this.logger.warn(`⚠️  ${unmatched.length} override(s) no longer match anything:`);
+      unmatched.forEach(rule => this.logger.warn(`   ${rule.label}`));
+    }
+    this.overrides.problems.forEach(problem => this.logger.warn(`⚠️  ${problem}`));
+  }
+
+  /**
+   * Normalize endpoint URLs, reconciling parameter names and logging every fix
+   */
+  normalizeEndpointUrls(endpoints) {
+    const endpointsWithUrl = endpoints.filter(endpoint => endpoint.url);
+    const normalizedUrls = normalizeUrls(endpointsWithUrl.map(endpoint => endpoint.url));
+    const normalizedByEndpoint = new Map(
+      endpointsWithUrl.map((endpoint, index) => [endpoint, normalizedUrls[index]])
+    );
+
+    return endpoints.map(endpoint => {
+      const normalized = normalizedByEndpoint.get(endpoint);
+      if (!normalized || normalized.fixes.length === 0) {
+        return endpoint;
+      }
+
+      const method = (endpoint.type || 'get').toUpperCase();
+      this.logger.info(`🔧 Normalized URL ${method} ${endpoint.url} → ${normalized.url} (${normalized.fixes.join(', ')})`);
+
+      return {
+        ...endpoint,
+        url: normalized.url,
+        ...(endpoint.parameter && {
+          parameter: this.renameParameterFields(endpoint.parameter, normalized.renames)
+        })
+      };
+    });
+  }
+
+  /**
+   * Rename documented Parameter fields that describe renamed path parameters
+   */
+  renameParameterFields(parameter, renames) {
+    const parameterFields = parameter?.fields?.Parameter;
+    if (!parameterFields || Object.keys(renames).length === 0) {
+      return parameter;
+    }
+
+    return {
+      ...parameter,
+      fields: {
+        ...parameter.fields,
+        Parameter: parameterFields.map(field => (
+          renames[field.field] ? { ...field, field: renames[field.field] } : field
+        ))
+      }
+    };
+  }
+
+  /**
+   * Normalize URL path by cleaning it and converting :param to {param}
    */
   normalizePath(url) {
-    return url.replace(/:(\w+)/g, '{$1}');
+    return cleanUrl(url).url.replace(/:(\w+)/g, '{$1}');
   }
 
   /**
@@ -259,12 +561,11 @@ class NitradoAPIConverter {
    * Build complete operation object
    */
   buildOperation(endpoint, path, method) {
-    const baseOperationId = this.generateOperationId(endpoint);
-    const operationId = this.ensureUniqueOperationId(baseOperationId);
+    const operationId = this.assignOperationId(endpoint, path, method);
 
     const operation = {
       summary: endpoint.title || endpoint.name || `${method.toUpperCase()} ${path}`,
-      description: endpoint.description || '',
+      description: this.formatDescription(endpoint.description),
       operationId: operationId,
       tags: [endpoint.group || 'Default'],
       parameters: [],
@@ -272,6 +573,8 @@ class NitradoAPIConverter {
     };
 
     this.addDeprecationInfo(endpoint, operation);
+    this.addServiceStatusInfo(endpoint, operation);
+    this.addPermissions(endpoint, operation);
     this.addParameters(endpoint, operation, path);
     this.addRequestBodyIfNeeded(endpoint, operation, method);
     this.addResponses(endpoint, operation);
@@ -288,34 +591,301 @@ class NitradoAPIConverter {
     
     operation.deprecated = true;
     if (endpoint.deprecated.content) {
-      operation.description += `\n\n**Deprecated:** ${endpoint.deprecated.content}`;
+      operation.description += `\n\n**Deprecated:** ${this.formatDescription(endpoint.deprecated.content)}`;
     }
   }
 
   /**
-   * Add request body for POST/PUT/PATCH methods
+   * Add request body for POST/PUT/PATCH methods or body-placed parameters
    */
   addRequestBodyIfNeeded(endpoint, operation, method) {
-    const methodsWithBody = ['post', 'put', 'patch'];
-    if (methodsWithBody.includes(method)) {
+    const hasBodyPlacement = this.resolveParameterPlacement(endpoint) === 'body';
+    if (METHODS_WITH_BODY.includes(method) || hasBodyPlacement) {
       this.addRequestBody(endpoint, operation);
     }
   }
 
+  /**
+   * Resolve whether non-path Parameter fields go to the query or the body
+   */
+  resolveParameterPlacement(endpoint) {
+    const endpointKey = this.getEndpointKey(endpoint);
+    const override = this.parameterPlacementOverrides[endpointKey]?.placement;
+    if (override) {
+      this.matchedPlacementOverrides.add(endpointKey);
+    }
+    if (override && override !== 'auto') {
+      return override;
+    }
+
+    if (this.parameterPlacement !== 'auto') {
+      return this.parameterPlacement;
+    }
+
+    const method = (endpoint.type || 'get').toLowerCase();
+    return METHODS_WITH_BODY.includes(method) ? 'body' : 'query';
+  }
+
+  /**
+   * Warn about placement overrides whose "METHOD /url" matches no endpoint, e.g. after a typo or an upstream rename
+   */
+  reportUnmatchedPlacementOverrides() {
+    const unmatched = Object.entries(this.parameterPlacementOverrides)
+      .filter(([endpointKey]) => !this.matchedPlacementOverrides.has(endpointKey));
+
+    if (unmatched.length > 0) {
+      this.logger.warn(`⚠️  ${unmatched.length} parameter placement override(s) match no endpoint:`);
+      unmatched.forEach(([, override]) => this.logger.warn(`   ${override.key}`));
+    }
+  }
+
+  /**
+   * Get Parameter fields that are not already part of the URL path
+   */
+  extractNonPathParameterFields(endpoint) {
+    const parameterFields = endpoint.parameter?.fields?.Parameter || [];
+    const pathParamNames = this.extractPathParamNames(endpoint.url || '');
+
+    return parameterFields.filter(param => !pathParamNames.includes(param.field));
+  }
+
+  /**
+   * Extract path parameter names from a raw apiDoc URL
+   */
+  extractPathParamNames(url) {
+    return (url.match(/:(\w+)/g) || []).map(param => param.substring(1));
+  }
+
+  /**
+   * Parse an apiDoc servicestatus entry such as "for switch + extend: SERVICE_STATUS_ACTIVE, SERVICE_STATUS_SUSPENDED"
+   * Returns the allowed statuses ("all" for SERVICE_STATUS_ALL) and the actions a qualifier limits them to
+   */
+  parseServiceStatus(content) {
+    const text = String(content || '').trim();
+    const qualified = /^for\s+([^:]+):\s*(.*)$/is.exec(text);
+    const statuses = (qualified ? qualified[2] : text)
+      .split(',')
+      .map(status => status.trim().replace(/^.*::/, '').replace(/^SERVICE_STATUS_/i, '').toLowerCase())
+      .filter(status => status);
+
+    if (statuses.length === 0) {
+      return null;
+    }
+
+    return {
+      statuses: [...new Set(statuses)],
+      ...(qualified && { appliesTo: qualified[1].split('+').map(action => action.trim()).filter(action => action) })
+    };
+  }
+
+  /**
+   * Add the service statuses an endpoint can be called in as x-nitrado-service-status and to the description
+   */
+  addServiceStatusInfo(endpoint, operation) {
+    const requirements = (endpoint.servicestatus || [])
+      .map(entry => this.parseServiceStatus(entry.content))
+      .filter(requirement => requirement);
+
+    if (requirements.length === 0) {
+      return;
+    }
+
+    operation['x-nitrado-service-status'] = requirements;
+    const summary = requirements.map(({ statuses, appliesTo }) => {
+      const allowed = statuses.includes('all') ? 'any' : statuses.join(' or ');
+      return appliesTo ? `${allowed} (for ${appliesTo.join(' and ')})` : allowed;
+    });
+    operation.description += `\n\n**Service status:** ${summary.join('; ')}`;
+  }
+
+  /**
+   * Get the apiDoc permission roles of an endpoint
+   * Entries such as "ROLE_OWNER, ALLOW_CANCEL_GAMESERVER" list several roles
+   */
+  extractPermissions(endpoint) {
+    const names = (endpoint.permission || [])
+      .flatMap(permission => String(permission.name || '').split(','))
+      .map(name => name.trim())
+      .filter(name => name);
+
+    return [...new Set(names)];
+  }
+
+  /**
+   * Record the permission roles required by an endpoint as x-nitrado-permissions
+   */
+  addPermissions(endpoint, operation) {
+    const permissions = this.extractPermissions(endpoint);
+    if (permissions.length > 0) {
+      operation['x-nitrado-permissions'] = permissions;
+    }
+  }
+
+  /**
+   * Find the Authorization header documented by an endpoint
+   */
+  findAuthorizationHeader(endpoint) {
+    return (endpoint.header?.fields?.Header || []).find(field => /^authorization$/i.test(field.field || ''));
+  }
+
+  /**
+   * Check whether an endpoint can be called without an access token
+   * An explicit "public" flag (e.g. set by an override) wins; otherwise an endpoint is public when it documents
+   * no Authorization header, no 401 error, no permission and no service status, as all of these imply a caller
+   */
+  isPublicEndpoint(endpoint) {
+    if (typeof endpoint.public === 'boolean') {
+      return endpoint.public;
+    }
+
+    const errorFields = Object.values(endpoint.error?.fields || {}).flat();
+    return !this.findAuthorizationHeader(endpoint)
+      && !errorFields.some(errorField => this.resolveErrorStatusCode(errorField) === 401)
+      && this.extractPermissions(endpoint).length === 0
+      && (endpoint.servicestatus || []).length === 0;
+  }
+
+  /**
+   * Define the OAuth2 authorization-code scheme and the query token alternative documented by the endpoints
+   */
+  addSecuritySchemes(openAPISpec, endpoints) {
+    const { securitySchemes } = openAPISpec.components;
+    const flow = this.findOAuthFlow(endpoints);
+
+    if (flow) {
+      securitySchemes[OAUTH_SCHEME_NAME] = this.createOAuthScheme(flow);
+    }
+    if (endpoints.some(endpoint => QUERY_TOKEN_PATTERN.test(this.findAuthorizationHeader(endpoint)?.description || ''))) {
+      securitySchemes[QUERY_TOKEN_SCHEME_NAME] = {
+        type: 'apiKey',
+        in: 'query',
+        name: ACCESS_TOKEN_QUERY_PARAMETER,
+        description: 'Access token passed as GET parameter instead of the Authorization header'
+      };
+    }
+
+    this.securitySchemes = securitySchemes;
+  }
+
+  /**
+   * Derive the OAuth2 authorization-code flow from the documented auth and token endpoints of the OAuth groups
+   * Returns null when they are not documented
+   */
+  findOAuthFlow(endpoints) {
+    const oauthEndpoints = endpoints.filter(endpoint => endpoint.url && /oauth/i.test(endpoint.group || ''));
+    const findEndpoint = (method, pattern) => oauthEndpoints.find(endpoint =>
+      (endpoint.type || 'get').toLowerCase() === method && pattern.test(this.normalizePath(endpoint.url)));
+    const authEndpoint = findEndpoint('get', /\/auth$/);
+    const tokenEndpoint = findEndpoint('post', /\/token$/);
+
+    if (!authEndpoint || !tokenEndpoint) {
+      return null;
+    }
+
+    const serverUrl = this.serverUrl.replace(/\/+$/, '');
+    const tokenUrl = `${serverUrl}${this.normalizePath(tokenEndpoint.url)}`;
+    const scopeField = (authEndpoint.parameter?.fields?.Parameter || []).find(field => field.field === 'scope');
+
+    return {
+      authorizationUrl: `${serverUrl}${this.normalizePath(authEndpoint.url)}`,
+      tokenUrl,
+      refreshUrl: tokenUrl,
+      scopes: this.parseOAuthScopes(scopeField?.description)
+    };
+  }
+
+  /**
+   * Parse the scopes listed by the auth endpoint, e.g. "<li><code>service</code>: Access to a customers's rented services.</li>"
+   */
+  parseOAuthScopes(description) {
+    const scopes = {};
+    const pattern = /<code>([\w.:-]+)<\/code>\s*:\s*([^<]+)/g;
+    let match;
+
+    while ((match = pattern.exec(description || '')) !== null) {
+      scopes[match[1]] = htmlToText(match[2]).trim();
+    }
+    return scopes;
+  }
+
+  /**
+   * Create the OAuth2 security scheme for an authorization-code flow
+   */
+  createOAuthScheme(flow) {
+    return {
+      type: 'oauth2',
+      description: 'OAuth2 access token, sent as bearer token. Scopes are the OAuth scopes and the permission roles an operation requires, e.g. of a sub-user on a service',
+      flows: { authorizationCode: flow }
+    };
+  }
+
   /**
    * Add security if endpoint is not public
+   * Endpoints requiring permission roles list them as scopes of the OAuth2 scheme
    */
   addSecurityIfNeeded(endpoint, operation) {
-    if (!endpoint.public) {
-      operation.security = [{ BearerAuth: [] }];
+    if (this.isPublicEndpoint(endpoint)) {
+      return;
+    }
+
+    const permissions = operation['x-nitrado-permissions'] || [];
+    const tokenScheme = permissions.length > 0 || this.securitySchemes[OAUTH_SCHEME_NAME] ? OAUTH_SCHEME_NAME : 'BearerAuth';
+    operation.security = [{ [tokenScheme]: permissions }];
+
+    if (this.securitySchemes[QUERY_TOKEN_SCHEME_NAME]) {
+      operation.security.push({ [QUERY_TOKEN_SCHEME_NAME]: [] });
     }
   }
 
+  /**
+   * Add every permission role required by an operation of the spec to the OAuth2 scopes
+   * The scheme falls back to the default auth and token URLs when the OAuth endpoints are not documented
+   */
+  addPermissionScopes(openAPISpec) {
+    const roles = new Set();
+    Object.values(openAPISpec.paths).forEach(pathItem => {
+      Object.values(pathItem).forEach(operation => {
+        (operation.security || []).forEach(requirement => {
+          (requirement[OAUTH_SCHEME_NAME] || []).forEach(role => roles.add(role));
+        });
+      });
+    });
+
+    if (roles.size === 0) {
+      return;
+    }
+
+    const { securitySchemes } = openAPISpec.components;
+    if (!securitySchemes[OAUTH_SCHEME_NAME]) {
+      const serverUrl = this.serverUrl.replace(/\/+$/, '');
+      securitySchemes[OAUTH_SCHEME_NAME] = this.createOAuthScheme({
+        authorizationUrl: `${serverUrl}/oauth/v2/auth`,
+        tokenUrl: `${serverUrl}/oauth/v2/token`,
+        refreshUrl: `${serverUrl}/oauth/v2/token`,
+        scopes: {}
+      });
+    }
+
+    const { scopes } = securitySchemes[OAUTH_SCHEME_NAME].flows.authorizationCode;
+    [...roles].sort().forEach(role => {
+      scopes[role] = scopes[role] || this.describePermission(role);
+    });
+    this.logger.verbose(`🔐 ${roles.size} permission roles as ${OAUTH_SCHEME_NAME} scopes`);
+  }
+
+  /**
+   * Describe a permission role, e.g. "Webinterface settings read" for ROLE_WEBINTERFACE_SETTINGS_READ
+   */
+  describePermission(name) {
+    const words = name.replace(/^ROLE_/, '').toLowerCase().replace(/_/g, ' ');
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  }
+
   /**
    * Add parameters to OpenAPI operation
    */
   addParameters(endpoint, operation, path) {
-    const pathParams = this.extractPathParameters(path);
+    const pathParams = this.extractPathParameters(path, endpoint);
     const queryParams = this.extractQueryParameters(endpoint);
     const headerParams = this.extractHeaderParameters(endpoint);
     
@@ -323,19 +893,21 @@ class NitradoAPIConverter {
   }
 
   /**
-   * Extract path parameters from URL path
+   * Extract path parameters from URL path, using documented Parameter fields when present
    */
-  extractPathParameters(path) {
+  extractPathParameters(path, endpoint = {}) {
     const pathParamMatches = path.match(/\{(\w+)\}/g) || [];
+    const parameterFields = endpoint.parameter?.fields?.Parameter || [];
     
     return pathParamMatches.map(param => {
       const paramName = param.replace(/[{}]/g, '');
+      const documentedParam = parameterFields.find(field => field.field === paramName);
       return {
         name: paramName,
         in: 'path',
         required: true,
-        schema: { type: 'string' },
-        description: `The ${paramName} parameter`
+        schema: documentedParam ? this.buildFieldSchema(documentedParam) : { type: 'string' },
+        description: this.formatDescription(documentedParam?.description) || `The ${paramName} parameter`
       };
     });
   }
@@ -347,15 +919,68 @@ class NitradoAPIConverter {
     const parameterFields = endpoint.parameter?.fields;
     if (!parameterFields) return [];
     
-    const queryParams = parameterFields.Parameter || parameterFields.Query || [];
+    const placedParams = this.resolveParameterPlacement(endpoint) === 'query'
+      ? this.extractNonPathParameterFields(endpoint)
+      : [];
+    const queryParams = [...placedParams, ...(parameterFields.Query || [])];
+    const paramsByRoot = this.groupParametersByRoot(queryParams);
     
-    return queryParams.map(param => ({
-      name: param.field,
-      in: 'query',
-      required: !param.optional,
-      schema: this.parseParameterType(param.type),
-      description: param.description || ''
-    }));
+    return Object.entries(paramsByRoot).map(([rootName, params]) => {
+      const isNested = params.some(param => this.parseFieldPath(param.field).length > 1);
+
+      if (!isNested) {
+        const [param] = params;
+        return {
+          name: param.field,
+          in: 'query',
+          required: !param.optional,
+          schema: this.buildFieldSchema(param),
+          description: this.formatDescription(param.description)
+        };
+      }
+
+      const { properties, required } = this.buildRequestBodySchema(params);
+      const { description, ...schema } = properties[rootName];
+
+      return {
+        name: rootName,
+        in: 'query',
+        required: required.includes(rootName),
+        style: 'deepObject',
+        explode: true,
+        schema,
+        description: description || ''
+      };
+    });
+  }
+
+  /**
+   * Group parameters by the first segment of their field path
+   */
+  groupParametersByRoot(params) {
+    return params.reduce((groups, param) => {
+      const [rootName] = this.parseFieldPath(param.field);
+      if (!groups[rootName]) {
+        groups[rootName] = [];
+      }
+      groups[rootName].push(param);
+      return groups;
+    }, {});
+  }
+
+  /**
+   * Split bracket or dot notation like "contact[address][city]" into path segments
+   */
+  parseFieldPath(field = '') {
+    const segments = [];
+    const segmentPattern = /([^.[\]]+)|\[([^\]]*)\]/g;
+    let match;
+
+    while ((match = segmentPattern.exec(field)) !== null) {
+      segments.push(match[1] !== undefined ? match[1] : match[2]);
+    }
+
+    return segments.length > 0 ? segments : [field];
   }
 
   /**
@@ -372,7 +997,7 @@ class NitradoAPIConverter {
       in: 'header',
       required: !param.optional,
       schema: { type: 'string' },
-      description: param.description || ''
+      description: this.formatDescription(param.description)
     }));
   }
 
@@ -385,18 +1010,17 @@ class NitradoAPIConverter {
     if (bodyParams.length === 0) return;
 
     const { properties, required } = this.buildRequestBodySchema(bodyParams);
+    const schema = {
+      type: 'object',
+      properties,
+      ...(required.length > 0 && { required })
+    };
     
     operation.requestBody = {
       required: required.length > 0,
-      content: {
-        'application/json': {
-          schema: {
-            type: 'object',
-            properties,
-            ...(required.length > 0 && { required })
-          }
-        }
-      }
+      content: Object.fromEntries(
+        REQUEST_BODY_CONTENT_TYPES.map(contentType => [contentType, { schema }])
+      )
     };
   }
 
@@ -407,73 +1031,145 @@ class NitradoAPIConverter {
     const parameterFields = endpoint.parameter?.fields;
     if (!parameterFields) return [];
     
-    return parameterFields.Body || parameterFields.Request || [];
+    const placedParams = this.resolveParameterPlacement(endpoint) === 'body'
+      ? this.extractNonPathParameterFields(endpoint)
+      : [];
+
+    return [...placedParams, ...(parameterFields.Body || parameterFields.Request || [])];
   }
 
   /**
    * Build request body schema from parameters
    */
   buildRequestBodySchema(bodyParams) {
-    const properties = {};
-    const required = [];
+    const root = { properties: {}, required: [] };
+    // Parents documented as optional stay optional even when one of their fields is required
+    const optionalPaths = new Set(
+      bodyParams.filter(param => param.optional).map(param => this.parseFieldPath(param.field).join('.'))
+    );
 
     bodyParams.forEach(param => {
-      const paramSchema = this.parseParameterType(param.type);
-      properties[param.field] = {
-        ...paramSchema,
-        description: param.description || ''
+      this.insertFieldSchema(root, this.parseFieldPath(param.field), param, optionalPaths);
+    });
+
+    this.removeEmptyRequired(root);
+    return { properties: root.properties, required: root.required || [] };
+  }
+
+  /**
+   * Insert a parameter schema at its nested field path, creating parent objects as needed
+   */
+  insertFieldSchema(container, segments, param, optionalPaths = new Set(), parentPath = []) {
+    const [name, ...rest] = segments;
+    const existing = container.properties[name];
+    const fieldPath = [...parentPath, name];
+    const isOptional = param.optional || (rest.length > 0 && rest[0] !== '' && optionalPaths.has(fieldPath.join('.')));
+
+    if (!isOptional && !container.required.includes(name)) {
+      container.required.push(name);
+    }
+
+    if (rest.length === 1 && rest[0] === '') {
+      container.properties[name] = {
+        type: 'array',
+        items: this.parseParameterType(param.type),
+        description: this.formatDescription(param.description)
       };
+      return;
+    }
 
-      if (!param.optional) {
-        required.push(param.field);
-      }
-    });
+    if (rest.length === 0) {
+      container.properties[name] = {
+        ...this.buildFieldSchema(param),
+        ...(existing?.properties && { type: 'object', properties: existing.properties, required: existing.required }),
+        description: this.formatDescription(param.description) || existing?.description || ''
+      };
+      return;
+    }
 
-    return { properties, required };
+    const parent = existing?.type === 'object'
+      ? existing
+      : { type: 'object', ...(existing?.description && { description: existing.description }) };
+    parent.properties = parent.properties || {};
+    parent.required = parent.required || [];
+    container.properties[name] = parent;
+
+    this.insertFieldSchema(parent, rest, param, optionalPaths, fieldPath);
+  }
+
+  /**
+   * Drop empty required arrays left over from nested schema construction
+   */
+  removeEmptyRequired(schema) {
+    if (schema.required?.length === 0) {
+      delete schema.required;
+    }
+
+    Object.values(schema.properties || {}).forEach(property => this.removeEmptyRequired(property));
   }
 
   /**
    * Add responses to OpenAPI operation
    */
   addResponses(endpoint, operation) {
-    const successResponse = this.buildSuccessResponse(endpoint);
-    const errorResponse = this.buildErrorResponse(endpoint);
-    const standardResponses = this.buildStandardResponses();
+    const successResponses = this.buildSuccessResponses(endpoint);
+    const errorResponses = this.buildErrorResponses(endpoint);
     
     operation.responses = {
-      '200': successResponse,
-      ...errorResponse,
-      ...standardResponses
+      ...successResponses,
+      ...errorResponses
     };
   }
 
   /**
-   * Build success response (200)
+   * Build success responses keyed by the status codes of the success examples
+   */
+  buildSuccessResponses(endpoint) {
+    const examples = this.extractSuccessExamples(endpoint);
+
+    if (examples.length === 0) {
+      return { '200': this.buildSuccessResponse(endpoint, []) };
+    }
+
+    const examplesByStatus = examples.reduce((groups, example) => {
+      const statusCode = String(example.statusCode || 200);
+      if (!groups[statusCode]) {
+        groups[statusCode] = [];
+      }
+      groups[statusCode].push(example);
+      return groups;
+    }, {});
+
+    return Object.fromEntries(
+      Object.entries(examplesByStatus).map(([statusCode, statusExamples]) => [
+        statusCode,
+        this.buildSuccessResponse(endpoint, statusExamples)
+      ])
+    );
+  }
+
+  /**
+   * Build a single success response from fields or examples
    */
-  buildSuccessResponse(endpoint) {
+  buildSuccessResponse(endpoint, examples = this.extractSuccessExamples(endpoint)) {
     const successFields = this.extractSuccessFields(endpoint);
-    
-    if (successFields.length === 0) {
-      return {
-        description: 'Successful operation',
-        content: {
-          'application/json': {
-            schema: { type: 'object' }
-          }
-        }
-      };
+    const hasBody = examples.length === 0 || examples.some(example => example.body);
+
+    if (!hasBody) {
+      return { description: 'Successful operation' };
     }
 
-    const properties = this.buildResponseProperties(successFields);
-    
+    const schema = successFields.length > 0
+      ? { type: 'object', properties: this.buildResponseProperties(successFields) }
+      : this.inferSuccessSchema(examples);
+    const responseExamples = this.buildResponseExamples(examples);
+
     return {
       description: 'Successful operation',
       content: {
         'application/json': {
-          schema: {
-            type: 'object',
-            properties
-          }
+          schema,
+          ...(Object.keys(responseExamples).length > 0 && { examples: responseExamples })
         }
       }
     };
@@ -490,50 +1186,162 @@ class NitradoAPIConverter {
   }
 
   /**
-   * Build error response (400) if error fields exist
+   * Parse the success examples of an endpoint
    */
-  buildErrorResponse(endpoint) {
-    const errorFields = endpoint.error?.fields;
-    if (!errorFields) return {};
-    
-    const hasErrorFields = (errorFields['Error 4xx'] || errorFields.Error || []).length > 0;
-    
-    if (!hasErrorFields) return {};
-    
-    return {
-      '400': {
-        description: 'Bad Request',
-        content: {
-          'application/json': {
-            schema: {
-              type: 'object',
-              properties: {
-                error: {
-                  type: 'object',
-                  properties: {
-                    message: { type: 'string' }
-                  }
-                }
-              }
-            }
-          }
+  extractSuccessExamples(endpoint) {
+    const examples = endpoint.success?.examples;
+    if (!Array.isArray(examples)) {
+      return [];
+    }
+
+    return examples.map(example => parseExample(example));
+  }
+
+  /**
+   * Infer the success response schema from the first parseable example
+   */
+  inferSuccessSchema(examples) {
+    const example = examples.find(parsedExample => parsedExample.parsed);
+
+    if (!example) {
+      return { type: 'object' };
+    }
+
+    return inferSchema(example.data);
+  }
+
+  /**
+   * Build OpenAPI examples keyed by the example title
+   */
+  buildResponseExamples(examples) {
+    return examples
+      .filter(example => example.parsed)
+      .reduce((responseExamples, example) => {
+        const baseKey = (example.title || 'Example').replace(/[^\w.-]/g, '') || 'Example';
+        let key = baseKey;
+        let counter = 2;
+
+        while (responseExamples[key]) {
+          key = `${baseKey}${counter}`;
+          counter++;
         }
+
+        responseExamples[key] = { value: example.data };
+        return responseExamples;
+      }, {});
+  }
+
+  /**
+   * Build one error response per documented error field or error example
+   */
+  buildErrorResponses(endpoint) {
+    const descriptionsByStatus = {};
+    const examplesByStatus = {};
+
+    this.extractErrorFields(endpoint).forEach(errorField => {
+      const statusCode = String(this.resolveErrorStatusCode(errorField));
+      const description = this.describeErrorField(errorField);
+      descriptionsByStatus[statusCode] = descriptionsByStatus[statusCode] || [];
+
+      if (description && !descriptionsByStatus[statusCode].includes(description)) {
+        descriptionsByStatus[statusCode].push(description);
       }
-    };
+    });
+
+    this.extractErrorExamples(endpoint).forEach(example => {
+      const statusCode = String(example.statusCode);
+      descriptionsByStatus[statusCode] = descriptionsByStatus[statusCode] || [];
+      examplesByStatus[statusCode] = examplesByStatus[statusCode] || [];
+      examplesByStatus[statusCode].push(example);
+    });
+
+    return Object.fromEntries(
+      Object.entries(descriptionsByStatus).map(([statusCode, descriptions]) => [
+        statusCode,
+        this.buildErrorResponse(statusCode, descriptions, examplesByStatus[statusCode] || [])
+      ])
+    );
   }
 
   /**
-   * Build standard HTTP responses
+   * Build a single error response for a status code
    */
-  buildStandardResponses() {
+  buildErrorResponse(statusCode, descriptions, examples) {
+    const responseExamples = this.buildResponseExamples(examples);
+
     return {
-      '401': { description: 'Unauthorized' },
-      '403': { description: 'Forbidden' },
-      '404': { description: 'Not Found' },
-      '500': { description: 'Internal Server Error' }
+      description: descriptions.join('\n\n') || STATUS_CODES[statusCode] || 'Error',
+      content: {
+        'application/json': {
+          schema: { $ref: '#/components/schemas/Error' },
+          ...(Object.keys(responseExamples).length > 0 && { examples: responseExamples })
+        }
+      }
     };
   }
 
+  /**
+   * Extract error fields from all error groups of an endpoint
+   */
+  extractErrorFields(endpoint) {
+    const errorFields = endpoint.error?.fields;
+    if (!errorFields) {
+      return [];
+    }
+
+    return Object.entries(errorFields).flatMap(([group, fields]) =>
+      (fields || []).map(field => ({ group, ...field }))
+    );
+  }
+
+  /**
+   * Parse the error examples of an endpoint, keeping those with a status line
+   */
+  extractErrorExamples(endpoint) {
+    const examples = endpoint.error?.examples;
+    if (!Array.isArray(examples)) {
+      return [];
+    }
+
+    return examples
+      .map(example => parseExample(example))
+      .filter(example => example.statusCode >= 400);
+  }
+
+  /**
+   * Resolve the HTTP status code of an error field
+   */
+  resolveErrorStatusCode(errorField) {
+    const field = String(errorField.field || '').trim();
+
+    if (/^[1-5]\d{2}$/.test(field)) {
+      return parseInt(field, 10);
+    }
+
+    const groupStatus = (errorField.group || '').match(/\b([45]\d{2})\b/);
+    if (groupStatus) {
+      return parseInt(groupStatus[1], 10);
+    }
+
+    const searchText = `${field} ${htmlToText(errorField.description)}`;
+    const namedStatus = ERROR_NAME_STATUS_CODES.find(({ pattern }) => pattern.test(searchText));
+    return namedStatus ? namedStatus.statusCode : 400;
+  }
+
+  /**
+   * Describe an error field as plain text, prefixing named errors with their name
+   */
+  describeErrorField(errorField) {
+    const field = String(errorField.field || '').trim();
+    const text = this.formatDescription(errorField.description);
+
+    if (/^\d{3}$/.test(field)) {
+      return text;
+    }
+
+    return text ? `${field}: ${text}` : field;
+  }
+
   /**
    * Build response properties from fields
    */
@@ -544,7 +1352,7 @@ class NitradoAPIConverter {
       const fieldSchema = this.parseParameterType(field.type);
       properties[field.field] = {
         ...fieldSchema,
-        description: field.description || ''
+        description: this.formatDescription(field.description)
       };
     });
     
@@ -552,12 +1360,28 @@ class NitradoAPIConverter {
   }
 
   /**
-   * Generate operation ID from endpoint
+   * Generate operation ID from endpoint with the configured naming strategy and case style
+   * The "auto" strategy keeps the heuristic IDs below, e.g. CompanyCompanyStatsGetStats, and "auto-compact" gives CompanyStatsGetStats
    */
   generateOperationId(endpoint) {
     const method = (endpoint.type || 'get').toLowerCase();
     const url = endpoint.url || '';
-    
+
+    if (!HEURISTIC_STRATEGIES.includes(this.operationIdStrategy)) {
+      const parts = { group: this.getGroupPrefix(endpoint), name: endpoint.name, method, path: url };
+      return buildOperationId(this.operationIdStrategy, parts, this.operationIdCase)
+        || buildOperationId('method+path', parts, this.operationIdCase);
+    }
+
+    const heuristicId = this.generateHeuristicOperationId(endpoint, method, url);
+    const operationId = this.operationIdStrategy === 'auto-compact' ? dropRepeatedWords(heuristicId) : heuristicId;
+    return this.operationIdCase === 'PascalCase' ? operationId : applyCase(tokenize(operationId), this.operationIdCase);
+  }
+
+  /**
+   * Generate operation ID from the endpoint name with path and group context, or from the path without a name
+   */
+  generateHeuristicOperationId(endpoint, method, url) {
     if (endpoint.name?.trim()) {
       return this.generateOperationIdFromName(endpoint, method, url);
     }
@@ -691,6 +1515,29 @@ class NitradoAPIConverter {
     return str.replace(/^[a-z]/, letter => letter.toUpperCase());
   }
 
+  /**
+   * Assign the locked operationId of a known operation, or a fresh unique one to a new operation
+   */
+  assignOperationId(endpoint, path, method) {
+    const key = `${method.toUpperCase()} ${path}`;
+    const operationId = this.operationIdLock?.[key] || this.ensureUniqueOperationId(this.generateOperationId(endpoint));
+
+    this.assignedOperationIds[key] = operationId;
+    return operationId;
+  }
+
+  /**
+   * Warn about locked operations that are no longer part of the API
+   */
+  reportVanishedOperationIds() {
+    const vanished = Object.entries(this.operationIdLock || {}).filter(([key]) => !this.assignedOperationIds[key]);
+
+    if (vanished.length > 0) {
+      this.logger.warn(`⚠️  ${vanished.length} locked operation(s) no longer exist:`);
+      vanished.forEach(([key, operationId]) => this.logger.warn(`   ${key} (${operationId})`));
+    }
+  }
+
   /**
    * Ensure operation ID is unique by adding suffix if needed
    */
@@ -700,13 +1547,14 @@ class NitradoAPIConverter {
       return baseId;
     }
 
-    // If base ID is taken, try with numeric suffix
+    // If base ID is taken, try with numeric suffix, e.g. GetStats2 or get_stats_2
+    const separator = this.operationIdCase === 'snake_case' ? '_' : '';
     let counter = 2;
-    let uniqueId = `${baseId}${counter}`;
+    let uniqueId = `${baseId}${separator}${counter}`;
 
     while (this.usedOperationIds.has(uniqueId)) {
       counter++;
-      uniqueId = `${baseId}${counter}`;
+      uniqueId = `${baseId}${separator}${counter}`;
     }
 
     this.usedOperationIds.add(uniqueId);
@@ -738,18 +1586,94 @@ class NitradoAPIConverter {
     return matchingType ? typeMap[matchingType]() : { type: 'string' };
   }
 
+  /**
+   * Build the schema of an apiDoc field, including its documented allowed and default values
+   */
+  buildFieldSchema(param) {
+    const schema = this.parseParameterType(param.type);
+    const allowedValues = this.parseAllowedValues(param.allowedValues, schema.type);
+    const defaultValue = this.parseDefaultValue(param.defaultValue, schema.type);
+
+    return {
+      ...schema,
+      ...(allowedValues && { enum: allowedValues }),
+      ...(defaultValue !== undefined && { default: defaultValue })
+    };
+  }
+
+  /**
+   * Coerce apiDoc allowed values such as ["started","stopped"] to an enum, or return undefined when any does not fit
+   */
+  parseAllowedValues(values, type) {
+    if (!Array.isArray(values) || values.length === 0) {
+      return undefined;
+    }
+
+    const parsed = values.map(value => this.parseDefaultValue(String(value).replace(/^"(.*)"$/, '$1'), type));
+    return parsed.includes(undefined) ? undefined : [...new Set(parsed)];
+  }
+
+  /**
+   * Coerce an apiDoc default value to the schema type, or return undefined when it does not fit
+   */
+  parseDefaultValue(value, type) {
+    if (value === undefined || value === null || value === '') {
+      return undefined;
+    }
+
+    switch (type) {
+      case 'integer':
+        return Number.isInteger(Number(value)) ? Number(value) : undefined;
+      case 'boolean':
+        return ['true', 'false'].includes(String(value).toLowerCase()) ? String(value).toLowerCase() === 'true' : undefined;
+      case 'string':
+        return String(value);
+      default:
+        return undefined;
+    }
+  }
+
   /**
    * Save extracted data as JSON
    */
   async saveAsJSON(data, filename = 'nitrado-api.json') {
+    return this.writeOutputFile(filename, JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * Save data once per configured output format, e.g. nitrado-openapi.json and nitrado-openapi.yaml
+   */
+  async saveSerialized(data, basename) {
+    const filePaths = [];
+
+    for (const format of this.outputFormats) {
+      const serializer = getSerializer(format);
+      filePaths.push(await this.writeOutputFile(`${basename}.${serializer.extension}`, serializer.serialize(data)));
+    }
+
+    return filePaths;
+  }
+
+  /**
+   * Write a file to the output directory, or record it in the dry run plan
+   */
+  async writeOutputFile(filename, content) {
+    const filePath = path.join(this.outputDir, filename);
+
     try {
-      await fs.mkdir(this.outputDir, { recursive: true });
-      const filePath = path.join(this.outputDir, filename);
-      await fs.writeFile(filePath, JSON.stringify(data, null, 2));
-      console.log('💾 Data saved to:', filePath);
+      if (this.dryRun) {
+        const entry = await this.dryRunPlan.addFile(filePath, content);
+        this.logger.verbose(`🧪 Would ${entry.status === 'create' ? 'create' : 'write'}:`, filePath, `(${entry.bytes} bytes)`);
+        return filePath;
+      }
+
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, content);
+      this.logger.info('💾 Data saved to:', filePath);
+      this.logger.debug('📊 Bytes written:', Buffer.byteLength(content));
       return filePath;
     } catch (error) {
-      console.error('❌ Error saving file:', error.message);
+      this.logger.error('❌ Error saving file:', error.message);
       throw error;
     }
   }
@@ -759,14 +1683,23 @@ class NitradoAPIConverter {
    */
   async run() {
     try {
-      console.log('🚀 Starting Nitrado API extraction...');
+      this.logger.info('🚀 Starting Nitrado API extraction...');
       
+      if (this.dryRun) {
+        this.logger.info('🧪 Dry run mode - no files will be written');
+      }
+
       await this.executeExtractionPipeline();
       
-      console.log('✅ All tasks completed successfully!');
+      this.logger.info('✅ All tasks completed successfully!');
       this.logSummary();
+
+      if (this.dryRun) {
+        this.dryRunPlan.print(this.logger);
+      }
     } catch (error) {
-      console.error('❌ Error during execution:', error.message);
+      this.logger.error('❌ Error during execution:', error.message);
+      this.logger.debug('Stack trace:', error.stack);
       process.exit(1);
     }
   }
@@ -791,8 +1724,205 @@ class NitradoAPIConverter {
    * Convert to OpenAPI and save
    */
   async convertAndSaveOpenAPI() {
+    await this.loadOverrides();
+    await this.loadOperationIdLock();
     const openAPISpec = this.convertToOpenAPI();
-    return this.saveAsJSON(openAPISpec, 'nitrado-openapi.json');
+    await this.applyVersioning(openAPISpec);
+    this.openAPISpec = openAPISpec;
+    const filePaths = await this.saveSerialized(openAPISpec, 'nitrado-openapi');
+    await this.saveOperationIdLock();
+    await this.saveTypeDeclarations(openAPISpec);
+    await this.saveTargets(openAPISpec);
+    return filePaths;
+  }
+
+  /**
+   * Read the operationId lock of the previous run
+   * Without a lock file the lock is seeded from the previous spec, so existing operations keep their IDs
+   */
+  async loadOperationIdLock() {
+    const filePath = path.join(this.outputDir, OPERATION_ID_LOCK_FILENAME);
+    let content;
+
+    try {
+      content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      this.operationIdLock = await this.seedOperationIdLock();
+      return this.operationIdLock;
+    }
+
+    let lock;
+    try {
+      lock = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid operationId lock file ${filePath}: ${error.message}`, { cause: error });
+    }
+    if (!lock || typeof lock !== 'object' || Array.isArray(lock) || Object.values(lock).some(value => typeof value !== 'string')) {
+      throw new Error(`Invalid operationId lock file ${filePath}: expected an object mapping "METHOD /path" to operationIds`);
+    }
+
+    const keysById = {};
+    Object.entries(lock).forEach(([key, operationId]) => {
+      if (keysById[operationId]) {
+        throw new Error(`Invalid operationId lock file ${filePath}: ${keysById[operationId]} and ${key} both map to "${operationId}"`);
+      }
+      keysById[operationId] = key;
+    });
+
+    this.operationIdLock = lock;
+    this.logger.verbose(`🔒 ${Object.keys(lock).length} locked operationIds from ${filePath}`);
+    return lock;
+  }
+
+  /**
+   * Build a lock from the operationIds of the previous spec, or null when there is no previous spec
+   * An operationId used by several operations is only locked for the first
+   */
+  async seedOperationIdLock() {
+    const previousSpec = await this.readPreviousSpec();
+    if (!previousSpec) {
+      this.logger.verbose(`🔒 No ${OPERATION_ID_LOCK_FILENAME} or previous spec yet, all operationIds are new`);
+      return null;
+    }
+
+    const lockedIds = new Set();
+    const lock = {};
+    listOperations(previousSpec).forEach(({ pathName, method, operation }) => {
+      if (typeof operation.operationId === 'string' && !lockedIds.has(operation.operationId)) {
+        lockedIds.add(operation.operationId);
+        lock[`${method.toUpperCase()} ${pathName}`] = operation.operationId;
+      }
+    });
+
+    this.logger.info(`🔒 Seeded ${Object.keys(lock).length} locked operationIds from the previous spec`);
+    return lock;
+  }
+
+  /**
+   * Persist the operationIds of the last conversion, sorted by "METHOD /path" for small diffs
+   */
+  async saveOperationIdLock() {
+    const keys = Object.keys(this.assignedOperationIds).sort();
+    const lock = Object.fromEntries(keys.map(key => [key, this.assignedOperationIds[key]]));
+
+    return this.writeOutputFile(OPERATION_ID_LOCK_FILENAME, `${JSON.stringify(lock, null, 2)}\n`);
+  }
+
+  /**
+   * Generate the configured additional output targets from the OpenAPI spec
+   */
+  async saveTargets(openAPISpec) {
+    for (const target of this.targets) {
+      switch (target) {
+        case 'openapi-3.0':
+          await this.saveOpenAPI30(openAPISpec);
+          break;
+        case 'postman':
+          await this.savePostmanCollection(openAPISpec);
+          break;
+        case 'sdk-ts':
+          await this.saveTypeScriptSDK(openAPISpec);
+          break;
+      }
+    }
+  }
+
+  /**
+   * Write the standalone TypeScript declarations keyed by operationId
+   */
+  async saveTypeDeclarations(openAPISpec) {
+    return this.writeOutputFile(DECLARATIONS_FILENAME, generateTypeDeclarations(openAPISpec));
+  }
+
+  /**
+   * Down-convert the spec to OpenAPI 3.0.3 and report anything it could not represent
+   */
+  async saveOpenAPI30(openAPISpec) {
+    const { spec, issues } = downgradeSpec(openAPISpec);
+
+    if (issues.length > 0) {
+      this.logger.warn(`⚠️  ${issues.length} construct(s) could not be represented in OpenAPI ${TARGET_OPENAPI_VERSION}`);
+      issues.forEach(issue => this.logger.verbose(`   ${issue.location}: ${issue.message}`));
+    }
+
+    return this.saveSerialized(spec, 'nitrado-openapi-3.0');
+  }
+
+  /**
+   * Export the converted API as a Postman collection with one folder per group
+   */
+  async savePostmanCollection(openAPISpec) {
+    const collection = buildPostmanCollection(this, openAPISpec);
+    const requestCount = collection.item.reduce((count, folder) => count + folder.item.length, 0);
+
+    this.logger.verbose(`📮 Postman collection: ${collection.item.length} folders, ${requestCount} requests`);
+    return this.saveAsJSON(collection, 'nitrado-postman-collection.json');
+  }
+
+  /**
+   * Generate the TypeScript client package under sdk-ts/
+   */
+  async saveTypeScriptSDK(openAPISpec) {
+    const files = generateTypeScriptSDK(openAPISpec);
+    const filePaths = [];
+
+    for (const [filename, content] of Object.entries(files)) {
+      filePaths.push(await this.writeOutputFile(path.join('sdk-ts', filename), content));
+    }
+
+    this.logger.verbose(`📦 TypeScript SDK: ${filePaths.length} files in ${path.join(this.outputDir, 'sdk-ts')}`);
+    return filePaths;
+  }
+
+  /**
+   * Bump info.version against the previous output and record the reason
+   */
+  async applyVersioning(openAPISpec) {
+    if (this.versioning !== 'auto') {
+      return openAPISpec;
+    }
+
+    const previousSpec = await this.readPreviousSpec();
+    const { version, previousVersion, bump, reason } = resolveSpecVersion(
+      previousSpec,
+      openAPISpec,
+      this.config.apiVersion
+    );
+
+    openAPISpec.info.version = version;
+    openAPISpec.info['x-nitrado-versioning'] = { previousVersion, bump, reason };
+
+    this.logger.info(`🏷️  Spec version ${version} (${bump === 'none' ? 'unchanged' : `${bump} bump`})`);
+    this.logger.verbose(`   ${reason}`);
+    return openAPISpec;
+  }
+
+  /**
+   * Read the previously generated OpenAPI spec, or null when there is none
+   * Configured formats are tried first, so a YAML-only output is versioned and locked against its YAML file
+   */
+  async readPreviousSpec() {
+    const formats = [...new Set([...this.outputFormats, 'json', 'yaml'])];
+
+    for (const format of formats) {
+      const serializer = getSerializer(format);
+      const filePath = path.join(this.outputDir, `nitrado-openapi.${serializer.extension}`);
+
+      try {
+        const previousSpec = serializer.parse(await fs.readFile(filePath, 'utf8'));
+        return previousSpec && typeof previousSpec.openapi === 'string' ? previousSpec : null;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          this.logger.warn(`⚠️  Could not read previous spec: ${error.message}`);
+          return null;
+        }
+      }
+    }
+
+    return null;
   }
 
   /**
@@ -800,13 +1930,13 @@ class NitradoAPIConverter {
    */
   logSummary() {
     const endpointCount = this.apiData?.api?.length || 0;
-    const openAPISpec = this.convertToOpenAPI();
+    const openAPISpec = this.openAPISpec || this.convertToOpenAPI();
     const pathCount = Object.keys(openAPISpec.paths).length;
     
-    console.log('📊 Summary:');
-    console.log(`  - Extracted ${endpointCount} API endpoints`);
-    console.log(`  - Generated OpenAPI spec with ${pathCount} paths`);
-    console.log(`  - Files saved to: ${this.outputDir}/`);
+    this.logger.info('📊 Summary:');
+    this.logger.info(`  - Extracted ${endpointCount} API endpoints`);
+    this.logger.info(`  - Generated OpenAPI spec with ${pathCount} paths`);
+    this.logger.info(`  - Files ${this.dryRun ? 'would be saved' : 'saved'} to: ${this.outputDir}/`);
   }
 }
 
@@ -0,0 +1,409 @@
+/**
+ * Description formatting utilities for apiDoc HTML fragments
+ * Converts descriptions to CommonMark, plain text or keeps the original HTML
+ */
+
+const DESCRIPTION_FORMATS = ['html', 'markdown', 'text'];
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: ' '
+};
+
+const VOID_TAGS = ['br', 'hr', 'img', 'input', 'meta', 'link', 'col', 'wbr'];
+const BLOCK_TAGS = [
+  'p', 'div', 'ul', 'ol', 'pre', 'table', 'blockquote', 'hr',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'section', 'article', 'dl'
+];
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>|[^<]+|</g;
+// encodeURIComponent leaves parentheses alone, but they would end a link destination early
+const LINK_DESTINATION_ESCAPES = { '(': '%28', ')': '%29' };
+
+/**
+ * Check whether a number is a Unicode scalar value, i.e. a code point other than a lone surrogate
+ */
+function isScalarValue(codePoint) {
+  return codePoint <= 0x10ffff && !(codePoint >= 0xd800 && codePoint <= 0xdfff);
+}
+
+/**
+ * Decode named and numeric HTML entities
+ * Numeric entities outside the Unicode range or naming a surrogate are kept as written
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const isHex = entity[1].toLowerCase() === 'x';
+      const codePoint = parseInt(entity.slice(isHex ? 2 : 1), isHex ? 16 : 10);
+      return isScalarValue(codePoint) ? String.fromCodePoint(codePoint) : match;
+    }
+
+    const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+    return decoded !== undefined ? decoded : match;
+  });
+}
+
+/**
+ * Convert an HTML fragment to plain text
+ */
+function htmlToText(html) {
+  if (!html) {
+    return '';
+  }
+
+  const text = html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '- ')
+    .replace(/<\/(p|div|ul|ol|li|tr|h[1-6]|pre|table)>/gi, '\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text)
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .filter(line => line)
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Parse an HTML fragment into a lenient element tree
+ */
+function parseHTML(html) {
+  const root = { tag: '#root', attributes: {}, children: [] };
+  const stack = [root];
+  let match;
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(html)) !== null) {
+    const [token, closing, tagName, attributeText] = match;
+    const current = stack[stack.length - 1];
+
+    if (token.startsWith('<!--')) {
+      continue;
+    }
+
+    if (!tagName) {
+      current.children.push({ tag: '#text', text: token });
+      continue;
+    }
+
+    const tag = tagName.toLowerCase();
+
+    if (closing) {
+      const openIndex = stack.map(node => node.tag).lastIndexOf(tag);
+      if (openIndex > 0) {
+        stack.length = openIndex;
+      }
+      continue;
+    }
+
+    const element = { tag, attributes: parseAttributes(attributeText), children: [] };
+    current.children.push(element);
+
+    if (!VOID_TAGS.includes(tag) && !attributeText.trim().endsWith('/')) {
+      stack.push(element);
+    }
+  }
+
+  return root;
+}
+
+/**
+ * Parse the attribute list of an HTML tag
+ */
+function parseAttributes(attributeText = '') {
+  const attributes = {};
+  const attributePattern = /([\w-]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+
+  while ((match = attributePattern.exec(attributeText)) !== null) {
+    const value = match[2] ?? match[3] ?? match[4] ?? '';
+    attributes[match[1].toLowerCase()] = decodeEntities(value);
+  }
+
+  return attributes;
+}
+
+/**
+ * Get the raw text content of a node
+ */
+function textContent(node) {
+  if (node.tag === '#text') {
+    return decodeEntities(node.text);
+  }
+  if (node.tag === 'br') {
+    return '\n';
+  }
+  return node.children.map(textContent).join('');
+}
+
+/**
+ * Escape characters that CommonMark would treat as markup
+ */
+function escapeMarkdown(text) {
+  return text
+    .replace(/([\\`*[\]<])/g, '\\$1')
+    .replace(/(^|[^\w])_|_(?=[^\w]|$)/g, (match) => match.replace('_', '\\_'));
+}
+
+/**
+ * Escape a marker at the start of a line that CommonMark would read as a heading, list item, block quote,
+ * setext underline or thematic break
+ */
+function escapeBlockMarker(line) {
+  return line
+    .replace(/^([-=*_])(?=(?:\s*\1)*\s*$)/, '\\$1')
+    .replace(/^(#{1,6}|[-+])(?=\s|$)/, '\\$1')
+    .replace(/^>/, '\\>')
+    .replace(/^(\d{1,9})([.)])(?=\s|$)/, '$1\\$2');
+}
+
+/**
+ * Render inline nodes as CommonMark
+ */
+function renderInline(nodes) {
+  return nodes.map(node => {
+    switch (node.tag) {
+      case '#text':
+        return escapeMarkdown(decodeEntities(node.text).replace(/\s+/g, ' '));
+      case 'br':
+        return '\\\n';
+      case 'code':
+      case 'kbd':
+      case 'tt':
+        return renderCodeSpan(textContent(node));
+      case 'strong':
+      case 'b':
+        return wrapInline(renderInline(node.children), '**');
+      case 'em':
+      case 'i':
+        return wrapInline(renderInline(node.children), '*');
+      case 'a':
+        return renderLink(node);
+      case 'img':
+        return `![${escapeMarkdown(node.attributes.alt || '')}](${node.attributes.src || ''})`;
+      default:
+        return renderInline(node.children);
+    }
+  }).join('');
+}
+
+/**
+ * Wrap inline content in emphasis markers, keeping surrounding whitespace outside
+ */
+function wrapInline(content, marker) {
+  const trimmed = content.trim();
+  if (!trimmed) {
+    return content;
+  }
+
+  const leading = content.match(/^\s*/)[0];
+  const trailing = content.match(/\s*$/)[0];
+  return `${leading}${marker}${trimmed}${marker}${trailing}`;
+}
+
+/**
+ * Render a code span with a fence longer than any backtick run inside it
+ */
+function renderCodeSpan(code) {
+  const text = code.replace(/\s+/g, ' ');
+  const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  const padding = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+  return `${fence}${padding}${text}${padding}${fence}`;
+}
+
+/**
+ * Render an anchor as a CommonMark link
+ */
+function renderLink(node) {
+  const href = node.attributes.href;
+  const label = renderInline(node.children).trim();
+
+  if (!href) {
+    return label;
+  }
+  if (!label || label === escapeMarkdown(href)) {
+    return `<${href}>`;
+  }
+  return `[${label}](${href.replace(/[()\s]/g, char => LINK_DESTINATION_ESCAPES[char] || encodeURIComponent(char))})`;
+}
+
+/**
+ * Render a list of nodes as CommonMark blocks
+ */
+function renderBlocks(nodes, separator = '\n\n') {
+  const blocks = [];
+  let inlineBuffer = [];
+
+  const flushInline = () => {
+    const paragraph = renderInline(inlineBuffer)
+      .split('\n')
+      .map(line => escapeBlockMarker(line.trim()))
+      .join('\n')
+      .replace(/^(\\\n)+|(\\\n)+$/g, '')
+      .trim();
+    if (paragraph) {
+      blocks.push(paragraph);
+    }
+    inlineBuffer = [];
+  };
+
+  nodes.forEach(node => {
+    if (!BLOCK_TAGS.includes(node.tag)) {
+      inlineBuffer.push(node);
+      return;
+    }
+
+    flushInline();
+    const block = renderBlock(node);
+    if (block) {
+      blocks.push(block);
+    }
+  });
+  flushInline();
+
+  return blocks.join(separator);
+}
+
+/**
+ * Render a single block element as CommonMark
+ */
+function renderBlock(node) {
+  switch (node.tag) {
+    case 'ul':
+    case 'ol':
+      return renderList(node);
+    case 'pre':
+      return renderCodeBlock(node);
+    case 'table':
+      return renderTable(node);
+    case 'blockquote':
+      return renderBlocks(node.children)
+        .split('\n')
+        .map(line => (line ? `> ${line}` : '>'))
+        .join('\n');
+    case 'hr':
+      return '---';
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6':
+      return `${'#'.repeat(Number(node.tag[1]))} ${renderInline(node.children).trim()}`;
+    default:
+      return renderBlocks(node.children);
+  }
+}
+
+/**
+ * Render an ordered or unordered list with indented continuation lines
+ */
+function renderList(node) {
+  const items = node.children.filter(child => child.tag === 'li');
+  const start = parseInt(node.attributes.start, 10) || 1;
+
+  return items.map((item, index) => {
+    const marker = node.tag === 'ol' ? `${start + index}. ` : '- ';
+    const content = renderBlocks(item.children, '\n');
+    const indent = ' '.repeat(marker.length);
+
+    return content
+      .split('\n')
+      .map((line, lineIndex) => (lineIndex === 0 ? marker + line : (line ? indent + line : line)))
+      .join('\n');
+  }).join('\n');
+}
+
+/**
+ * Render a preformatted element as a fenced code block
+ */
+function renderCodeBlock(node) {
+  const code = textContent(node).replace(/^\n/, '').replace(/\s+$/, '');
+  const longestRun = Math.max(0, ...(code.match(/`{3,}/g) || []).map(run => run.length));
+  const fence = '`'.repeat(Math.max(3, longestRun + 1));
+  const codeElement = node.children.find(child => child.tag === 'code');
+  const language = (codeElement?.attributes.class || '').match(/language-([\w-]+)/)?.[1] || '';
+
+  return `${fence}${language}\n${code}\n${fence}`;
+}
+
+/**
+ * Render a table as a GitHub-flavored pipe table
+ */
+function renderTable(node) {
+  const rows = collectTableRows(node).map(row =>
+    row.children
+      .filter(cell => cell.tag === 'th' || cell.tag === 'td')
+      .map(cell => renderInline(cell.children).replace(/\s+/g, ' ').trim().replace(/\|/g, '\\|'))
+  ).filter(cells => cells.length > 0);
+
+  if (rows.length === 0) {
+    return '';
+  }
+
+  const columnCount = Math.max(...rows.map(cells => cells.length));
+  const pad = cells => [...cells, ...Array(columnCount - cells.length).fill('')];
+  const toLine = cells => `| ${pad(cells).join(' | ')} |`;
+  const [header, ...body] = rows;
+
+  return [
+    toLine(header),
+    toLine(Array(columnCount).fill('---')),
+    ...body.map(toLine)
+  ].join('\n');
+}
+
+/**
+ * Collect table rows, looking through thead/tbody/tfoot wrappers
+ */
+function collectTableRows(node) {
+  return node.children.flatMap(child => {
+    if (child.tag === 'tr') {
+      return [child];
+    }
+    return child.children ? collectTableRows(child) : [];
+  });
+}
+
+/**
+ * Convert an HTML fragment to CommonMark
+ */
+function htmlToMarkdown(html) {
+  if (!html) {
+    return '';
+  }
+
+  return renderBlocks(parseHTML(html).children)
+    .split('\n')
+    .map(line => line.replace(/[ \t]+$/, ''))
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Format an apiDoc description in the requested output format
+ */
+function formatDescription(html, format = 'markdown') {
+  switch (format) {
+    case 'html':
+      return (html || '').trim();
+    case 'text':
+      return htmlToText(html);
+    default:
+      return htmlToMarkdown(html);
+  }
+}
+
+module.exports = {
+  DESCRIPTION_FORMATS,
+  decodeEntities,
+  htmlToText,
+  htmlToMarkdown,
+  formatDescription
+};
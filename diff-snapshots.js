@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+
+const fs = require('fs').promises;
+const path = require('path');
+const NitradoAPIConverter = require('./converter');
+const Config = require('./config');
+const { diffSnapshots, formatMarkdown } = require('./snapshot-diff');
+const { EXIT_CODE_BREAKING } = require('./change-classifier');
+const { getSerializer, resolveOutputFormats, parseFile } = require('./serializers');
+
+/**
+ * Read a JSON or YAML snapshot from disk
+ */
+async function readSnapshot(filePath) {
+  return parseFile(filePath, await fs.readFile(filePath, 'utf8'));
+}
+
+/**
+ * Compare two snapshots and write a Markdown and JSON changelog
+ * Exits with EXIT_CODE_BREAKING when a change breaks existing clients
+ */
+async function diff() {
+  const config = new Config().getConfig({ requireApiUrl: false });
+  const converter = new NitradoAPIConverter(config);
+  const { logger } = converter;
+
+  try {
+    if (!config.diffBase) {
+      throw new Error('A base snapshot is required. Use --base <file> or NITRADO_DIFF_BASE.');
+    }
+
+    const basePath = config.diffBase;
+    const [format] = resolveOutputFormats(config.outputFormat);
+    const headPath = config.diffHead || path.join(converter.outputDir, `nitrado-openapi.${getSerializer(format).extension}`);
+
+    logger.info(`🔍 Comparing ${basePath} with ${headPath}`);
+
+    // Raw snapshots are converted before comparing, which would otherwise log progress twice
+    const snapshotConverter = new NitradoAPIConverter({ ...config, logLevel: 'quiet' });
+    const report = diffSnapshots(await readSnapshot(basePath), await readSnapshot(headPath), snapshotConverter);
+    const changelog = {
+      base: { file: basePath, ...report.base },
+      head: { file: headPath, ...report.head },
+      summary: report.summary,
+      changes: report.changes
+    };
+    const markdown = formatMarkdown(report, { baseLabel: basePath, headLabel: headPath });
+
+    await converter.writeOutputFile('nitrado-changes.md', markdown);
+    await converter.saveAsJSON(changelog, 'nitrado-changes.json');
+
+    if (config.reportFormat === 'json') {
+      logger.result(JSON.stringify(changelog, null, 2));
+    } else {
+      logger.result(markdown);
+    }
+
+    if (converter.dryRun) {
+      converter.dryRunPlan.print(logger);
+    }
+
+    if (report.summary.breakingChanges > 0) {
+      logger.error(`⚠️  ${report.summary.breakingChanges} breaking change(s) detected`);
+      process.exit(EXIT_CODE_BREAKING);
+    }
+  } catch (error) {
+    logger.error('❌ Error:', error.message);
+    logger.verbose('Stack trace:', error.stack);
+    process.exit(1);
+  }
+}
+
+diff();
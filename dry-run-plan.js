@@ -0,0 +1,191 @@
+const fs = require('fs').promises;
+
+const MAX_PREVIEW_LINES = 10;
+
+// Edit steps after which a diff stops searching and reports the differing lines as replaced
+const MAX_DIFF_STEPS = 2000;
+
+/**
+ * Records the files a dry run would write and compares them with the files on disk
+ */
+class DryRunPlan {
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * Record a file that would be written
+   */
+  async addFile(filePath, content) {
+    const previousContent = await this.readExisting(filePath);
+    const bytes = Buffer.byteLength(content);
+    const entry = {
+      filePath,
+      bytes,
+      previousBytes: previousContent === null ? null : Buffer.byteLength(previousContent),
+      status: this.getStatus(previousContent, content),
+      ...this.diffLines(previousContent || '', content)
+    };
+
+    this.entries.push(entry);
+    return entry;
+  }
+
+  /**
+   * Read the current file contents, or null if the file does not exist
+   */
+  async readExisting(filePath) {
+    try {
+      return await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Classify the write as create, update or unchanged
+   */
+  getStatus(previousContent, content) {
+    if (previousContent === null) {
+      return 'create';
+    }
+    return previousContent === content ? 'unchanged' : 'update';
+  }
+
+  /**
+   * Compare two texts line by line in order, so moved lines count as removed and added
+   */
+  diffLines(previousContent, content) {
+    const previousLines = this.splitLines(previousContent);
+    const lines = this.splitLines(content);
+
+    // Only the part between the common first and last lines needs the full diff
+    let start = 0;
+    while (start < previousLines.length && start < lines.length && previousLines[start] === lines[start]) {
+      start++;
+    }
+    let previousEnd = previousLines.length;
+    let end = lines.length;
+    while (previousEnd > start && end > start && previousLines[previousEnd - 1] === lines[end - 1]) {
+      previousEnd--;
+      end--;
+    }
+
+    const { addedLines, removedLines } = this.shortestEdit(previousLines.slice(start, previousEnd), lines.slice(start, end));
+
+    return {
+      added: addedLines.length,
+      removed: removedLines.length,
+      addedPreview: addedLines.slice(0, MAX_PREVIEW_LINES),
+      removedPreview: removedLines.slice(0, MAX_PREVIEW_LINES)
+    };
+  }
+
+  /**
+   * Split a text into lines; an empty text has none
+   */
+  splitLines(text) {
+    return text ? text.split('\n') : [];
+  }
+
+  /**
+   * Find the lines added and removed by the shortest edit script (Myers diff)
+   */
+  shortestEdit(previousLines, lines) {
+    const max = previousLines.length + lines.length;
+    const offset = max + 1;
+    const furthest = new Array(2 * max + 3).fill(0);
+    const trace = [];
+    let steps = 0;
+    let found = false;
+
+    // furthest[offset + k] is the furthest x reached on diagonal k = x - y
+    search: for (; steps <= Math.min(max, MAX_DIFF_STEPS); steps++) {
+      trace.push(furthest.slice(offset - steps - 1, offset + steps + 2));
+
+      for (let k = -steps; k <= steps; k += 2) {
+        const down = k === -steps || (k !== steps && furthest[offset + k - 1] < furthest[offset + k + 1]);
+        let x = down ? furthest[offset + k + 1] : furthest[offset + k - 1] + 1;
+        let y = x - k;
+        while (x < previousLines.length && y < lines.length && previousLines[x] === lines[y]) {
+          x++;
+          y++;
+        }
+        furthest[offset + k] = x;
+
+        if (x >= previousLines.length && y >= lines.length) {
+          found = true;
+          break search;
+        }
+      }
+    }
+
+    if (!found) {
+      return { addedLines: lines, removedLines: previousLines };
+    }
+
+    // Walk the trace backwards, collecting the insertions and deletions of each step
+    const addedLines = [];
+    const removedLines = [];
+    let x = previousLines.length;
+    let y = lines.length;
+    for (let step = steps; step > 0; step--) {
+      const snapshot = trace[step];
+      const at = k => snapshot[k + step + 1];
+      const k = x - y;
+      const previousK = k === -step || (k !== step && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+      const previousX = at(previousK);
+      const previousY = previousX - previousK;
+
+      if (previousK === k + 1) {
+        addedLines.unshift(lines[previousY]);
+      } else {
+        removedLines.unshift(previousLines[previousX]);
+      }
+      x = previousX;
+      y = previousY;
+    }
+
+    return { addedLines, removedLines };
+  }
+
+  /**
+   * Print the plan: always the file list, line previews at verbose level
+   */
+  print(logger) {
+    logger.result('🧪 Dry run plan - no files were written:');
+
+    if (this.entries.length === 0) {
+      logger.result('  (nothing would be written)');
+      return;
+    }
+
+    this.entries.forEach(entry => {
+      logger.result(`  - ${entry.status.padEnd(9)} ${entry.filePath} ${this.describeSize(entry)}`);
+
+      if (entry.status === 'update') {
+        logger.result(`      +${entry.added} / -${entry.removed} lines`);
+        entry.removedPreview.forEach(line => logger.verbose(`      - ${line.trim()}`));
+        entry.addedPreview.forEach(line => logger.verbose(`      + ${line.trim()}`));
+      }
+    });
+  }
+
+  /**
+   * Describe the new size and the change against the existing file
+   */
+  describeSize(entry) {
+    if (entry.previousBytes === null) {
+      return `(${entry.bytes} bytes)`;
+    }
+
+    const delta = entry.bytes - entry.previousBytes;
+    const sign = delta >= 0 ? '+' : '';
+    return `(${entry.bytes} bytes, ${sign}${delta} bytes)`;
+  }
+}
+
+module.exports = DryRunPlan;
@@ -0,0 +1,101 @@
+/**
+ * Leveled console logger shared by the extraction pipeline
+ * Levels: quiet (errors and results only), normal, verbose and debug
+ */
+
+const LOG_LEVELS = {
+  quiet: 0,
+  normal: 1,
+  verbose: 2,
+  debug: 3
+};
+
+class Logger {
+  constructor(level = 'normal') {
+    this.level = Logger.normalizeLevel(level);
+  }
+
+  /**
+   * Validate a log level name
+   */
+  static normalizeLevel(level) {
+    const normalized = (level || 'normal').toLowerCase();
+
+    if (!(normalized in LOG_LEVELS)) {
+      throw new Error(`Invalid log level "${level}". Expected one of: ${Object.keys(LOG_LEVELS).join(', ')}`);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Resolve the log level from config, honoring the legacy verbose flag
+   */
+  static resolveLevel(config = {}) {
+    if (config.logLevel) {
+      return Logger.normalizeLevel(config.logLevel);
+    }
+    return config.verbose ? 'verbose' : 'normal';
+  }
+
+  /**
+   * Check whether messages of a level are printed
+   */
+  isEnabled(level) {
+    return LOG_LEVELS[this.level] >= LOG_LEVELS[level];
+  }
+
+  /**
+   * Log an error, printed at every level
+   */
+  error(...args) {
+    console.error(...args);
+  }
+
+  /**
+   * Log a result the user asked for, printed at every level
+   */
+  result(...args) {
+    console.log(...args);
+  }
+
+  /**
+   * Log a warning
+   */
+  warn(...args) {
+    if (this.isEnabled('normal')) {
+      console.warn(...args);
+    }
+  }
+
+  /**
+   * Log a progress message
+   */
+  info(...args) {
+    if (this.isEnabled('normal')) {
+      console.log(...args);
+    }
+  }
+
+  /**
+   * Log a detail message
+   */
+  verbose(...args) {
+    if (this.isEnabled('verbose')) {
+      console.log(...args);
+    }
+  }
+
+  /**
+   * Log a diagnostic message
+   */
+  debug(...args) {
+    if (this.isEnabled('debug')) {
+      console.log(...args);
+    }
+  }
+}
+
+Logger.LOG_LEVELS = LOG_LEVELS;
+
+module.exports = Logger;
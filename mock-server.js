@@ -0,0 +1,191 @@
+/**
+ * Local mock of the Nitrado API driven by the generated OpenAPI spec
+ * Routes by the converted path templates and answers with the documented examples or schema samples
+ */
+
+const http = require('http');
+const { URL } = require('url');
+const { STATUS_CODES } = http;
+const Logger = require('./logger');
+const { dereference } = require('./openapi-validator');
+const { sampleValue } = require('./postman-exporter');
+const { JSON_CONTENT_TYPE, formatProblems, SpecContract } = require('./spec-contract');
+
+// Request header forcing a response status, e.g. "X-Mock-Status: 429"
+const MOCK_STATUS_HEADER = 'X-Mock-Status';
+
+// Documented statuses used for invalid requests, in order of preference
+const INVALID_REQUEST_STATUSES = ['400', '422'];
+
+const RETRY_AFTER_SECONDS = '60';
+
+/**
+ * Get the first documented example of a media type
+ */
+function getContentExample(spec, mediaType) {
+  if (mediaType.example !== undefined) {
+    return mediaType.example;
+  }
+
+  const [example] = Object.values(mediaType.examples || {}).map(entry => dereference(spec, entry));
+  return example?.value;
+}
+
+class MockServer {
+  constructor(spec, options = {}) {
+    this.spec = spec;
+    this.token = options.token;
+    this.logger = options.logger || new Logger('quiet');
+    this.contract = new SpecContract(spec, { ignoredHeaders: [MOCK_STATUS_HEADER] });
+    this.server = null;
+  }
+
+  /**
+   * Validate the access token of a request, returning an error message or null
+   * The token is read from the Authorization header or a query parameter the operation's security allows
+   */
+  checkAuthorization(operation, { headers, searchParams }) {
+    const token = this.contract.findCredential(operation, { headers, searchParams });
+
+    if (!token) {
+      const queryNames = this.contract.getQueryTokenNames(operation);
+      return queryNames.length > 0
+        ? `Missing access token in the Authorization header or the ${queryNames.join(', ')} query parameter`
+        : 'Missing bearer token in the Authorization header';
+    }
+    if (this.token && token !== this.token) {
+      return 'The provided access token is not valid (anymore).';
+    }
+    return null;
+  }
+
+  /**
+   * Build the response for a status from the documented example, or a sample of the success schema
+   * Errors without an example answer with the { status, message } envelope of the Nitrado API
+   */
+  buildResponse(operation, status, message) {
+    const response = operation ? this.contract.findResponse(operation, status) : undefined;
+    const mediaType = response?.content?.[JSON_CONTENT_TYPE];
+    const headers = {};
+    let body = mediaType ? getContentExample(this.spec, mediaType) : undefined;
+
+    if (body === undefined && status < 400 && mediaType?.schema) {
+      body = sampleValue(mediaType.schema, this.spec);
+    }
+
+    if (body === undefined && status >= 400) {
+      body = { status: 'error', message: message || STATUS_CODES[status] };
+    }
+    if (status === 429) {
+      headers['Retry-After'] = RETRY_AFTER_SECONDS;
+    }
+    if (body !== undefined) {
+      headers['Content-Type'] = JSON_CONTENT_TYPE;
+    }
+
+    return { status, headers, body: body === undefined ? '' : JSON.stringify(body, null, 2) };
+  }
+
+  /**
+   * Pick the documented status for an invalid request, defaulting to 400
+   */
+  getInvalidRequestStatus(operation) {
+    const documented = INVALID_REQUEST_STATUSES.find(status => operation.responses?.[status]);
+    return Number(documented || INVALID_REQUEST_STATUSES[0]);
+  }
+
+  /**
+   * Answer a request given its method, URL, lower-cased headers and raw body
+   */
+  handleRequest({ method, url, headers = {}, body = '' }) {
+    const { pathname, searchParams } = new URL(url, 'http://localhost');
+    const matched = this.contract.matchRoute(method, pathname);
+
+    if (!matched.route) {
+      const message = matched.message || `No operation matches ${method.toUpperCase()} ${pathname}`;
+      const response = this.buildResponse(null, matched.status, message);
+      if (matched.allow) {
+        response.headers.Allow = matched.allow.join(', ');
+      }
+      return response;
+    }
+
+    const { route, operation, pathParams } = matched;
+    const forcedStatus = headers[MOCK_STATUS_HEADER.toLowerCase()];
+    if (forcedStatus !== undefined) {
+      const status = Number(forcedStatus);
+      return Number.isInteger(status) && status >= 200 && status <= 599
+        ? this.buildResponse(operation, status)
+        : this.buildResponse(operation, 400, `Invalid ${MOCK_STATUS_HEADER} header "${forcedStatus}"`);
+    }
+
+    if (this.contract.requiresAuth(operation)) {
+      const authError = this.checkAuthorization(operation, { headers, searchParams });
+      if (authError) {
+        return this.buildResponse(operation, 401, authError);
+      }
+    }
+
+    const problems = this.contract.validateRequest(route, operation, { pathParams, searchParams, headers, body });
+    if (problems.length > 0) {
+      return this.buildResponse(operation, this.getInvalidRequestStatus(operation), formatProblems(problems));
+    }
+
+    const [successStatus] = Object.keys(operation.responses || {}).filter(status => /^2\d\d$/.test(status)).sort();
+    return this.buildResponse(operation, Number(successStatus || 200));
+  }
+
+  /**
+   * Start listening, resolving with the bound address
+   */
+  listen(port, host) {
+    this.server = http.createServer((request, response) => {
+      const chunks = [];
+      request.on('data', chunk => chunks.push(chunk));
+      request.on('end', () => {
+        let result;
+        try {
+          result = this.handleRequest({
+            method: request.method,
+            url: request.url,
+            headers: request.headers,
+            body: Buffer.concat(chunks).toString('utf8')
+          });
+        } catch (error) {
+          // A single broken request must not take the mock server down
+          this.logger.error(`❌ ${request.method} ${request.url} failed: ${error.message}`);
+          result = this.buildResponse(null, 500, error.message);
+        }
+
+        this.logger.info(`🛰️  ${request.method} ${request.url} → ${result.status}`);
+        response.writeHead(result.status, result.headers);
+        response.end(result.body);
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => resolve(this.server.address()));
+    });
+  }
+
+  /**
+   * Stop the server
+   */
+  close() {
+    return new Promise((resolve, reject) => {
+      if (!this.server) {
+        resolve();
+        return;
+      }
+      this.server.close(error => (error ? reject(error) : resolve()));
+      this.server = null;
+    });
+  }
+}
+
+module.exports = {
+  MOCK_STATUS_HEADER,
+  getContentExample,
+  MockServer
+};
@@ -0,0 +1,243 @@
+/**
+ * Down-conversion of the generated OpenAPI 3.1 spec to OpenAPI 3.0.3
+ * Anything 3.0 cannot express is dropped or approximated and reported as an issue
+ */
+
+const { toPointer } = require('./openapi-validator');
+
+const TARGET_OPENAPI_VERSION = '3.0.3';
+
+// JSON Schema 2020-12 keywords without an OpenAPI 3.0 equivalent
+const UNSUPPORTED_SCHEMA_KEYWORDS = [
+  '$schema', '$id', '$anchor', '$dynamicRef', '$dynamicAnchor', '$defs', '$comment', '$vocabulary',
+  'prefixItems', 'contains', 'minContains', 'maxContains', 'unevaluatedItems', 'unevaluatedProperties',
+  'patternProperties', 'propertyNames', 'dependentRequired', 'dependentSchemas',
+  'if', 'then', 'else', 'contentSchema'
+];
+
+// Schema keywords whose values are subschemas, maps of subschemas or lists of subschemas
+const SUBSCHEMA_KEYWORDS = ['items', 'additionalProperties', 'not'];
+const SUBSCHEMA_MAP_KEYWORDS = ['properties'];
+const SUBSCHEMA_LIST_KEYWORDS = ['allOf', 'oneOf', 'anyOf'];
+
+/**
+ * Create a down-conversion issue
+ */
+function createIssue(keys, message) {
+  return { location: toPointer(keys), message };
+}
+
+/**
+ * Turn a 3.1 type array into a 3.0 type, nullable flag and, for unions, an anyOf
+ */
+function convertTypeArray(schema, keys, issues) {
+  const types = schema.type.filter(type => type !== 'null');
+  const nullable = types.length < schema.type.length;
+  delete schema.type;
+
+  if (types.length === 1) {
+    schema.type = types[0];
+    if (nullable) {
+      schema.nullable = true;
+    }
+  } else if (types.length > 1) {
+    // nullable only applies next to a type, so it goes on each branch of the union
+    const branches = types.map(type => (nullable ? { type, nullable: true } : { type }));
+    schema.anyOf = [...(schema.anyOf || []), ...branches];
+  } else {
+    schema.nullable = true;
+    issues.push(createIssue([...keys, 'type'], 'A schema that only allows null cannot be expressed; kept as nullable without a type'));
+  }
+}
+
+/**
+ * Turn numeric exclusiveMinimum/exclusiveMaximum into the 3.0 boolean form
+ */
+function convertExclusiveBound(schema, exclusiveKeyword, boundKeyword, isStricter) {
+  const exclusive = schema[exclusiveKeyword];
+  if (typeof exclusive !== 'number') {
+    return;
+  }
+
+  // Keep an inclusive bound that is already stricter than the exclusive one
+  if (typeof schema[boundKeyword] === 'number' && isStricter(schema[boundKeyword], exclusive)) {
+    delete schema[exclusiveKeyword];
+    return;
+  }
+  schema[boundKeyword] = exclusive;
+  schema[exclusiveKeyword] = true;
+}
+
+/**
+ * Return a 3.0 copy of a 3.1 schema, appending issues for anything lost
+ */
+function downgradeSchema(input, keys, issues) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    if (typeof input === 'boolean') {
+      issues.push(createIssue(keys, `Boolean schema "${input}" cannot be expressed; replaced with ${input ? 'an empty schema' : 'not: {}'}`));
+      return input ? {} : { not: {} };
+    }
+    return input;
+  }
+
+  const schema = { ...input };
+
+  // Siblings of $ref are ignored in 3.0, so wrap the reference in allOf to keep them
+  if (schema.$ref && Object.keys(schema).length > 1) {
+    const { $ref, ...siblings } = schema;
+    return downgradeSchema({ ...siblings, allOf: [{ $ref }, ...(siblings.allOf || [])] }, keys, issues);
+  }
+
+  if (Array.isArray(schema.type)) {
+    convertTypeArray(schema, keys, issues);
+  } else if (schema.type === 'null') {
+    delete schema.type;
+    schema.nullable = true;
+    issues.push(createIssue([...keys, 'type'], 'A schema that only allows null cannot be expressed; kept as nullable without a type'));
+  }
+
+  if ('const' in schema) {
+    if (!schema.enum) {
+      schema.enum = [schema.const];
+    }
+    if (schema.const === null) {
+      schema.nullable = true;
+    }
+    delete schema.const;
+  }
+  if (Array.isArray(schema.enum) && schema.enum.includes(null)) {
+    schema.nullable = true;
+  }
+
+  convertExclusiveBound(schema, 'exclusiveMinimum', 'minimum', (bound, exclusive) => bound > exclusive);
+  convertExclusiveBound(schema, 'exclusiveMaximum', 'maximum', (bound, exclusive) => bound < exclusive);
+
+  if (Array.isArray(schema.examples)) {
+    if (schema.example === undefined && schema.examples.length > 0) {
+      schema.example = schema.examples[0];
+    }
+    if (schema.examples.length > 1) {
+      issues.push(createIssue([...keys, 'examples'], `Only the first of ${schema.examples.length} schema examples is kept`));
+    }
+    delete schema.examples;
+  }
+
+  if (schema.contentEncoding || schema.contentMediaType) {
+    if (schema.type === 'string' && !schema.format) {
+      schema.format = schema.contentEncoding === 'base64' ? 'byte' : 'binary';
+    }
+    delete schema.contentEncoding;
+    delete schema.contentMediaType;
+  }
+
+  UNSUPPORTED_SCHEMA_KEYWORDS.filter(keyword => keyword in schema).forEach(keyword => {
+    issues.push(createIssue([...keys, keyword], `Keyword "${keyword}" is not supported by OpenAPI 3.0 and was dropped`));
+    delete schema[keyword];
+  });
+
+  SUBSCHEMA_KEYWORDS.filter(keyword => schema[keyword] !== undefined).forEach(keyword => {
+    if (keyword === 'additionalProperties' && typeof schema[keyword] === 'boolean') {
+      return;
+    }
+    schema[keyword] = downgradeSchema(schema[keyword], [...keys, keyword], issues);
+  });
+  SUBSCHEMA_MAP_KEYWORDS.filter(keyword => schema[keyword]).forEach(keyword => {
+    schema[keyword] = Object.fromEntries(Object.entries(schema[keyword]).map(([name, subschema]) =>
+      [name, downgradeSchema(subschema, [...keys, keyword, name], issues)]
+    ));
+  });
+  SUBSCHEMA_LIST_KEYWORDS.filter(keyword => Array.isArray(schema[keyword])).forEach(keyword => {
+    schema[keyword] = schema[keyword].map((subschema, index) =>
+      downgradeSchema(subschema, [...keys, keyword, index], issues)
+    );
+  });
+
+  return schema;
+}
+
+/**
+ * Return a copy of a document node with every schema down-converted
+ * Example values are copied as-is since they are data, not schemas
+ */
+function downgradeNode(node, keys, issues) {
+  if (Array.isArray(node)) {
+    return node.map((item, index) => downgradeNode(item, [...keys, index], issues));
+  }
+  if (!node || typeof node !== 'object') {
+    return node;
+  }
+
+  return Object.fromEntries(Object.entries(node).map(([key, value]) => {
+    if (key === 'example' || key === 'examples') {
+      return [key, value];
+    }
+    if (key === 'schema') {
+      return [key, downgradeSchema(value, [...keys, key], issues)];
+    }
+    return [key, downgradeNode(value, [...keys, key], issues)];
+  }));
+}
+
+/**
+ * Down-convert an OpenAPI 3.1 spec to OpenAPI 3.0.3
+ * Returns the converted spec and the issues for constructs that could not be represented
+ */
+function downgradeSpec(spec) {
+  const issues = [];
+  const { jsonSchemaDialect, webhooks, components: sourceComponents, ...rest } = spec;
+
+  if (jsonSchemaDialect) {
+    issues.push(createIssue(['jsonSchemaDialect'], 'jsonSchemaDialect is not supported by OpenAPI 3.0 and was dropped'));
+  }
+  if (webhooks) {
+    issues.push(createIssue(['webhooks'], `${Object.keys(webhooks).length} webhook(s) cannot be expressed in OpenAPI 3.0 and were dropped`));
+  }
+
+  const info = { ...rest.info };
+  if (info.summary) {
+    issues.push(createIssue(['info', 'summary'], 'info.summary is not supported by OpenAPI 3.0 and was dropped'));
+    delete info.summary;
+  }
+  if (info.license?.identifier) {
+    const { identifier, ...license } = info.license;
+    info.license = license;
+    issues.push(createIssue(['info', 'license', 'identifier'], `License identifier "${identifier}" is not supported by OpenAPI 3.0 and was dropped`));
+  }
+
+  const { schemas, pathItems, securitySchemes, ...components } = sourceComponents || {};
+  if (pathItems) {
+    issues.push(createIssue(['components', 'pathItems'], 'components.pathItems is not supported by OpenAPI 3.0 and was dropped'));
+  }
+
+  const downgraded = {
+    ...downgradeNode(rest, [], issues),
+    openapi: TARGET_OPENAPI_VERSION,
+    info
+  };
+
+  if (sourceComponents) {
+    downgraded.components = downgradeNode(components, ['components'], issues);
+    if (schemas) {
+      downgraded.components.schemas = Object.fromEntries(Object.entries(schemas).map(([name, schema]) =>
+        [name, downgradeSchema(schema, ['components', 'schemas', name], issues)]
+      ));
+    }
+    if (securitySchemes) {
+      downgraded.components.securitySchemes = Object.fromEntries(Object.entries(securitySchemes).filter(([name, scheme]) => {
+        if (scheme.type === 'mutualTLS') {
+          issues.push(createIssue(['components', 'securitySchemes', name], 'mutualTLS security schemes are not supported by OpenAPI 3.0 and were dropped'));
+          return false;
+        }
+        return true;
+      }));
+    }
+  }
+
+  return { spec: downgraded, issues };
+}
+
+module.exports = {
+  TARGET_OPENAPI_VERSION,
+  downgradeSchema,
+  downgradeSpec
+};
@@ -0,0 +1,380 @@
+/**
+ * Validation of generated OpenAPI specifications
+ * Checks the bundled OpenAPI 3.1 meta-schema plus rules the meta-schema cannot express
+ */
+
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const openApiMetaSchema = require('./schemas/openapi-3.1.json');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const VALIDATION_CHECKS = ['schema', 'operationId', 'pathParameters', 'refs'];
+
+let compiledMetaSchema = null;
+
+/**
+ * Point "$dynamicRef": "#meta" at the schema definition
+ * Ajv resolves the dynamic anchor in the wrong scope, and without a custom dialect both are equivalent
+ */
+function replaceDynamicRefs(node) {
+  if (Array.isArray(node)) {
+    return node.map(replaceDynamicRefs);
+  }
+  if (!node || typeof node !== 'object') {
+    return node;
+  }
+
+  return Object.fromEntries(Object.entries(node).map(([key, value]) => (
+    key === '$dynamicRef' && value === '#meta'
+      ? ['$ref', '#/$defs/schema']
+      : [key, replaceDynamicRefs(value)]
+  )));
+}
+
+/**
+ * Compile the bundled meta-schema once per process
+ */
+function getMetaSchemaValidator() {
+  if (!compiledMetaSchema) {
+    const ajv = new Ajv2020({ allErrors: true, strict: false });
+    addFormats(ajv);
+    ajv.addFormat('media-range', true);
+    compiledMetaSchema = ajv.compile(replaceDynamicRefs(openApiMetaSchema));
+  }
+  return compiledMetaSchema;
+}
+
+/**
+ * Escape a key for use in a JSON pointer
+ */
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Build a JSON pointer from a list of keys
+ */
+function toPointer(keys) {
+  return keys.map(key => `/${escapePointer(key)}`).join('');
+}
+
+/**
+ * Create a report issue
+ */
+function createIssue(check, location, message, severity = 'error') {
+  return { check, severity, location, message };
+}
+
+/**
+ * List the operations of a spec with their locations
+ */
+function listOperations(spec) {
+  return Object.entries(spec.paths || {}).flatMap(([pathName, pathItem]) =>
+    Object.entries(pathItem || {})
+      .filter(([method]) => HTTP_METHODS.includes(method))
+      .map(([method, operation]) => ({
+        pathName,
+        method,
+        pathItem,
+        operation: operation || {},
+        location: toPointer(['paths', pathName, method])
+      }))
+  );
+}
+
+/**
+ * Validate a spec against the OpenAPI 3.1 meta-schema
+ */
+function checkMetaSchema(spec) {
+  const validate = getMetaSchemaValidator();
+  if (validate(spec)) {
+    return [];
+  }
+
+  // allErrors reports every failing branch of oneOf/if keywords, so drop the if/then summaries
+  // and collapse repeats per location
+  const seen = new Set();
+  return validate.errors
+    .filter(error => error.keyword !== 'if')
+    .map(error => {
+      const property = error.params.additionalProperty || error.params.unevaluatedProperty;
+      const details = property ? ` "${property}"` : '';
+      return createIssue('schema', error.instancePath || '/', `${error.message}${details}`);
+    })
+    .filter(issue => {
+      const key = `${issue.location} ${issue.message}`;
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Check that every operation has a unique operationId
+ */
+function checkOperationIds(spec) {
+  const issues = [];
+  const firstLocations = {};
+
+  listOperations(spec).forEach(({ operation, location }) => {
+    const { operationId } = operation;
+
+    if (!operationId) {
+      issues.push(createIssue('operationId', location, 'Operation has no operationId', 'warning'));
+      return;
+    }
+
+    if (firstLocations[operationId]) {
+      issues.push(createIssue(
+        'operationId',
+        location,
+        `Duplicate operationId "${operationId}" (first used at ${firstLocations[operationId]})`
+      ));
+      return;
+    }
+
+    firstLocations[operationId] = location;
+  });
+
+  return issues;
+}
+
+/**
+ * Resolve a local JSON pointer reference, returning undefined when it does not resolve
+ */
+function resolvePointer(spec, ref) {
+  if (ref === '#') {
+    return spec;
+  }
+  if (!ref.startsWith('#/')) {
+    return undefined;
+  }
+
+  return ref
+    .slice(2)
+    .split('/')
+    .map(key => decodeURIComponent(key).replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, key) => (
+      node !== null && typeof node === 'object' && Object.prototype.hasOwnProperty.call(node, key)
+        ? node[key]
+        : undefined
+    ), spec);
+}
+
+/**
+ * Follow a chain of $ref objects to the referenced value
+ */
+function dereference(spec, value) {
+  const visited = new Set();
+  let current = value;
+
+  while (current && typeof current.$ref === 'string' && !visited.has(current.$ref)) {
+    visited.add(current.$ref);
+    current = resolvePointer(spec, current.$ref);
+  }
+
+  return current;
+}
+
+/**
+ * Extract the parameter names of a path template
+ */
+function extractTemplateNames(pathName) {
+  return (pathName.match(/\{[^}]*\}/g) || []).map(match => match.slice(1, -1));
+}
+
+/**
+ * Check that path templates and declared path parameters agree
+ */
+function checkPathParameters(spec) {
+  const issues = [];
+  const templatesByShape = {};
+
+  Object.keys(spec.paths || {}).forEach(pathName => {
+    const location = toPointer(['paths', pathName]);
+    const names = extractTemplateNames(pathName);
+
+    names.filter((name, index) => names.indexOf(name) !== index).forEach(name => {
+      issues.push(createIssue('pathParameters', location, `Path template repeats parameter "{${name}}"`));
+    });
+
+    // Paths that only differ in parameter names are identical to a router
+    const shape = pathName.replace(/\{[^}]*\}/g, '{}');
+    if (templatesByShape[shape]) {
+      issues.push(createIssue(
+        'pathParameters',
+        location,
+        `Path template is equivalent to "${templatesByShape[shape]}"`
+      ));
+    } else {
+      templatesByShape[shape] = pathName;
+    }
+  });
+
+  listOperations(spec).forEach(({ pathName, pathItem, operation, location }) => {
+    const templateNames = extractTemplateNames(pathName);
+    const parameters = {};
+
+    // Operation parameters override path item parameters with the same name and location
+    [pathItem.parameters, operation.parameters].forEach((list, listIndex) => {
+      const seen = new Set();
+
+      (list || []).forEach((rawParameter, index) => {
+        const parameter = dereference(spec, rawParameter);
+        if (!parameter || !parameter.name || !parameter.in) {
+          return;
+        }
+
+        const key = `${parameter.in}:${parameter.name}`;
+        const parameterLocation = listIndex === 0
+          ? toPointer(['paths', pathName, 'parameters', index])
+          : `${location}/parameters/${index}`;
+
+        if (seen.has(key)) {
+          issues.push(createIssue(
+            'pathParameters',
+            parameterLocation,
+            `Duplicate ${parameter.in} parameter "${parameter.name}"`
+          ));
+        }
+        seen.add(key);
+        parameters[key] = { parameter, location: parameterLocation };
+      });
+    });
+
+    templateNames.forEach(name => {
+      if (!parameters[`path:${name}`]) {
+        issues.push(createIssue(
+          'pathParameters',
+          location,
+          `Path parameter "{${name}}" is not declared`
+        ));
+      }
+    });
+
+    Object.values(parameters)
+      .filter(({ parameter }) => parameter.in === 'path')
+      .forEach(({ parameter, location: parameterLocation }) => {
+        if (!templateNames.includes(parameter.name)) {
+          issues.push(createIssue(
+            'pathParameters',
+            parameterLocation,
+            `Path parameter "${parameter.name}" does not appear in "${pathName}"`
+          ));
+        } else if (parameter.required !== true) {
+          issues.push(createIssue(
+            'pathParameters',
+            parameterLocation,
+            `Path parameter "${parameter.name}" must be required`
+          ));
+        }
+      });
+  });
+
+  return issues;
+}
+
+/**
+ * Check that every $ref in the spec resolves
+ */
+function checkReferences(spec) {
+  const issues = [];
+
+  const visit = (node, keys) => {
+    if (Array.isArray(node)) {
+      node.forEach((child, index) => visit(child, [...keys, index]));
+      return;
+    }
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+
+    if (typeof node.$ref === 'string') {
+      const location = toPointer(keys);
+
+      if (!node.$ref.startsWith('#')) {
+        issues.push(createIssue('refs', location, `External reference "${node.$ref}" was not checked`, 'warning'));
+      } else if (resolvePointer(spec, node.$ref) === undefined) {
+        issues.push(createIssue('refs', location, `Reference "${node.$ref}" does not resolve`));
+      }
+    }
+
+    Object.entries(node).forEach(([key, child]) => visit(child, [...keys, key]));
+  };
+
+  visit(spec, []);
+  return issues;
+}
+
+/**
+ * Run every check against a spec and build a report
+ */
+function validateSpec(spec) {
+  const issues = [
+    ...checkMetaSchema(spec),
+    ...checkOperationIds(spec),
+    ...checkPathParameters(spec),
+    ...checkReferences(spec)
+  ];
+  const errors = issues.filter(issue => issue.severity === 'error');
+  const warnings = issues.filter(issue => issue.severity === 'warning');
+
+  return {
+    valid: errors.length === 0,
+    openapi: spec.openapi,
+    stats: {
+      paths: Object.keys(spec.paths || {}).length,
+      operations: listOperations(spec).length,
+      errors: errors.length,
+      warnings: warnings.length
+    },
+    checks: Object.fromEntries(VALIDATION_CHECKS.map(check => [check, {
+      errors: errors.filter(issue => issue.check === check).length,
+      warnings: warnings.filter(issue => issue.check === check).length
+    }])),
+    errors,
+    warnings
+  };
+}
+
+/**
+ * Format a validation report as readable text
+ */
+function formatReport(report) {
+  const lines = [
+    `OpenAPI ${report.openapi || '(unknown version)'}: ${report.stats.paths} paths, ${report.stats.operations} operations`,
+    ''
+  ];
+
+  Object.entries(report.checks).forEach(([check, counts]) => {
+    const icon = counts.errors > 0 ? '❌' : (counts.warnings > 0 ? '⚠️ ' : '✅');
+    lines.push(`${icon} ${check}: ${counts.errors} error(s), ${counts.warnings} warning(s)`);
+
+    [...report.errors, ...report.warnings]
+      .filter(issue => issue.check === check)
+      .forEach(issue => lines.push(`   ${issue.severity === 'error' ? '✖' : '!'} ${issue.location}: ${issue.message}`));
+  });
+
+  lines.push('');
+  lines.push(report.valid
+    ? `✅ Specification is valid (${report.stats.warnings} warning(s))`
+    : `❌ Specification is invalid: ${report.stats.errors} error(s), ${report.stats.warnings} warning(s)`);
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  VALIDATION_CHECKS,
+  toPointer,
+  listOperations,
+  resolvePointer,
+  dereference,
+  checkMetaSchema,
+  checkOperationIds,
+  checkPathParameters,
+  checkReferences,
+  validateSpec,
+  formatReport
+};
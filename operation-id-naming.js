@@ -0,0 +1,156 @@
+/**
+ * operationId naming strategies and case styles
+ * Builds IDs from the apiDoc group, name, method and path, dropping repeated tokens such as "CompanyCompany"
+ */
+
+// "auto" keeps the heuristic IDs of the converter, "auto-compact" drops their repeated words, the others build IDs from tokens
+const OPERATION_ID_STRATEGIES = ['auto', 'auto-compact', 'name', 'group+name', 'method+path'];
+const HEURISTIC_STRATEGIES = ['auto', 'auto-compact'];
+const OPERATION_ID_CASES = ['PascalCase', 'camelCase', 'snake_case'];
+const TEMPLATE_PLACEHOLDERS = ['group', 'name', 'method', 'path'];
+
+// Templates for the named strategies, e.g. "group+name" builds "{group}{name}"
+const STRATEGY_TEMPLATES = {
+  name: '{name}',
+  'group+name': '{group}{name}',
+  'method+path': '{method}{path}'
+};
+
+/**
+ * Split a value into words at separators and case boundaries, keeping their case
+ */
+function splitWords(value) {
+  return String(value || '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(word => word);
+}
+
+/**
+ * Split a value into lower-cased word tokens at separators and case boundaries
+ * "Add_to_Service" gives add, to, service and "getTS3Info" gives get, ts3, info
+ */
+function tokenize(value) {
+  return splitWords(value).map(word => word.toLowerCase());
+}
+
+/**
+ * Drop words repeating the word before them from an ID, keeping the case of the rest
+ * "CompanyCompanyStatsGetStats" gives CompanyStatsGetStats
+ */
+function dropRepeatedWords(operationId) {
+  return splitWords(operationId)
+    .filter((word, index, words) => index === 0 || word.toLowerCase() !== words[index - 1].toLowerCase())
+    .join('');
+}
+
+/**
+ * Join tokens in a case style; camelCase only lower-cases the first token of the whole ID
+ */
+function applyCase(tokens, caseStyle, isFirst = true) {
+  if (caseStyle === 'snake_case') {
+    return tokens.join('_');
+  }
+
+  return tokens
+    .map((token, index) => (caseStyle === 'camelCase' && isFirst && index === 0
+      ? token
+      : token.charAt(0).toUpperCase() + token.slice(1)))
+    .join('');
+}
+
+/**
+ * Validate a strategy name or template, returning the normalized strategy
+ */
+function normalizeOperationIdStrategy(strategy) {
+  const value = String(strategy || 'auto').trim();
+  const named = OPERATION_ID_STRATEGIES.find(name => name === value.toLowerCase());
+  if (named) {
+    return named;
+  }
+
+  const placeholders = [...value.matchAll(/\{([^}]*)\}/g)].map(match => match[1]);
+  if (placeholders.length > 0 && placeholders.every(name => TEMPLATE_PLACEHOLDERS.includes(name))) {
+    return value;
+  }
+
+  throw new Error(
+    `Invalid operationId strategy "${strategy}". Expected one of: ${OPERATION_ID_STRATEGIES.join(', ')} ` +
+    `or a template with ${TEMPLATE_PLACEHOLDERS.map(name => `{${name}}`).join(', ')}, e.g. "{group}_{name}"`
+  );
+}
+
+/**
+ * Validate a case style, accepting any capitalization such as "camelcase"
+ */
+function normalizeOperationIdCase(caseStyle) {
+  const value = String(caseStyle || 'PascalCase').trim().toLowerCase();
+  const normalized = OPERATION_ID_CASES.find(name => name.toLowerCase() === value);
+
+  if (!normalized) {
+    throw new Error(`Invalid operationId case "${caseStyle}". Expected one of: ${OPERATION_ID_CASES.join(', ')}`);
+  }
+  return normalized;
+}
+
+/**
+ * Build an operationId from a strategy or template and the group, name, method and path of an endpoint
+ * Literal template text such as the "_" of "{group}_{name}" is kept; placeholders are formatted in the case style
+ */
+function buildOperationId(strategy, parts, caseStyle) {
+  const template = STRATEGY_TEMPLATES[strategy] || strategy;
+  const segments = template.split(/(\{[^}]*\})/).filter(segment => segment);
+
+  // Tokens repeating the token before them are dropped, also across placeholders, so "{group}{name}" never repeats the group
+  let previousToken = null;
+  const tokenized = segments.map(segment => {
+    const placeholder = /^\{([^}]*)\}$/.exec(segment);
+    if (!placeholder) {
+      return { literal: segment };
+    }
+
+    const tokens = tokenize(parts[placeholder[1]]).filter(token => {
+      const repeated = token === previousToken;
+      previousToken = token;
+      return !repeated;
+    });
+    return { tokens };
+  });
+
+  // snake_case separates adjacent placeholders, e.g. "{method}{path}" gives get_company_stats
+  let hasTokens = false;
+  let previousIsPlaceholder = false;
+  const operationId = tokenized
+    .map(segment => {
+      if (segment.literal !== undefined) {
+        previousIsPlaceholder = false;
+        return segment.literal;
+      }
+      if (segment.tokens.length === 0) {
+        return '';
+      }
+
+      const separator = caseStyle === 'snake_case' && previousIsPlaceholder ? '_' : '';
+      const formatted = separator + applyCase(segment.tokens, caseStyle, !hasTokens);
+      hasTokens = true;
+      previousIsPlaceholder = true;
+      return formatted;
+    })
+    .join('');
+
+  // Literal separators around empty placeholders, e.g. "_GetStats" without a group, are dropped
+  return operationId.replace(/^[^a-zA-Z0-9]+|[^a-zA-Z0-9]+$/g, '').replace(/([^a-zA-Z0-9])\1+/g, '$1');
+}
+
+module.exports = {
+  OPERATION_ID_STRATEGIES,
+  HEURISTIC_STRATEGIES,
+  OPERATION_ID_CASES,
+  tokenize,
+  dropRepeatedWords,
+  applyCase,
+  normalizeOperationIdStrategy,
+  normalizeOperationIdCase,
+  buildOperationId
+};
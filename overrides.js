@@ -0,0 +1,299 @@
+/**
+ * Manual overrides for mistakes in the upstream apiDoc data
+ * Rules match raw endpoints or converted operations and merge, replace or delete their fields
+ */
+
+const { cleanUrl } = require('./url-normalizer');
+
+const OVERRIDE_TARGETS = ['endpoint', 'operation'];
+const OVERRIDE_ACTIONS = ['merge', 'replace', 'delete'];
+const MATCH_KEYS = ['method', 'url', 'operationId', 'group'];
+
+/**
+ * Normalize a rule or endpoint URL to an OpenAPI path, e.g. "services/:id/" to "/services/{id}"
+ */
+function normalizeOverridePath(url) {
+  return cleanUrl(String(url)).url.replace(/:(\w+)/g, '{$1}');
+}
+
+/**
+ * Replace the parameter names of an OpenAPI path with "{}", so "/services/{service_id}" matches "/services/{id}"
+ */
+function wildcardPathParameters(path) {
+  return path.replace(/\{[^}]*\}/g, '{}');
+}
+
+/**
+ * Check whether a value is a plain object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep copy JSON data, so patches never touch the fetched apiDoc data or the rule values
+ */
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Apply a JSON Merge Patch (RFC 7396): objects are merged recursively, null removes a field, anything else replaces it
+ */
+function mergePatch(target, patch) {
+  if (!isPlainObject(patch)) {
+    return clone(patch);
+  }
+
+  const result = isPlainObject(target) ? { ...target } : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = mergePatch(result[key], value);
+    }
+  });
+  return result;
+}
+
+/**
+ * Split a JSON pointer such as /parameters/limit/schema into unescaped segments
+ */
+function parsePointer(pointer) {
+  if (pointer === '' || pointer === '/') {
+    return [];
+  }
+  if (!pointer.startsWith('/')) {
+    throw new Error(`"${pointer}" is not a JSON pointer`);
+  }
+  return pointer.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Resolve a pointer segment to a key of the container
+ * Array items are addressed by index or by their "name" (parameters) or "field" (apiDoc fields)
+ */
+function resolveSegment(container, segment) {
+  if (!Array.isArray(container)) {
+    return segment;
+  }
+  if (/^\d+$/.test(segment)) {
+    return Number(segment);
+  }
+
+  const index = container.findIndex(item => item?.name === segment || item?.field === segment);
+  return index === -1 ? undefined : index;
+}
+
+/**
+ * Walk to the parent of the last pointer segment, creating missing objects when asked to
+ * Returns the parent and the resolved key, or null when the pointer does not resolve
+ */
+function resolveParent(document, segments, create) {
+  let node = document;
+
+  for (const segment of segments.slice(0, -1)) {
+    const key = resolveSegment(node, segment);
+    if (key === undefined) {
+      return null;
+    }
+    if (node[key] === undefined && create && !Array.isArray(node)) {
+      node[key] = {};
+    }
+    if (node[key] === null || typeof node[key] !== 'object') {
+      return null;
+    }
+    node = node[key];
+  }
+
+  const key = resolveSegment(node, segments[segments.length - 1]);
+  return key === undefined ? null : { parent: node, key };
+}
+
+/**
+ * Describe what a rule matches, e.g. "POST /oauth/token" or "group Oauth_2"
+ */
+function describeMatch(match) {
+  const parts = [];
+  if (match.url) {
+    parts.push(`${match.method ? `${match.method} ` : ''}${match.url}`);
+  }
+  if (match.operationId) {
+    parts.push(`operationId ${match.operationId}`);
+  }
+  if (match.group) {
+    parts.push(`group ${match.group}`);
+  }
+  return parts.join(', ');
+}
+
+class OverrideSet {
+  constructor(rules = [], source = 'overrides') {
+    this.source = source;
+    this.rules = rules.map((rule, index) => OverrideSet.normalizeRule(rule, index));
+    this.problems = [];
+  }
+
+  /**
+   * Create an override set from a parsed file: a list of rules or { overrides: [...] }
+   */
+  static fromData(data, source) {
+    const rules = Array.isArray(data) ? data : data?.overrides;
+
+    if (!Array.isArray(rules)) {
+      throw new Error(`Invalid overrides in ${source}: expected a list of rules or an "overrides" list`);
+    }
+    return new OverrideSet(rules, source);
+  }
+
+  /**
+   * Validate a rule and normalize its match criteria
+   */
+  static normalizeRule(rule, index) {
+    const label = `#${index + 1}`;
+    const fail = message => {
+      throw new Error(`Invalid override ${label}: ${message}`);
+    };
+
+    if (!isPlainObject(rule) || !isPlainObject(rule.match)) {
+      fail('expected an object with a "match" object');
+    }
+
+    const unknownKeys = Object.keys(rule.match).filter(key => !MATCH_KEYS.includes(key));
+    if (unknownKeys.length > 0) {
+      fail(`unknown match key(s) ${unknownKeys.join(', ')}. Expected: ${MATCH_KEYS.join(', ')}`);
+    }
+    if (!rule.match.url && !rule.match.operationId && !rule.match.group) {
+      fail('match needs a url, operationId or group');
+    }
+
+    const target = rule.target || 'operation';
+    if (!OVERRIDE_TARGETS.includes(target)) {
+      fail(`invalid target "${target}". Expected one of: ${OVERRIDE_TARGETS.join(', ')}`);
+    }
+    if (target === 'endpoint' && rule.match.operationId) {
+      fail('operationIds are assigned during conversion and can only match operations');
+    }
+    if (!OVERRIDE_ACTIONS.some(action => rule[action] !== undefined)) {
+      fail(`expected at least one of: ${OVERRIDE_ACTIONS.join(', ')}`);
+    }
+    if (rule.replace !== undefined && !isPlainObject(rule.replace)) {
+      fail('replace must map JSON pointers to values');
+    }
+    if (rule.delete !== undefined && !(Array.isArray(rule.delete) && rule.delete.every(pointer => typeof pointer === 'string'))) {
+      fail('delete must be a list of JSON pointers');
+    }
+    [...Object.keys(rule.replace || {}), ...(rule.delete || [])].forEach(pointer => {
+      try {
+        parsePointer(pointer);
+      } catch (error) {
+        fail(error.message);
+      }
+    });
+
+    const match = {
+      ...(rule.match.method && { method: String(rule.match.method).toUpperCase() }),
+      ...(rule.match.url && { url: normalizeOverridePath(rule.match.url) }),
+      ...(rule.match.operationId && { operationId: String(rule.match.operationId) }),
+      ...(rule.match.group && { group: String(rule.match.group) })
+    };
+
+    return {
+      label: `${label} (${describeMatch(match)})`,
+      target,
+      match,
+      merge: rule.merge,
+      replace: rule.replace,
+      delete: rule.delete,
+      matches: 0
+    };
+  }
+
+  /**
+   * Forget the matches of a previous conversion
+   */
+  resetMatches() {
+    this.rules.forEach(rule => {
+      rule.matches = 0;
+    });
+    this.problems = [];
+  }
+
+  /**
+   * Check whether a rule matches an endpoint or operation described by method, path, group and operationId
+   * Path parameter names are ignored, so rules written against the upstream URL match the reconciled path
+   */
+  matches(rule, context) {
+    const { match } = rule;
+    return (!match.method || match.method === context.method)
+      && (!match.url || wildcardPathParameters(match.url) === wildcardPathParameters(context.path))
+      && (!match.operationId || match.operationId === context.operationId)
+      && (!match.group || match.group === context.group);
+  }
+
+  /**
+   * Apply the matching rules of a target kind to a raw endpoint or converted operation
+   * Returns the patched copy, or the original when no rule matches
+   */
+  apply(target, kind, context) {
+    return this.rules
+      .filter(rule => rule.target === kind && this.matches(rule, context))
+      .reduce((current, rule) => {
+        rule.matches += 1;
+        return this.applyRule(current, rule, context);
+      }, target);
+  }
+
+  /**
+   * Merge, replace and delete fields of a target according to one rule
+   */
+  applyRule(target, rule, context) {
+    let result = rule.merge !== undefined ? mergePatch(target, rule.merge) : clone(target);
+    const where = `${context.method} ${context.path}`;
+
+    Object.entries(rule.replace || {}).forEach(([pointer, value]) => {
+      const segments = parsePointer(pointer);
+      if (segments.length === 0) {
+        result = clone(value);
+        return;
+      }
+
+      const resolved = resolveParent(result, segments, true);
+      if (!resolved) {
+        this.problems.push(`Override ${rule.label}: ${pointer} not found in ${where}`);
+        return;
+      }
+      resolved.parent[resolved.key] = clone(value);
+    });
+
+    (rule.delete || []).forEach(pointer => {
+      const resolved = resolveParent(result, parsePointer(pointer), false);
+      if (!resolved || resolved.parent[resolved.key] === undefined) {
+        this.problems.push(`Override ${rule.label}: ${pointer} not found in ${where}`);
+        return;
+      }
+      if (Array.isArray(resolved.parent)) {
+        resolved.parent.splice(resolved.key, 1);
+      } else {
+        delete resolved.parent[resolved.key];
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Get the rules that matched nothing in the last conversion
+   */
+  getUnmatchedRules() {
+    return this.rules.filter(rule => rule.matches === 0);
+  }
+}
+
+module.exports = {
+  OVERRIDE_TARGETS,
+  normalizeOverridePath,
+  mergePatch,
+  parsePointer,
+  OverrideSet
+};
@@ -0,0 +1,233 @@
+/**
+ * Postman Collection v2.1 export of the converted API
+ * One folder per apiDoc group, requests prefilled from documented defaults and saved success examples
+ */
+
+const { STATUS_CODES } = require('http');
+const { resolvePointer } = require('./openapi-validator');
+
+const POSTMAN_SCHEMA_URL = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+const BASE_URL_VARIABLE = 'baseUrl';
+const BEARER_TOKEN_VARIABLE = 'bearerToken';
+
+// Nesting depth after which references are no longer followed
+const MAX_SAMPLE_DEPTH = 10;
+
+// Placeholder values for fields without a default or allowed values
+const PLACEHOLDERS = {
+  string: '',
+  integer: 0,
+  number: 0,
+  boolean: false,
+  array: [],
+  object: {}
+};
+
+/**
+ * Build a sample value for a schema from its default, allowed values or type
+ * References are followed when the spec is given
+ */
+function sampleValue(schema = {}, spec = null, depth = 0) {
+  if (schema.$ref) {
+    const resolved = spec && depth < MAX_SAMPLE_DEPTH ? resolvePointer(spec, schema.$ref) : undefined;
+    return resolved ? sampleValue(resolved, spec, depth + 1) : {};
+  }
+  if (schema.default !== undefined) {
+    return schema.default;
+  }
+  if (schema.const !== undefined) {
+    return schema.const;
+  }
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    return schema.enum[0];
+  }
+
+  const variants = schema.oneOf || schema.anyOf;
+  if (Array.isArray(variants) && variants.length > 0) {
+    return sampleValue(variants[0], spec, depth + 1);
+  }
+  if (Array.isArray(schema.allOf)) {
+    const samples = schema.allOf.map(subschema => sampleValue(subschema, spec, depth + 1));
+    return Object.assign({}, ...samples.filter(sample => sample && typeof sample === 'object'));
+  }
+  if (schema.properties) {
+    return Object.fromEntries(
+      Object.entries(schema.properties).map(([name, property]) => [name, sampleValue(property, spec, depth + 1)])
+    );
+  }
+  if (schema.type === 'array' && schema.items) {
+    return [sampleValue(schema.items, spec, depth + 1)];
+  }
+
+  const type = Array.isArray(schema.type) ? schema.type.find(candidate => candidate !== 'null') : schema.type;
+  return PLACEHOLDERS[type] ?? '';
+}
+
+/**
+ * Format a sample value as a Postman URL or header value
+ */
+function formatValue(value) {
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Flatten a deepObject query parameter into "name[key]" entries
+ */
+function flattenQueryParameter(name, schema, required, description) {
+  if (!schema.properties) {
+    return [{ key: name, value: formatValue(sampleValue(schema)), description, disabled: !required }];
+  }
+
+  return Object.entries(schema.properties).flatMap(([key, property]) => flattenQueryParameter(
+    `${name}[${key}]`,
+    property,
+    required && (schema.required || []).includes(key),
+    property.description || description
+  ));
+}
+
+/**
+ * Build the Postman URL of an operation with path variables and query parameters
+ */
+function buildUrl(path, parameters) {
+  const postmanPath = path.replace(/\{(\w+)\}/g, ':$1');
+  const query = parameters
+    .filter(parameter => parameter.in === 'query')
+    .flatMap(parameter => flattenQueryParameter(parameter.name, parameter.schema || {}, parameter.required, parameter.description));
+  const variable = parameters
+    .filter(parameter => parameter.in === 'path')
+    .map(parameter => ({
+      key: parameter.name,
+      value: formatValue(parameter.schema?.default ?? ''),
+      description: parameter.description
+    }));
+  const enabledQuery = query.filter(entry => !entry.disabled);
+  const queryString = enabledQuery.length > 0
+    ? `?${enabledQuery.map(entry => `${entry.key}=${entry.value}`).join('&')}`
+    : '';
+
+  return {
+    raw: `{{${BASE_URL_VARIABLE}}}${postmanPath}${queryString}`,
+    host: [`{{${BASE_URL_VARIABLE}}}`],
+    path: postmanPath.split('/').filter(Boolean),
+    ...(query.length > 0 && { query }),
+    ...(variable.length > 0 && { variable })
+  };
+}
+
+/**
+ * Build the Postman request of an operation
+ * Authorization is left to the collection-level bearer auth and JSON bodies set their own Content-Type
+ */
+function buildRequest(path, method, operation) {
+  const parameters = operation.parameters || [];
+  const bodySchema = operation.requestBody?.content?.['application/json']?.schema;
+  const skippedHeaders = bodySchema ? ['authorization', 'content-type'] : ['authorization'];
+  const header = parameters
+    .filter(parameter => parameter.in === 'header' && !skippedHeaders.includes(parameter.name.toLowerCase()))
+    .map(parameter => ({
+      key: parameter.name,
+      value: formatValue(sampleValue(parameter.schema)),
+      description: parameter.description,
+      disabled: !parameter.required
+    }));
+
+  if (bodySchema) {
+    header.push({ key: 'Content-Type', value: 'application/json' });
+  }
+
+  return {
+    method: method.toUpperCase(),
+    header,
+    url: buildUrl(path, parameters),
+    ...(operation.description && { description: operation.description }),
+    ...(bodySchema && {
+      body: {
+        mode: 'raw',
+        raw: JSON.stringify(sampleValue(bodySchema), null, 2),
+        options: { raw: { language: 'json' } }
+      }
+    }),
+    // Operations without security requirements are public
+    ...(!operation.security && { auth: { type: 'noauth' } })
+  };
+}
+
+/**
+ * Build saved responses from the success examples of an operation
+ */
+function buildSavedResponses(operation, request) {
+  return Object.entries(operation.responses || {})
+    .filter(([statusCode]) => /^2\d\d$/.test(statusCode))
+    .flatMap(([statusCode, response]) =>
+      Object.entries(response.content?.['application/json']?.examples || {}).map(([name, example]) => ({
+        name,
+        originalRequest: request,
+        status: STATUS_CODES[statusCode] || 'OK',
+        code: Number(statusCode),
+        _postman_previewlanguage: 'json',
+        header: [{ key: 'Content-Type', value: 'application/json' }],
+        body: JSON.stringify(example.value, null, 2)
+      }))
+    );
+}
+
+/**
+ * Build the Postman item of a single operation
+ */
+function buildItem(path, method, operation) {
+  const request = buildRequest(path, method, operation);
+
+  return {
+    name: operation.summary || operation.operationId,
+    request,
+    response: buildSavedResponses(operation, request)
+  };
+}
+
+/**
+ * Build a Postman collection with one folder per apiDoc group
+ * Uses the grouping of the converter's last conversion and the matching OpenAPI operations
+ */
+function buildPostmanCollection(converter, openAPISpec) {
+  const folders = Object.entries(converter.endpointsByGroup).map(([group, endpoints]) => {
+    const items = endpoints
+      .filter(endpoint => endpoint.url)
+      .map(endpoint => {
+        const path = converter.normalizePath(endpoint.url);
+        const method = (endpoint.type || 'get').toLowerCase();
+        const operation = openAPISpec.paths[path]?.[method];
+        return operation ? buildItem(path, method, operation) : null;
+      })
+      .filter(Boolean);
+
+    return { name: endpoints[0]?.groupTitle || group, item: items };
+  });
+
+  return {
+    info: {
+      name: openAPISpec.info.title,
+      description: openAPISpec.info.description,
+      version: openAPISpec.info.version,
+      schema: POSTMAN_SCHEMA_URL
+    },
+    auth: {
+      type: 'bearer',
+      bearer: [{ key: 'token', value: `{{${BEARER_TOKEN_VARIABLE}}}`, type: 'string' }]
+    },
+    variable: [
+      { key: BASE_URL_VARIABLE, value: openAPISpec.servers?.[0]?.url || '', type: 'string' },
+      { key: BEARER_TOKEN_VARIABLE, value: '', type: 'string' }
+    ],
+    item: folders.filter(folder => folder.item.length > 0)
+  };
+}
+
+module.exports = {
+  POSTMAN_SCHEMA_URL,
+  sampleValue,
+  buildUrl,
+  buildRequest,
+  buildSavedResponses,
+  buildPostmanCollection
+};
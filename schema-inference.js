@@ -0,0 +1,235 @@
+/**
+ * Schema inference utilities for apiDoc success examples
+ * Turns raw "HTTP/1.1 200 OK\n{...}" example payloads into JSON Schema
+ */
+
+const STATUS_LINE_PATTERN = /^HTTP\/\d(?:\.\d)?\s+(\d{3})(?:[ \t]+([^\n]*))?\r?\n?/;
+
+/**
+ * Split an example into its HTTP status line and body
+ */
+function splitExampleContent(content) {
+  const trimmed = (content || '').trim();
+  const statusMatch = trimmed.match(STATUS_LINE_PATTERN);
+
+  if (!statusMatch) {
+    return { statusCode: null, statusText: null, body: trimmed };
+  }
+
+  return {
+    statusCode: parseInt(statusMatch[1], 10),
+    statusText: (statusMatch[2] || '').trim() || null,
+    body: trimmed.slice(statusMatch[0].length).trim()
+  };
+}
+
+/**
+ * Parse a JSON body, repairing the common hand-written mistakes found in apiDoc examples
+ */
+function parseLenientJSON(body) {
+  if (!body) {
+    return undefined;
+  }
+
+  try {
+    return JSON.parse(body);
+  } catch {
+    // Fall through to the repaired attempt
+  }
+
+  try {
+    return JSON.parse(repairJSON(body));
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Repair placeholder lines, comments, single quotes and trailing commas
+ * Double-quoted strings are matched first, so apostrophes inside them are kept
+ */
+function repairJSON(body) {
+  return body
+    .split('\n')
+    .map(line => line.replace(/\s+\/\/.*$/, ''))
+    .filter(line => !/^\s*(\.\.\.|"\.\.\.")\s*,?\s*$/.test(line))
+    .join('\n')
+    .replace(/"(?:[^"\\\n]|\\.)*"|'([^'\n]*)'/g, (match, value) => (value === undefined ? match : JSON.stringify(value)))
+    .replace(/,(\s*[}\]])/g, '$1');
+}
+
+/**
+ * Parse an apiDoc example into status code and parsed body
+ */
+function parseExample(example) {
+  const { statusCode, statusText, body } = splitExampleContent(example?.content);
+  const data = parseLenientJSON(body);
+
+  return {
+    title: example?.title,
+    statusCode,
+    statusText,
+    body,
+    data,
+    parsed: data !== undefined
+  };
+}
+
+/**
+ * Infer a JSON Schema from a parsed JSON value
+ * A null sample says nothing about the real type, so fields only ever seen as null stay unconstrained;
+ * merged with a non-null sample they become nullable, e.g. type: ['string', 'null']
+ */
+function inferSchema(value) {
+  return openNullSchemas(inferValueSchema(value));
+}
+
+/**
+ * Infer the schema of a value, keeping type null for null samples until all samples are merged
+ */
+function inferValueSchema(value) {
+  if (value === null) {
+    return { type: 'null' };
+  }
+
+  if (Array.isArray(value)) {
+    return inferArraySchema(value);
+  }
+
+  switch (typeof value) {
+    case 'object':
+      return inferObjectSchema(value);
+    case 'number':
+      return { type: Number.isInteger(value) ? 'integer' : 'number' };
+    case 'boolean':
+      return { type: 'boolean' };
+    default:
+      return { type: 'string' };
+  }
+}
+
+/**
+ * Replace schemas that only ever saw null with open schemas, recursing into properties and items
+ */
+function openNullSchemas(schema) {
+  if (schema.type === 'null') {
+    return {};
+  }
+
+  return {
+    ...schema,
+    ...(schema.properties && {
+      properties: Object.fromEntries(Object.entries(schema.properties).map(([key, property]) => [key, openNullSchemas(property)]))
+    }),
+    ...(schema.items && { items: openNullSchemas(schema.items) })
+  };
+}
+
+/**
+ * Infer an object schema with one property per key
+ */
+function inferObjectSchema(value) {
+  const properties = {};
+
+  Object.entries(value).forEach(([key, propertyValue]) => {
+    properties[key] = inferValueSchema(propertyValue);
+  });
+
+  return { type: 'object', properties };
+}
+
+/**
+ * Infer an array schema by merging the schemas of all items
+ */
+function inferArraySchema(items) {
+  if (items.length === 0) {
+    return { type: 'array', items: {} };
+  }
+
+  const itemSchema = items
+    .map(item => inferValueSchema(item))
+    .reduce((merged, schema) => mergeSchemas(merged, schema));
+
+  return { type: 'array', items: itemSchema };
+}
+
+/**
+ * Merge two inferred schemas into one that accepts both
+ */
+function mergeSchemas(left, right) {
+  const leftTypes = getTypes(left);
+  const rightTypes = getTypes(right);
+  const types = normalizeTypes([...leftTypes, ...rightTypes]);
+
+  const merged = { type: types.length === 1 ? types[0] : types };
+
+  if (types.includes('object')) {
+    merged.properties = mergeProperties(left.properties, right.properties);
+  }
+
+  if (types.includes('array')) {
+    merged.items = mergeItems(left.items, right.items);
+  }
+
+  return merged;
+}
+
+/**
+ * Merge the property maps of two object schemas
+ */
+function mergeProperties(leftProperties = {}, rightProperties = {}) {
+  const properties = { ...leftProperties };
+
+  Object.entries(rightProperties).forEach(([key, schema]) => {
+    properties[key] = properties[key] ? mergeSchemas(properties[key], schema) : schema;
+  });
+
+  return properties;
+}
+
+/**
+ * Merge the item schemas of two array schemas, ignoring empty ones
+ */
+function mergeItems(leftItems, rightItems) {
+  const hasLeft = leftItems && Object.keys(leftItems).length > 0;
+  const hasRight = rightItems && Object.keys(rightItems).length > 0;
+
+  if (hasLeft && hasRight) {
+    return mergeSchemas(leftItems, rightItems);
+  }
+  if (hasLeft) {
+    return leftItems;
+  }
+  return rightItems || {};
+}
+
+/**
+ * Get the type list of a schema
+ */
+function getTypes(schema) {
+  if (!schema?.type) {
+    return [];
+  }
+  return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+/**
+ * Deduplicate types, widening integer to number when both occur
+ */
+function normalizeTypes(types) {
+  const unique = [...new Set(types)];
+  const widened = unique.includes('number')
+    ? unique.filter(type => type !== 'integer')
+    : unique;
+
+  // Keep null last so "type: ['string', 'null']" reads naturally
+  return widened.sort((a, b) => (a === 'null') - (b === 'null'));
+}
+
+module.exports = {
+  splitExampleContent,
+  parseLenientJSON,
+  parseExample,
+  inferSchema,
+  mergeSchemas
+};
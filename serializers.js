@@ -0,0 +1,174 @@
+/**
+ * Pluggable output serializers for the generated spec
+ * Each serializer turns data into file contents and parses those contents back
+ */
+
+const yaml = require('js-yaml');
+
+const OUTPUT_FORMATS = ['json', 'yaml', 'both'];
+
+// Preferred order of OpenAPI keys in YAML output; unknown keys follow alphabetically
+const KEY_ORDER = [
+  'openapi', 'info', 'jsonSchemaDialect', 'servers', 'tags', 'paths', 'webhooks', 'components',
+  '$ref', 'name', 'in', 'url', 'title', 'summary', 'description', 'termsOfService', 'contact', 'license', 'version',
+  'email', 'identifier', 'variables',
+  'operationId', 'deprecated', 'externalDocs', 'parameters',
+  'get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace',
+  'requestBody', 'responses', 'callbacks', 'security',
+  'required', 'allowEmptyValue', 'style', 'explode', 'allowReserved',
+  'type', 'format', 'nullable', 'const', 'enum', 'default',
+  'minimum', 'exclusiveMinimum', 'maximum', 'exclusiveMaximum', 'minLength', 'maxLength', 'pattern',
+  'items', 'minItems', 'maxItems', 'uniqueItems', 'properties', 'additionalProperties',
+  'allOf', 'oneOf', 'anyOf', 'not',
+  'schema', 'content', 'headers', 'links', 'example', 'examples', 'value', 'externalValue',
+  'schemas', 'requestBodies', 'securitySchemes', 'flows', 'scheme', 'bearerFormat', 'openIdConnectUrl',
+  'authorizationUrl', 'tokenUrl', 'refreshUrl', 'scopes'
+];
+
+// Keys whose object values are maps of user-chosen names rather than OpenAPI objects
+const MAP_KEYS = [
+  'paths', 'webhooks', 'properties', 'patternProperties', '$defs', 'responses', 'schemas', 'content',
+  'examples', 'headers', 'links', 'callbacks', 'variables', 'encoding', 'mapping', 'scopes',
+  'securitySchemes', 'requestBodies', 'pathItems'
+];
+
+// Keys holding example or literal data, kept exactly as generated
+const LITERAL_KEYS = ['example', 'value', 'default', 'const', 'enum'];
+
+/**
+ * Compare two keys of an OpenAPI object by the preferred key order
+ */
+function compareObjectKeys(a, b) {
+  const rankA = KEY_ORDER.indexOf(a);
+  const rankB = KEY_ORDER.indexOf(b);
+
+  if (rankA !== -1 || rankB !== -1) {
+    return (rankA === -1 ? Infinity : rankA) - (rankB === -1 ? Infinity : rankB);
+  }
+  return a.localeCompare(b);
+}
+
+/**
+ * Compare two keys of a name map, ordering numbers such as status codes numerically
+ */
+function compareMapKeys(a, b) {
+  return a.localeCompare(b, 'en', { numeric: true });
+}
+
+/**
+ * Return a copy of a spec with deterministic key order
+ */
+function orderKeys(value, isMap = false) {
+  if (Array.isArray(value)) {
+    return value.map(item => orderKeys(item));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  const keys = Object.keys(value).sort(isMap ? compareMapKeys : compareObjectKeys);
+
+  return Object.fromEntries(keys.map(key => {
+    const child = value[key];
+
+    if (isMap) {
+      return [key, orderKeys(child)];
+    }
+    if (LITERAL_KEYS.includes(key) || (key === 'examples' && Array.isArray(child))) {
+      return [key, child];
+    }
+    // Component parameters are a name map, operation parameters a list
+    const childIsMap = MAP_KEYS.includes(key) || (key === 'parameters' && !Array.isArray(child));
+    return [key, orderKeys(child, childIsMap)];
+  }));
+}
+
+/**
+ * Serialize data as YAML with deterministic key order
+ * Multi-line strings become literal block scalars and ambiguous scalars such as "on", "yes" or "200" are quoted
+ */
+function toYAML(data) {
+  return yaml.dump(orderKeys(data), {
+    lineWidth: -1,
+    noRefs: true,
+    quotingType: '\''
+  });
+}
+
+const SERIALIZERS = {
+  json: {
+    extension: 'json',
+    serialize: data => JSON.stringify(data, null, 2),
+    parse: content => JSON.parse(content)
+  },
+  yaml: {
+    extension: 'yaml',
+    serialize: toYAML,
+    parse: content => yaml.load(content)
+  }
+};
+
+/**
+ * Register a serializer under a format name
+ */
+function registerSerializer(name, serializer) {
+  if (typeof serializer.serialize !== 'function' || typeof serializer.parse !== 'function' || !serializer.extension) {
+    throw new Error(`Serializer "${name}" needs an extension and serialize/parse functions`);
+  }
+  SERIALIZERS[name] = serializer;
+}
+
+/**
+ * Get a registered serializer by format name
+ */
+function getSerializer(name) {
+  const serializer = SERIALIZERS[name];
+  if (!serializer) {
+    throw new Error(`Unknown serializer "${name}". Expected one of: ${Object.keys(SERIALIZERS).join(', ')}`);
+  }
+  return serializer;
+}
+
+/**
+ * Resolve an output format option into serializer names
+ */
+function resolveOutputFormats(format = 'json') {
+  const normalized = String(format).toLowerCase();
+
+  if (normalized === 'both') {
+    return ['json', 'yaml'];
+  }
+  if (!SERIALIZERS[normalized]) {
+    throw new Error(`Invalid output format "${format}". Expected one of: ${[...Object.keys(SERIALIZERS), 'both'].join(', ')}`);
+  }
+  return [normalized];
+}
+
+/**
+ * Find the serializer for a file name by its extension
+ */
+function getSerializerForFile(filePath) {
+  const extension = filePath.split('.').pop().toLowerCase();
+  const name = Object.keys(SERIALIZERS).find(key =>
+    SERIALIZERS[key].extension === extension || (key === 'yaml' && extension === 'yml')
+  );
+  return SERIALIZERS[name || 'json'];
+}
+
+/**
+ * Parse file contents with the serializer matching the file extension
+ */
+function parseFile(filePath, content) {
+  return getSerializerForFile(filePath).parse(content);
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  orderKeys,
+  toYAML,
+  registerSerializer,
+  getSerializer,
+  resolveOutputFormats,
+  getSerializerForFile,
+  parseFile
+};
@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+
+const fs = require('fs').promises;
+const path = require('path');
+const Config = require('./config');
+const Logger = require('./logger');
+const { MockServer, MOCK_STATUS_HEADER } = require('./mock-server');
+const { getSerializer, resolveOutputFormats, parseFile } = require('./serializers');
+
+/**
+ * Serve a mock of the API from the generated OpenAPI specification
+ */
+async function serveMock() {
+  const config = new Config().getConfig({ requireApiUrl: false });
+  const logger = new Logger(Logger.resolveLevel(config));
+  const [format] = resolveOutputFormats(config.outputFormat);
+  const specPath = path.join(config.outputDir, `nitrado-openapi.${getSerializer(format).extension}`);
+
+  try {
+    const spec = parseFile(specPath, await fs.readFile(specPath, 'utf8'));
+    const server = new MockServer(spec, { token: config.mockToken, logger });
+    const { address, port } = await server.listen(config.mockPort, config.mockHost);
+
+    logger.result(`🛰️  Mock server for ${spec.info.title} ${spec.info.version} listening on http://${address}:${port}`);
+    logger.info(`📋 ${server.contract.routes.length} paths from ${specPath}`);
+    logger.info(`🔑 ${config.mockToken ? 'Accepting the configured bearer token' : 'Accepting any bearer token'}`);
+    logger.info(`💡 Force a status with the ${MOCK_STATUS_HEADER} header, e.g. "${MOCK_STATUS_HEADER}: 429"`);
+  } catch (error) {
+    logger.error('❌ Error:', error.message);
+    logger.verbose('Stack trace:', error.stack);
+    if (error.code === 'ENOENT') {
+      logger.info('💡 Generate the spec first: npm run extract');
+    }
+    process.exit(1);
+  }
+}
+
+serveMock();
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+
+const fs = require('fs').promises;
+const path = require('path');
+const Config = require('./config');
+const Logger = require('./logger');
+const { ContractProxy, VIOLATIONS_FILENAME } = require('./contract-proxy');
+const { getSerializer, resolveOutputFormats, parseFile } = require('./serializers');
+
+/**
+ * Proxy requests to an upstream and record where requests and responses break the generated spec
+ */
+async function serveProxy() {
+  const config = new Config().getConfig({ requireApiUrl: false });
+  const logger = new Logger(Logger.resolveLevel(config));
+  const [format] = resolveOutputFormats(config.outputFormat);
+  const specPath = path.join(config.outputDir, `nitrado-openapi.${getSerializer(format).extension}`);
+  const violationsFile = config.violationsFile || path.join(config.outputDir, VIOLATIONS_FILENAME);
+
+  try {
+    const spec = parseFile(specPath, await fs.readFile(specPath, 'utf8'));
+    const upstream = config.proxyUpstream || config.serverUrl;
+    const proxy = new ContractProxy(spec, { upstream, violationsFile, logger });
+    const { address, port } = await proxy.listen(config.proxyPort, config.proxyHost);
+
+    logger.result(`🔀 Validation proxy listening on http://${address}:${port}, forwarding to ${upstream}`);
+    logger.info(`📋 Validating against ${spec.info.title} ${spec.info.version} from ${specPath}`);
+    logger.info(`📝 Contract violations are appended to ${violationsFile}`);
+
+    process.once('SIGINT', async () => {
+      await proxy.close();
+      logger.result(`📊 ${proxy.violationCount} contract violation(s) recorded`);
+      process.exit(0);
+    });
+  } catch (error) {
+    logger.error('❌ Error:', error.message);
+    logger.verbose('Stack trace:', error.stack);
+    if (error.code === 'ENOENT') {
+      logger.info('💡 Generate the spec first: npm run extract');
+    }
+    process.exit(1);
+  }
+}
+
+serveProxy();
@@ -0,0 +1,572 @@
+/**
+ * Comparison of two Nitrado API snapshots
+ * Accepts raw apiDoc data (nitrado-api.json) or OpenAPI specs (nitrado-openapi.json)
+ */
+
+const { classifyChanges } = require('./change-classifier');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const MAX_SCHEMA_DEPTH = 10;
+const PREFERRED_CONTENT_TYPE = 'application/json';
+
+/**
+ * Detect whether a snapshot holds raw apiDoc data or an OpenAPI spec
+ */
+function detectSnapshotKind(data) {
+  if (data && typeof data.openapi === 'string') {
+    return 'openapi';
+  }
+  if (data && Array.isArray(data.api)) {
+    return 'raw';
+  }
+  throw new Error('Unrecognized snapshot: expected nitrado-api.json or nitrado-openapi.json contents');
+}
+
+/**
+ * Resolve a local $ref, following chains and stopping on cycles
+ */
+function dereference(spec, value) {
+  const visited = new Set();
+  let current = value;
+
+  while (current && typeof current.$ref === 'string' && !visited.has(current.$ref)) {
+    visited.add(current.$ref);
+    current = current.$ref
+      .replace(/^#\/?/, '')
+      .split('/')
+      .filter(key => key)
+      .map(key => decodeURIComponent(key).replace(/~1/g, '/').replace(/~0/g, '~'))
+      .reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), spec);
+  }
+
+  return current;
+}
+
+/**
+ * Describe the type of a schema as a sorted list of type names plus enum values
+ */
+function describeSchemaType(spec, rawSchema) {
+  const schema = dereference(spec, rawSchema) || {};
+  const types = new Set();
+
+  if (Array.isArray(schema.type)) {
+    schema.type.forEach(type => types.add(type));
+  } else if (schema.type) {
+    types.add(schema.type);
+  } else if (schema.properties) {
+    types.add('object');
+  }
+  if (schema.nullable) {
+    types.add('null');
+  }
+
+  [...(schema.oneOf || []), ...(schema.anyOf || [])].forEach(branch => {
+    describeSchemaType(spec, branch).types.forEach(type => types.add(type));
+  });
+
+  const description = { types: [...types].sort() };
+  if (Array.isArray(schema.enum)) {
+    description.enum = [...schema.enum].sort();
+  }
+  return description;
+}
+
+/**
+ * Format a type description for display
+ */
+function formatType(type) {
+  if (!type) {
+    return 'unknown';
+  }
+
+  const base = type.types.length > 0 ? type.types.join(' | ') : 'any';
+  return type.enum ? `${base} (${type.enum.join(', ')})` : base;
+}
+
+/**
+ * Collect the properties of a schema, merging allOf/oneOf/anyOf branches
+ */
+function collectProperties(spec, schema) {
+  const properties = {};
+  const required = new Set(schema.required || []);
+
+  Object.assign(properties, schema.properties || {});
+  (schema.allOf || []).forEach(branch => {
+    const resolved = dereference(spec, branch) || {};
+    const nested = collectProperties(spec, resolved);
+    Object.assign(properties, nested.properties);
+    nested.required.forEach(name => required.add(name));
+  });
+  [...(schema.oneOf || []), ...(schema.anyOf || [])].forEach(branch => {
+    const resolved = dereference(spec, branch) || {};
+    Object.assign(properties, collectProperties(spec, resolved).properties);
+  });
+
+  return { properties, required };
+}
+
+/**
+ * Flatten a schema into dotted field paths with their type and required flag
+ */
+function flattenSchema(spec, rawSchema, prefix, fields, required, depth = 0) {
+  const schema = dereference(spec, rawSchema);
+  if (!schema || typeof schema !== 'object' || depth > MAX_SCHEMA_DEPTH) {
+    return fields;
+  }
+
+  if (prefix) {
+    fields[prefix] = { required, type: describeSchemaType(spec, schema) };
+  }
+
+  const { properties, required: requiredNames } = collectProperties(spec, schema);
+  Object.entries(properties).forEach(([name, propertySchema]) => {
+    const fieldPath = prefix ? `${prefix}.${name}` : name;
+    flattenSchema(spec, propertySchema, fieldPath, fields, required && requiredNames.has(name), depth + 1);
+  });
+
+  if (schema.items) {
+    flattenSchema(spec, schema.items, `${prefix}[]`, fields, false, depth + 1);
+  }
+
+  return fields;
+}
+
+/**
+ * Pick the schema of the preferred media type from a content map
+ */
+function pickContentSchema(content = {}) {
+  const mediaType = content[PREFERRED_CONTENT_TYPE] || Object.values(content)[0];
+  return mediaType ? mediaType.schema : undefined;
+}
+
+/**
+ * Extract the parameters of an operation, keyed by "location:field.path"
+ */
+function extractParameters(spec, pathItem, operation) {
+  const parameters = {};
+
+  [...(pathItem.parameters || []), ...(operation.parameters || [])].forEach(rawParameter => {
+    const parameter = dereference(spec, rawParameter);
+    if (!parameter || !parameter.name || !parameter.in) {
+      return;
+    }
+
+    const fields = flattenSchema(spec, parameter.schema || {}, parameter.name, {}, parameter.required === true);
+    Object.entries(fields).forEach(([name, field]) => {
+      parameters[`${parameter.in}:${name}`] = { location: parameter.in, name, ...field };
+    });
+  });
+
+  const requestBody = dereference(spec, operation.requestBody);
+  if (requestBody) {
+    const fields = flattenSchema(spec, pickContentSchema(requestBody.content), '', {}, requestBody.required === true);
+    Object.entries(fields).forEach(([name, field]) => {
+      parameters[`body:${name}`] = { location: 'body', name, ...field };
+    });
+  }
+
+  return parameters;
+}
+
+/**
+ * Extract the responses of an operation with their flattened fields
+ */
+function extractResponses(spec, operation) {
+  return Object.fromEntries(Object.entries(operation.responses || {}).map(([status, rawResponse]) => {
+    const response = dereference(spec, rawResponse) || {};
+    return [status, { fields: flattenSchema(spec, pickContentSchema(response.content), '', {}, true) }];
+  }));
+}
+
+/**
+ * Build a comparable model of an OpenAPI spec
+ */
+function extractModel(spec) {
+  const endpoints = {};
+
+  Object.entries(spec.paths || {}).forEach(([pathName, pathItem]) => {
+    Object.entries(pathItem || {})
+      .filter(([method]) => HTTP_METHODS.includes(method))
+      .forEach(([method, operation]) => {
+        endpoints[`${method.toUpperCase()} ${pathName}`] = {
+          method: method.toUpperCase(),
+          path: pathName,
+          operationId: operation.operationId || null,
+          summary: operation.summary || '',
+          description: operation.description || '',
+          deprecated: operation.deprecated === true,
+          permissions: [...(operation['x-nitrado-permissions'] || [])].sort(),
+          parameters: extractParameters(spec, pathItem, operation),
+          responses: extractResponses(spec, operation)
+        };
+      });
+  });
+
+  return {
+    title: spec.info?.title || '',
+    version: spec.info?.version || '',
+    endpoints
+  };
+}
+
+/**
+ * Build a comparable model from a snapshot, converting raw data with the given converter
+ */
+function loadSnapshotModel(data, converter) {
+  if (detectSnapshotKind(data) === 'openapi') {
+    return extractModel(data);
+  }
+
+  converter.apiData = data;
+  return extractModel(converter.convertToOpenAPI());
+}
+
+/**
+ * Check whether two values are structurally equal
+ */
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * List the keys only present in the first object
+ */
+function keysOnlyIn(a, b) {
+  return Object.keys(a).filter(key => !(key in b)).sort();
+}
+
+/**
+ * Uppercase the first character of a message
+ */
+function capitalizeFirst(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Describe a parameter for messages, e.g. "query parameter `page`"
+ */
+function describeParameter(parameter) {
+  return `${parameter.location} parameter \`${parameter.name}\``;
+}
+
+/**
+ * Compare the parameters of two versions of an endpoint
+ */
+function diffParameters(endpoint, base, head) {
+  const changes = [];
+
+  keysOnlyIn(head, base).forEach(key => {
+    const parameter = head[key];
+    changes.push({
+      type: 'parameter',
+      action: 'added',
+      endpoint,
+      location: parameter.location,
+      name: parameter.name,
+      required: parameter.required,
+      to: parameter.type,
+      message: `Added ${parameter.required ? 'required' : 'optional'} ${describeParameter(parameter)} (\`${formatType(parameter.type)}\`)`
+    });
+  });
+
+  keysOnlyIn(base, head).forEach(key => {
+    const parameter = base[key];
+    changes.push({
+      type: 'parameter',
+      action: 'removed',
+      endpoint,
+      location: parameter.location,
+      name: parameter.name,
+      required: parameter.required,
+      from: parameter.type,
+      message: `Removed ${describeParameter(parameter)}`
+    });
+  });
+
+  Object.keys(base).filter(key => key in head).sort().forEach(key => {
+    const before = base[key];
+    const after = head[key];
+
+    if (before.required !== after.required) {
+      changes.push({
+        type: 'parameter',
+        action: 'changed',
+        property: 'required',
+        endpoint,
+        location: after.location,
+        name: after.name,
+        from: before.required,
+        to: after.required,
+        message: `${capitalizeFirst(describeParameter(after))} is now ${after.required ? 'required' : 'optional'}`
+      });
+    }
+
+    if (!isEqual(before.type, after.type)) {
+      changes.push({
+        type: 'parameter',
+        action: 'changed',
+        property: 'type',
+        endpoint,
+        location: after.location,
+        name: after.name,
+        from: before.type,
+        to: after.type,
+        message: `Type of ${describeParameter(after)} changed from \`${formatType(before.type)}\` to \`${formatType(after.type)}\``
+      });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Compare the responses of two versions of an endpoint
+ */
+function diffResponses(endpoint, base, head) {
+  const changes = [];
+
+  keysOnlyIn(head, base).forEach(status => {
+    changes.push({ type: 'response', action: 'added', endpoint, status, message: `Added ${status} response` });
+  });
+  keysOnlyIn(base, head).forEach(status => {
+    changes.push({ type: 'response', action: 'removed', endpoint, status, message: `Removed ${status} response` });
+  });
+
+  Object.keys(base).filter(status => status in head).sort().forEach(status => {
+    const before = base[status].fields;
+    const after = head[status].fields;
+
+    keysOnlyIn(after, before).forEach(name => {
+      changes.push({
+        type: 'responseField',
+        action: 'added',
+        endpoint,
+        status,
+        name,
+        to: after[name].type,
+        message: `Added response field \`${name}\` (${status}, \`${formatType(after[name].type)}\`)`
+      });
+    });
+    keysOnlyIn(before, after).forEach(name => {
+      changes.push({
+        type: 'responseField',
+        action: 'removed',
+        endpoint,
+        status,
+        name,
+        from: before[name].type,
+        message: `Removed response field \`${name}\` (${status})`
+      });
+    });
+    Object.keys(before).filter(name => name in after && !isEqual(before[name].type, after[name].type)).sort().forEach(name => {
+      changes.push({
+        type: 'responseField',
+        action: 'changed',
+        property: 'type',
+        endpoint,
+        status,
+        name,
+        from: before[name].type,
+        to: after[name].type,
+        message: `Type of response field \`${name}\` (${status}) changed from \`${formatType(before[name].type)}\` to \`${formatType(after[name].type)}\``
+      });
+    });
+  });
+
+  return changes;
+}
+
+/**
+ * Compare two versions of an endpoint
+ */
+function diffEndpoint(endpoint, base, head) {
+  const changes = [];
+
+  if (base.operationId !== head.operationId) {
+    changes.push({
+      type: 'operationId',
+      action: 'changed',
+      endpoint,
+      from: base.operationId,
+      to: head.operationId,
+      message: `operationId changed from \`${base.operationId}\` to \`${head.operationId}\``
+    });
+  }
+
+  if (base.deprecated !== head.deprecated) {
+    changes.push({
+      type: 'deprecation',
+      action: head.deprecated ? 'added' : 'removed',
+      endpoint,
+      message: head.deprecated ? 'Endpoint is now deprecated' : 'Endpoint is no longer deprecated'
+    });
+  }
+
+  head.permissions.filter(name => !base.permissions.includes(name)).forEach(name => {
+    changes.push({ type: 'permission', action: 'added', endpoint, name, message: `Now requires permission \`${name}\`` });
+  });
+  base.permissions.filter(name => !head.permissions.includes(name)).forEach(name => {
+    changes.push({ type: 'permission', action: 'removed', endpoint, name, message: `No longer requires permission \`${name}\`` });
+  });
+
+  changes.push(...diffParameters(endpoint, base.parameters, head.parameters));
+  changes.push(...diffResponses(endpoint, base.responses, head.responses));
+
+  ['summary', 'description'].forEach(property => {
+    if (base[property] !== head[property]) {
+      changes.push({
+        type: 'documentation',
+        action: 'changed',
+        property,
+        endpoint,
+        from: base[property],
+        to: head[property],
+        message: `Updated ${property}`
+      });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Compare two snapshot models and list every change
+ */
+function diffModels(base, head) {
+  const changes = [];
+
+  keysOnlyIn(head.endpoints, base.endpoints).forEach(endpoint => {
+    changes.push({
+      type: 'endpoint',
+      action: 'added',
+      endpoint,
+      summary: head.endpoints[endpoint].summary,
+      message: `Added endpoint \`${endpoint}\``
+    });
+  });
+
+  keysOnlyIn(base.endpoints, head.endpoints).forEach(endpoint => {
+    changes.push({
+      type: 'endpoint',
+      action: 'removed',
+      endpoint,
+      summary: base.endpoints[endpoint].summary,
+      message: `Removed endpoint \`${endpoint}\``
+    });
+  });
+
+  Object.keys(base.endpoints).filter(endpoint => endpoint in head.endpoints).sort().forEach(endpoint => {
+    changes.push(...diffEndpoint(endpoint, base.endpoints[endpoint], head.endpoints[endpoint]));
+  });
+
+  return changes;
+}
+
+/**
+ * Count the endpoints added, removed and changed
+ */
+function summarizeChanges(changes) {
+  const endpointChanges = changes.filter(change => change.type === 'endpoint');
+
+  return {
+    addedEndpoints: endpointChanges.filter(change => change.action === 'added').length,
+    removedEndpoints: endpointChanges.filter(change => change.action === 'removed').length,
+    changedEndpoints: new Set(changes.filter(change => change.type !== 'endpoint').map(change => change.endpoint)).size,
+    totalChanges: changes.length,
+    breakingChanges: changes.filter(change => change.breaking).length
+  };
+}
+
+/**
+ * Compare two snapshots and build a diff report
+ */
+function diffSnapshots(baseData, headData, converter) {
+  const base = loadSnapshotModel(baseData, converter);
+  const head = loadSnapshotModel(headData, converter);
+  const changes = classifyChanges(diffModels(base, head));
+
+  return {
+    base: { kind: detectSnapshotKind(baseData), title: base.title, version: base.version },
+    head: { kind: detectSnapshotKind(headData), title: head.title, version: head.version },
+    summary: summarizeChanges(changes),
+    changes
+  };
+}
+
+/**
+ * Format a diff report as a Markdown changelog
+ */
+function formatMarkdown(report, { baseLabel = 'base', headLabel = 'head' } = {}) {
+  const { summary, changes } = report;
+  const lines = [
+    '# Nitrado API changes',
+    '',
+    `Comparing \`${baseLabel}\` (${report.base.kind}) with \`${headLabel}\` (${report.head.kind}).`,
+    ''
+  ];
+
+  if (changes.length === 0) {
+    lines.push('No changes detected.');
+    return `${lines.join('\n')}\n`;
+  }
+
+  lines.push(
+    '| Change | Count |',
+    '| --- | --- |',
+    `| Added endpoints | ${summary.addedEndpoints} |`,
+    `| Removed endpoints | ${summary.removedEndpoints} |`,
+    `| Changed endpoints | ${summary.changedEndpoints} |`,
+    `| Breaking changes | ${summary.breakingChanges} |`,
+    ''
+  );
+
+  const breaking = changes.filter(change => change.breaking);
+  if (breaking.length > 0) {
+    lines.push('## Breaking changes', '');
+    breaking.forEach(change => {
+      const endpoint = change.type === 'endpoint' ? '' : `\`${change.endpoint}\`: `;
+      lines.push(`- ${endpoint}${change.message} (${change.reason})`);
+    });
+    lines.push('');
+  }
+
+  const endpointSection = (title, action) => {
+    const entries = changes.filter(change => change.type === 'endpoint' && change.action === action);
+    if (entries.length === 0) {
+      return;
+    }
+
+    lines.push(`## ${title}`, '');
+    entries.forEach(change => lines.push(`- \`${change.endpoint}\`${change.summary ? ` - ${change.summary}` : ''}`));
+    lines.push('');
+  };
+
+  endpointSection('Added endpoints', 'added');
+  endpointSection('Removed endpoints', 'removed');
+
+  const changed = changes.filter(change => change.type !== 'endpoint');
+  if (changed.length > 0) {
+    lines.push('## Changed endpoints', '');
+
+    [...new Set(changed.map(change => change.endpoint))].forEach(endpoint => {
+      lines.push(`### \`${endpoint}\``, '');
+      changed
+        .filter(change => change.endpoint === endpoint)
+        .forEach(change => lines.push(`- ${change.breaking ? '**Breaking:** ' : ''}${change.message}`));
+      lines.push('');
+    });
+  }
+
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+module.exports = {
+  detectSnapshotKind,
+  extractModel,
+  loadSnapshotModel,
+  diffModels,
+  summarizeChanges,
+  diffSnapshots,
+  formatType,
+  formatMarkdown
+};
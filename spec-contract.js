@@ -0,0 +1,403 @@
+/**
+ * Request and response contract checks against the generated OpenAPI spec
+ * Shared by the mock server and the validation proxy
+ */
+
+const { URLSearchParams } = require('url');
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const { listOperations, dereference } = require('./openapi-validator');
+
+// Headers handled by the server or proxy rather than validated as parameters
+const MANAGED_HEADERS = ['authorization', 'content-type', 'accept'];
+
+const JSON_CONTENT_TYPE = 'application/json';
+const FORM_CONTENT_TYPE = 'application/x-www-form-urlencoded';
+
+// Form keys that would reach the prototype of the parsed object
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Compile a path template such as /services/{id}/gameservers to a regular expression
+ */
+function compilePathTemplate(pathName) {
+  const names = [];
+  const source = pathName
+    .split(/(\{[^}]+\})/)
+    .map(part => {
+      if (/^\{[^}]+\}$/.test(part)) {
+        names.push(part.slice(1, -1));
+        return '([^/]+)';
+      }
+      return part.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+
+  return { pattern: new RegExp(`^${source}/?$`), names };
+}
+
+/**
+ * Decode a path segment, returning undefined for a malformed percent-encoding such as "%zz"
+ */
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    if (error instanceof URIError) {
+      return undefined;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read the values of a query parameter, including name[] arrays and name[key] objects
+ */
+function readQueryParameter(searchParams, parameter) {
+  const { name, schema = {} } = parameter;
+
+  if (schema.type === 'array') {
+    const values = [...searchParams.getAll(name), ...searchParams.getAll(`${name}[]`)];
+    return values.length > 0 ? values : undefined;
+  }
+  if (schema.type === 'object' || parameter.style === 'deepObject') {
+    const prefix = `${name}[`;
+    const entries = [...searchParams.entries()]
+      .filter(([key]) => key.startsWith(prefix) && key.endsWith(']'))
+      .map(([key, value]) => [key.slice(prefix.length, -1), value]);
+    return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+  }
+  return searchParams.has(name) ? searchParams.get(name) : undefined;
+}
+
+/**
+ * Parse a form body into nested values, like readQueryParameter does for query strings
+ * "parts[slot]=10" gives { parts: { slot: '10' } } and "ids[]=1&ids[]=2" or repeated keys give arrays
+ */
+function parseFormBody(body) {
+  const values = {};
+
+  new URLSearchParams(body).forEach((value, key) => {
+    const [, name = key, rest = ''] = /^([^[]+)((?:\[[^\]]*\])*)$/.exec(key) || [];
+    const segments = [name, ...[...rest.matchAll(/\[([^\]]*)\]/g)].map(match => match[1])];
+    if (segments.some(segment => UNSAFE_KEYS.includes(segment))) {
+      return;
+    }
+
+    const last = segments.indexOf('') === -1 ? segments.length - 1 : segments.indexOf('') - 1;
+    let container = values;
+
+    // Nested objects up to the last named segment, which takes the value or collects it in a list
+    segments.slice(0, last).forEach(segment => {
+      if (!container[segment] || typeof container[segment] !== 'object' || Array.isArray(container[segment])) {
+        container[segment] = {};
+      }
+      container = container[segment];
+    });
+
+    const segment = segments[last];
+    const isList = last < segments.length - 1;
+    container[segment] = isList || container[segment] !== undefined ? [].concat(container[segment] ?? [], value) : value;
+  });
+
+  return values;
+}
+
+/**
+ * Get the media type of a Content-Type header, e.g. "application/json" for "application/json; charset=utf-8"
+ */
+function getMediaType(contentType) {
+  return String(contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Create a contract problem
+ */
+function createProblem(location, message) {
+  return { location, message };
+}
+
+/**
+ * Format problems as one human-readable line
+ */
+function formatProblems(problems) {
+  return problems.map(problem => `${problem.location} ${problem.message}`).join('; ');
+}
+
+class SpecContract {
+  constructor(spec, options = {}) {
+    this.spec = spec;
+    this.ignoredHeaders = [...MANAGED_HEADERS, ...(options.ignoredHeaders || [])].map(name => name.toLowerCase());
+
+    // JSON bodies are validated as sent, parameters and form bodies arrive as strings
+    this.jsonValidator = SpecContract.createValidator({ coerceTypes: false });
+    this.coercingValidator = SpecContract.createValidator({ coerceTypes: 'array' });
+    this.compiledSchemas = new Map();
+
+    // Literal paths win over templates, e.g. /domain/check over /domain/{domain}
+    this.routes = Object.entries(spec.paths || {})
+      .map(([pathName, pathItem]) => ({
+        pathName,
+        pathItem,
+        ...compilePathTemplate(pathName),
+        operations: Object.fromEntries(
+          listOperations({ paths: { [pathName]: pathItem } }).map(({ method, operation }) => [method, operation])
+        )
+      }))
+      .sort((a, b) => a.names.length - b.names.length || b.pathName.length - a.pathName.length);
+  }
+
+  /**
+   * Create an Ajv instance for contract validation
+   */
+  static createValidator({ coerceTypes }) {
+    const ajv = new Ajv2020({ allErrors: true, strict: false, coerceTypes });
+    addFormats(ajv);
+    return ajv;
+  }
+
+  /**
+   * Compile a schema once per validator, resolving component references against the spec
+   */
+  compileSchema(ajv, schema) {
+    if (!this.compiledSchemas.has(ajv)) {
+      this.compiledSchemas.set(ajv, new WeakMap());
+    }
+
+    const cache = this.compiledSchemas.get(ajv);
+    if (!cache.has(schema)) {
+      cache.set(schema, ajv.compile({ ...schema, components: this.spec.components }));
+    }
+    return cache.get(schema);
+  }
+
+  /**
+   * Find the operation for a method and path
+   * Returns the matched route and path parameters, or the status to answer with when nothing matches
+   * or a path parameter cannot be decoded
+   */
+  matchRoute(method, pathname) {
+    const candidates = this.routes
+      .map(route => ({ route, match: route.pattern.exec(pathname) }))
+      .filter(({ match }) => match);
+
+    if (candidates.length === 0) {
+      return { status: 404 };
+    }
+
+    const found = candidates.find(({ route }) => route.operations[method.toLowerCase()]);
+    if (!found) {
+      const allowed = [...new Set(candidates.flatMap(({ route }) => Object.keys(route.operations)))];
+      return { status: 405, allow: allowed.map(name => name.toUpperCase()) };
+    }
+
+    const { route, match } = found;
+    const pathParams = Object.fromEntries(route.names.map((name, index) => [name, decodePathSegment(match[index + 1])]));
+    const malformed = route.names.find(name => pathParams[name] === undefined);
+    if (malformed) {
+      return { status: 400, message: `Path parameter "${malformed}" has a malformed percent-encoding` };
+    }
+
+    return { route, operation: route.operations[method.toLowerCase()], pathParams };
+  }
+
+  /**
+   * Get the security requirements of an operation, any of which grants access
+   */
+  getSecurityRequirements(operation) {
+    return operation.security ?? this.spec.security ?? [];
+  }
+
+  /**
+   * Check whether an operation requires an access token
+   */
+  requiresAuth(operation) {
+    const security = this.getSecurityRequirements(operation);
+    return security.length > 0 && !security.some(requirement => Object.keys(requirement).length === 0);
+  }
+
+  /**
+   * Get the names of the query parameters that can carry the access token of an operation
+   */
+  getQueryTokenNames(operation) {
+    const names = this.getSecurityRequirements(operation)
+      .flatMap(requirement => Object.keys(requirement))
+      .map(name => dereference(this.spec, this.spec.components?.securitySchemes?.[name]))
+      .filter(scheme => scheme?.type === 'apiKey' && scheme.in === 'query')
+      .map(scheme => scheme.name);
+
+    return [...new Set(names)];
+  }
+
+  /**
+   * Read the credential a security scheme expects, e.g. an apiKey query parameter
+   * Schemes other than apiKey (bearer, OAuth2 or undefined ones) read the bearer token of the Authorization header
+   */
+  readCredential(schemeName, { headers = {}, searchParams }) {
+    const scheme = dereference(this.spec, this.spec.components?.securitySchemes?.[schemeName]);
+
+    if (scheme?.type === 'apiKey') {
+      if (scheme.in === 'query') {
+        return searchParams?.get(scheme.name) || null;
+      }
+      return scheme.in === 'header' ? headers[scheme.name.toLowerCase()] || null : null;
+    }
+
+    const match = /^Bearer\s+(\S+)$/i.exec(headers.authorization || '');
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Get the access token of the first security requirement a request satisfies, or null
+   */
+  findCredential(operation, request) {
+    for (const requirement of this.getSecurityRequirements(operation)) {
+      const credentials = Object.keys(requirement).map(name => this.readCredential(name, request));
+      if (credentials.length > 0 && credentials.every(credential => credential)) {
+        return credentials[0];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check that operations with security requirements are called with an access token
+   */
+  validateAuthorization(operation, request) {
+    if (!this.requiresAuth(operation) || this.findCredential(operation, request)) {
+      return [];
+    }
+
+    const queryNames = this.getQueryTokenNames(operation);
+    const alternative = queryNames.length > 0 ? ` or the ${queryNames.map(name => `"${name}"`).join(', ')} query parameter` : '';
+    return [createProblem('header "Authorization"', `must carry a bearer token${alternative}`)];
+  }
+
+  /**
+   * Validate parameters and body of a request against the operation, returning a list of problems
+   */
+  validateRequest(route, operation, { pathParams, searchParams, headers, body }) {
+    const problems = [];
+    const parameters = [...(route.pathItem.parameters || []), ...(operation.parameters || [])]
+      .map(parameter => dereference(this.spec, parameter))
+      .filter(parameter => parameter && !(parameter.in === 'header' && this.ignoredHeaders.includes(parameter.name.toLowerCase())));
+
+    for (const parameter of parameters) {
+      const location = `${parameter.in} parameter "${parameter.name}"`;
+      let value;
+      if (parameter.in === 'path') {
+        value = pathParams[parameter.name];
+      } else if (parameter.in === 'query') {
+        value = readQueryParameter(searchParams, parameter);
+      } else if (parameter.in === 'header') {
+        value = headers[parameter.name.toLowerCase()];
+      } else {
+        continue;
+      }
+
+      if (value === undefined) {
+        if (parameter.required) {
+          problems.push(createProblem(location, 'is required'));
+        }
+        continue;
+      }
+
+      problems.push(...this.validateValue(this.coercingValidator, parameter.schema, value, location));
+    }
+
+    problems.push(...this.validateRequestBody(operation, headers, body));
+    return problems;
+  }
+
+  /**
+   * Validate the request body against the schema of its content type
+   */
+  validateRequestBody(operation, headers, body) {
+    const requestBody = dereference(this.spec, operation.requestBody);
+    const content = requestBody?.content || {};
+
+    if (!body) {
+      return requestBody?.required ? [createProblem('request body', 'is required')] : [];
+    }
+
+    const contentType = getMediaType(headers['content-type']) || JSON_CONTENT_TYPE;
+    if (contentType === FORM_CONTENT_TYPE && content[FORM_CONTENT_TYPE]) {
+      const values = parseFormBody(body);
+      return this.validateValue(this.coercingValidator, content[FORM_CONTENT_TYPE].schema, values, 'request body');
+    }
+    if (!content[JSON_CONTENT_TYPE]) {
+      return Object.keys(content).length > 0 ? [createProblem('request body', `has unsupported content type "${contentType}"`)] : [];
+    }
+
+    return this.validateJSON(content[JSON_CONTENT_TYPE].schema, body, 'request body');
+  }
+
+  /**
+   * Get the documented response for a status, falling back to the 4XX-style range and default
+   */
+  findResponse(operation, status) {
+    const responses = operation.responses || {};
+    const response = responses[status] || responses[`${String(status).charAt(0)}XX`] || responses.default;
+    return dereference(this.spec, response);
+  }
+
+  /**
+   * Validate a response status and body against the documented responses of the operation
+   */
+  validateResponse(operation, { status, headers, body }) {
+    const response = this.findResponse(operation, status);
+
+    if (!response) {
+      return [createProblem('response status', `${status} is not documented`)];
+    }
+
+    const mediaType = response.content?.[JSON_CONTENT_TYPE];
+    if (!mediaType?.schema || !body) {
+      return [];
+    }
+
+    const contentType = getMediaType(headers['content-type']);
+    if (contentType && contentType !== JSON_CONTENT_TYPE && !contentType.endsWith('+json')) {
+      return [createProblem('response body', `has content type "${contentType}" instead of ${JSON_CONTENT_TYPE}`)];
+    }
+    return this.validateJSON(mediaType.schema, body, 'response body');
+  }
+
+  /**
+   * Parse a JSON body and validate it against a schema
+   */
+  validateJSON(schema, body, location) {
+    let parsed;
+    try {
+      parsed = JSON.parse(body);
+    } catch (error) {
+      return [createProblem(location, `is not valid JSON: ${error.message}`)];
+    }
+    return this.validateValue(this.jsonValidator, schema, parsed, location);
+  }
+
+  /**
+   * Validate a value against a schema, returning one problem per schema error
+   */
+  validateValue(ajv, schema, value, location) {
+    if (!schema) {
+      return [];
+    }
+
+    const validate = this.compileSchema(ajv, schema);
+    if (validate(value)) {
+      return [];
+    }
+    return validate.errors.map(error => createProblem(`${location}${error.instancePath}`, error.message));
+  }
+}
+
+module.exports = {
+  JSON_CONTENT_TYPE,
+  compilePathTemplate,
+  readQueryParameter,
+  parseFormBody,
+  getMediaType,
+  formatProblems,
+  SpecContract
+};
@@ -0,0 +1,128 @@
+/**
+ * Semantic versioning of the generated OpenAPI spec
+ * Bumps info.version by comparing the new spec with the previous output
+ */
+
+const { diffSnapshots } = require('./snapshot-diff');
+
+const VERSIONING_MODES = ['auto', 'fixed'];
+const SEMVER_PATTERN = /^(\d+)\.(\d+)\.(\d+)$/;
+const MAX_REASON_EXAMPLES = 3;
+
+/**
+ * Parse a "major.minor.patch" version, returning null for anything else
+ */
+function parseVersion(version) {
+  const match = SEMVER_PATTERN.exec(String(version || '').trim());
+  return match ? match.slice(1).map(Number) : null;
+}
+
+/**
+ * Compare two parsed versions, returning a negative, zero or positive number
+ */
+function compareVersions(a, b) {
+  return a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+}
+
+/**
+ * Increment a version by the given bump
+ */
+function bumpVersion(version, bump) {
+  const [major, minor, patch] = parseVersion(version);
+
+  switch (bump) {
+    case 'major':
+      return `${major + 1}.0.0`;
+    case 'minor':
+      return `${major}.${minor + 1}.0`;
+    case 'patch':
+      return `${major}.${minor}.${patch + 1}`;
+    default:
+      return version;
+  }
+}
+
+/**
+ * Summarize changes for a version reason, naming the first few
+ */
+function describeChanges(changes, label) {
+  const examples = changes
+    .slice(0, MAX_REASON_EXAMPLES)
+    .map(change => (change.type === 'endpoint' ? change.message : `${change.endpoint}: ${change.message}`))
+    .join('; ');
+  const more = changes.length > MAX_REASON_EXAMPLES ? `; and ${changes.length - MAX_REASON_EXAMPLES} more` : '';
+
+  return `${changes.length} ${label} change(s): ${examples}${more}`;
+}
+
+/**
+ * Choose the semver bump for a list of classified changes
+ * Breaking changes are major, documentation-only changes are patch, anything else is minor
+ */
+function determineBump(changes) {
+  const breaking = changes.filter(change => change.breaking);
+  if (breaking.length > 0) {
+    return { bump: 'major', reason: describeChanges(breaking, 'breaking') };
+  }
+
+  const compatible = changes.filter(change => change.type !== 'documentation');
+  if (compatible.length > 0) {
+    return { bump: 'minor', reason: describeChanges(compatible, 'compatible') };
+  }
+
+  if (changes.length > 0) {
+    return { bump: 'patch', reason: describeChanges(changes, 'documentation') };
+  }
+
+  return { bump: 'none', reason: 'No API changes since the previous output' };
+}
+
+/**
+ * Resolve the version of a new spec from the previous output and the configured version
+ */
+function resolveSpecVersion(previousSpec, spec, configuredVersion) {
+  const previousVersion = previousSpec?.info?.version;
+  const previous = parseVersion(previousVersion);
+  const configured = parseVersion(configuredVersion);
+
+  if (!previous) {
+    return {
+      version: configuredVersion,
+      previousVersion: previousVersion || null,
+      bump: 'none',
+      reason: previousSpec
+        ? `Previous version "${previousVersion}" is not semver; using the configured version`
+        : 'No previous output; using the configured version'
+    };
+  }
+
+  // A configured version ahead of the previous output is a deliberate manual bump
+  if (configured && compareVersions(configured, previous) > 0) {
+    return {
+      version: configuredVersion,
+      previousVersion,
+      bump: 'none',
+      reason: 'Configured version is newer than the previous output'
+    };
+  }
+
+  const { changes } = diffSnapshots(previousSpec, spec);
+  const { bump, reason } = determineBump(changes);
+
+  // Keep the previous record when nothing changed so regenerating an unchanged API is a no-op
+  const previousRecord = previousSpec.info['x-nitrado-versioning'];
+  if (bump === 'none' && previousRecord) {
+    return { ...previousRecord, version: previousVersion };
+  }
+
+  return { version: bumpVersion(previousVersion, bump), previousVersion, bump, reason };
+}
+
+module.exports = {
+  VERSIONING_MODES,
+  parseVersion,
+  compareVersions,
+  bumpVersion,
+  determineBump,
+  resolveSpecVersion
+};
@@ -0,0 +1,73 @@
+/**
+ * Generation of a standalone TypeScript declaration file from the OpenAPI spec
+ * Types are keyed by operationId so projects can type their own fetch calls without the client package
+ */
+
+const {
+  ENVELOPE_DECLARATION,
+  formatLiteral,
+  formatPropertyKey,
+  formatDocComment,
+  describeOperations,
+  renderOperationTypes,
+  renderComponentTypes
+} = require('./typescript-types');
+
+const DECLARATIONS_FILENAME = 'nitrado-types.d.ts';
+
+// Lookup helpers over the Operations map, independent of the spec
+const OPERATION_HELPERS = `/** operationId of every documented operation */
+export type OperationId = keyof Operations;
+
+/** Path, query and header parameters of an operation, never when it takes none */
+export type OperationParams<TOperationId extends OperationId> = Operations[TOperationId]['params'];
+
+/** JSON request body of an operation, never when it takes none */
+export type OperationRequestBody<TOperationId extends OperationId> = Operations[TOperationId]['requestBody'];
+
+/** Success response of an operation */
+export type OperationResponse<TOperationId extends OperationId> = Operations[TOperationId]['response'];
+`;
+
+/**
+ * Render the Operations entry of an operation
+ */
+function renderOperationEntry(operation) {
+  const { typeName, pathParameters, queryParameters, headerParameters, requestBody } = operation;
+  const hasParameters = pathParameters.length + queryParameters.length + headerParameters.length > 0;
+  const members = [
+    `method: '${operation.method.toUpperCase()}';`,
+    `path: ${formatLiteral(operation.path)};`,
+    `params: ${hasParameters ? `${typeName}Params` : 'never'};`,
+    `requestBody: ${requestBody ? `${typeName}RequestBody` : 'never'};`,
+    `response: ${typeName}Response;`
+  ];
+  const description = [operation.summary, operation.deprecated ? '@deprecated' : ''].filter(Boolean).join('\n\n');
+
+  return [
+    formatDocComment(description, '  '),
+    `  ${formatPropertyKey(operation.operationId)}: {\n${members.map(member => `    ${member}`).join('\n')}\n  };`
+  ].join('');
+}
+
+/**
+ * Generate the contents of nitrado-types.d.ts
+ */
+function generateTypeDeclarations(spec) {
+  const operations = describeOperations(spec);
+  const components = renderComponentTypes(spec);
+
+  return [
+    `// Types for ${spec.info.title} ${spec.info.version}, generated by nitrado-api-extractor from the OpenAPI spec. Do not edit.\n`,
+    ENVELOPE_DECLARATION,
+    ...(components ? [components] : []),
+    ...operations.map(operation => renderOperationTypes(operation, { envelopes: true })),
+    `/** Types of each operation, keyed by operationId */\nexport interface Operations {\n${operations.map(renderOperationEntry).join('\n')}\n}\n`,
+    OPERATION_HELPERS
+  ].join('\n');
+}
+
+module.exports = {
+  DECLARATIONS_FILENAME,
+  generateTypeDeclarations
+};
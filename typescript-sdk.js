@@ -0,0 +1,373 @@
+/**
+ * Generation of a dependency-free TypeScript client package from the OpenAPI spec
+ * One method per operation, named after its operationId and grouped by tag
+ */
+
+const {
+  toCamelCase,
+  formatLiteral,
+  formatPropertyKey,
+  formatDocComment,
+  describeOperations,
+  renderOperationTypes,
+  renderComponentTypes
+} = require('./typescript-types');
+
+const PACKAGE_NAME = 'nitrado-api-client';
+const TYPESCRIPT_VERSION = '^5.4.0';
+
+// Client members a tag group must not shadow
+const RESERVED_MEMBERS = ['baseUrl', 'token', 'fetchImpl', 'headers', 'request'];
+
+const GENERATED_HEADER = '// Generated by nitrado-api-extractor from the OpenAPI spec. Do not edit.\n';
+
+// Runtime part of the client, independent of the operations
+const CLIENT_RUNTIME = `/** Response subset of the fetch API used by the client */
+export interface FetchResponse {
+  ok: boolean;
+  status: number;
+  statusText: string;
+  text(): Promise<string>;
+}
+
+/** Request options passed to the fetch implementation */
+export interface FetchRequestInit {
+  method: string;
+  headers: Record<string, string>;
+  body?: string;
+}
+
+/** fetch-compatible function, e.g. the global fetch or a test double */
+export type FetchLike = (url: string, init: FetchRequestInit) => Promise<FetchResponse>;
+
+export interface NitradoClientOptions {
+  /** Bearer token sent in the Authorization header */
+  token?: string;
+  /** API base URL, defaults to the server of the spec */
+  baseUrl?: string;
+  /** fetch implementation, defaults to the global fetch */
+  fetch?: FetchLike;
+  /** Headers sent with every request */
+  headers?: Record<string, string>;
+}
+
+/** Error thrown for non-2xx responses */
+export class NitradoApiError extends Error {
+  readonly status: number;
+  readonly body: unknown;
+
+  constructor(status: number, statusText: string, body: unknown) {
+    super(\`Request failed with status \${status} \${statusText}\`.trim());
+    this.name = 'NitradoApiError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+type ParameterValues = { [name: string]: unknown };
+
+/** Parameter name, or [key in params, name] for parameters namespaced by location such as "query.id" */
+type ParameterName = string | [string, string];
+
+interface RequestOptions {
+  method: string;
+  path: string;
+  params?: object;
+  queryParams?: ParameterName[];
+  headerParams?: ParameterName[];
+  body?: unknown;
+  auth: boolean;
+}
+
+/**
+ * Append a query value, using name[] for arrays and name[key] for objects
+ */
+function appendQuery(pairs: string[], name: string, value: unknown): void {
+  if (value === undefined || value === null) {
+    return;
+  }
+  if (Array.isArray(value)) {
+    value.forEach(item => appendQuery(pairs, \`\${name}[]\`, item));
+    return;
+  }
+  if (typeof value === 'object') {
+    Object.entries(value as ParameterValues).forEach(([key, item]) => appendQuery(pairs, \`\${name}[\${key}]\`, item));
+    return;
+  }
+  pairs.push(\`\${encodeURIComponent(name)}=\${encodeURIComponent(String(value))}\`);
+}
+
+/**
+ * Split a parameter name into its key in params and its name in the request
+ */
+function parameterEntry(parameter: ParameterName): [string, string] {
+  return typeof parameter === 'string' ? [parameter, parameter] : parameter;
+}
+
+/**
+ * Parse a response body as JSON, falling back to the raw text
+ */
+function parseBody(text: string): unknown {
+  if (!text) {
+    return undefined;
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+`;
+
+// Members of the client class shared by every generated client
+const CLIENT_MEMBERS = `  private readonly baseUrl: string;
+  private readonly token?: string;
+  private readonly fetchImpl: FetchLike;
+  private readonly headers: Record<string, string>;
+
+  constructor(options: NitradoClientOptions = {}) {
+    const fetchImpl = options.fetch ?? (globalThis as { fetch?: FetchLike }).fetch;
+    if (!fetchImpl) {
+      throw new Error('No fetch implementation available; pass one in the fetch option');
+    }
+
+    this.baseUrl = (options.baseUrl ?? DEFAULT_BASE_URL).replace(/\\/+$/, '');
+    this.token = options.token;
+    this.fetchImpl = fetchImpl;
+    this.headers = { ...options.headers };
+  }
+
+  private async request<TResponse>(options: RequestOptions): Promise<TResponse> {
+    const params = (options.params ?? {}) as ParameterValues;
+    const path = options.path.replace(/\\{([^}]+)\\}/g, (_match, key: string) => encodeURIComponent(String(params[key])));
+    const query: string[] = [];
+    (options.queryParams ?? []).map(parameterEntry).forEach(([key, name]) => appendQuery(query, name, params[key]));
+
+    const headers: Record<string, string> = { Accept: 'application/json', ...this.headers };
+    (options.headerParams ?? []).map(parameterEntry).forEach(([key, name]) => {
+      if (params[key] !== undefined) {
+        headers[name] = String(params[key]);
+      }
+    });
+    if (options.auth && this.token) {
+      headers.Authorization = \`Bearer \${this.token}\`;
+    }
+
+    const init: FetchRequestInit = { method: options.method, headers };
+    if (options.body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+      init.body = JSON.stringify(options.body);
+    }
+
+    const url = \`\${this.baseUrl}\${path}\${query.length > 0 ? \`?\${query.join('&')}\` : ''}\`;
+    const response = await this.fetchImpl(url, init);
+    const body = parseBody(await response.text());
+
+    if (!response.ok) {
+      throw new NitradoApiError(response.status, response.statusText, body);
+    }
+    return body as TResponse;
+  }
+`;
+
+/**
+ * Get the client property name of a tag
+ */
+function getGroupName(tag) {
+  const name = toCamelCase(tag) || 'default';
+  return RESERVED_MEMBERS.includes(name) ? `${name}Api` : name;
+}
+
+/**
+ * Render the doc comment of an operation method
+ */
+function renderMethodDoc(operation, indent) {
+  const lines = [
+    operation.summary,
+    operation.description && operation.description !== operation.summary ? `\n${operation.description}` : '',
+    `\n\`${operation.method.toUpperCase()} ${operation.path}\``,
+    operation.deprecated ? '\n@deprecated' : ''
+  ];
+
+  return formatDocComment(lines.filter(Boolean).join('\n'), indent);
+}
+
+/**
+ * Render the arguments of an operation method
+ * Parameters come first and are only optional when nothing after them is required
+ */
+function renderMethodArguments(operation) {
+  const { typeName, pathParameters, queryParameters, headerParameters, requestBody } = operation;
+  const parameters = [...pathParameters, ...queryParameters, ...headerParameters];
+  const args = [];
+
+  if (parameters.length > 0) {
+    const optional = !parameters.some(parameter => parameter.required) && !requestBody?.required;
+    args.push(`params${optional ? '?' : ''}: Types.${typeName}Params`);
+  }
+  if (requestBody) {
+    args.push(`body${requestBody.required ? '' : '?'}: Types.${typeName}RequestBody`);
+  }
+  return args.join(', ');
+}
+
+/**
+ * Render the request options literal of an operation method
+ * Path templates and parameter lists refer to namespaced parameters by their key in params
+ */
+function renderRequestOptions(operation) {
+  const renderName = parameter => (parameter.key === parameter.name
+    ? formatLiteral(parameter.name)
+    : `[${formatLiteral(parameter.key)}, ${formatLiteral(parameter.name)}]`);
+  const names = parameters => `[${parameters.map(renderName).join(', ')}]`;
+  const path = operation.path.replace(/\{([^}]+)\}/g, (match, name) =>
+    `{${operation.pathParameters.find(parameter => parameter.name === name)?.key || name}}`
+  );
+  const hasParameters = operation.pathParameters.length + operation.queryParameters.length + operation.headerParameters.length > 0;
+  const options = [
+    `method: '${operation.method.toUpperCase()}'`,
+    `path: ${formatLiteral(path)}`,
+    hasParameters && 'params',
+    operation.queryParameters.length > 0 && `queryParams: ${names(operation.queryParameters)}`,
+    operation.headerParameters.length > 0 && `headerParams: ${names(operation.headerParameters)}`,
+    operation.requestBody && 'body',
+    `auth: ${!operation.isPublic}`
+  ];
+
+  return `{ ${options.filter(Boolean).join(', ')} }`;
+}
+
+/**
+ * Render one tag group of client methods
+ */
+function renderGroup(groupName, operations) {
+  const methods = operations.map(operation => [
+    renderMethodDoc(operation, '    '),
+    `    ${formatPropertyKey(operation.methodName)}: (${renderMethodArguments(operation)}): Promise<Types.${operation.typeName}Response> =>\n`,
+    `      this.request<Types.${operation.typeName}Response>(${renderRequestOptions(operation)})`
+  ].join(''));
+
+  return `  readonly ${groupName} = {\n${methods.join(',\n\n')}\n  };\n`;
+}
+
+/**
+ * Render src/client.ts
+ */
+function renderClient(spec, operations) {
+  const groups = operations.reduce((result, operation) => {
+    const groupName = getGroupName(operation.tag);
+    result[groupName] = [...(result[groupName] || []), operation];
+    return result;
+  }, {});
+  const baseUrl = spec.servers?.[0]?.url || '';
+  const classBody = [
+    CLIENT_MEMBERS,
+    ...Object.entries(groups).map(([groupName, groupOperations]) => renderGroup(groupName, groupOperations))
+  ].join('\n');
+
+  return [
+    GENERATED_HEADER,
+    'import type * as Types from \'./types\';\n',
+    `export const DEFAULT_BASE_URL = ${formatLiteral(baseUrl)};\n`,
+    CLIENT_RUNTIME,
+    `${formatDocComment(`Client for ${spec.info.title} ${spec.info.version}`)}export class NitradoClient {\n${classBody}}\n`
+  ].join('\n');
+}
+
+/**
+ * Render src/types.ts
+ */
+function renderTypes(spec, operations) {
+  return [
+    GENERATED_HEADER,
+    renderComponentTypes(spec),
+    ...operations.map(operation => renderOperationTypes(operation))
+  ].join('\n');
+}
+
+/**
+ * Render the package README
+ */
+function renderReadme(spec, operations) {
+  const [example] = operations;
+  const usage = example
+    ? `const result = await client.${getGroupName(example.tag)}.${example.methodName}(/* ... */);`
+    : '';
+
+  return `# ${PACKAGE_NAME}
+
+Typed client for ${spec.info.title} ${spec.info.version}, generated from the OpenAPI spec by nitrado-api-extractor. It has no runtime dependencies and works with any fetch implementation.
+
+\`\`\`bash
+npm install
+npm run build
+\`\`\`
+
+\`\`\`ts
+import { NitradoClient } from '${PACKAGE_NAME}';
+
+const client = new NitradoClient({ token: process.env.NITRADO_TOKEN });
+${usage}
+\`\`\`
+
+Methods are grouped by tag and named after the operationIds of the spec. Non-2xx responses throw a \`NitradoApiError\` with the status and the parsed body. Pass \`fetch\` to use your own implementation, for example a test double.
+`;
+}
+
+/**
+ * Get the package license from the SPDX identifier of the spec license, UNLICENSED without one
+ * The free-text license name is no valid SPDX expression, so it is not used
+ */
+function getPackageLicense(spec) {
+  return spec.info.license?.identifier || 'UNLICENSED';
+}
+
+/**
+ * Generate the files of the TypeScript client package, keyed by path relative to the package root
+ */
+function generateTypeScriptSDK(spec) {
+  const operations = describeOperations(spec);
+
+  const packageJson = {
+    name: PACKAGE_NAME,
+    version: spec.info.version,
+    description: `Typed client for ${spec.info.title}, generated from the OpenAPI spec`,
+    main: 'dist/index.js',
+    types: 'dist/index.d.ts',
+    files: ['dist'],
+    scripts: {
+      build: 'tsc'
+    },
+    devDependencies: {
+      typescript: TYPESCRIPT_VERSION
+    },
+    license: getPackageLicense(spec)
+  };
+
+  const tsconfig = {
+    compilerOptions: {
+      target: 'ES2020',
+      module: 'commonjs',
+      lib: ['ES2020'],
+      declaration: true,
+      outDir: 'dist',
+      rootDir: 'src',
+      strict: true
+    },
+    include: ['src']
+  };
+
+  return {
+    'package.json': `${JSON.stringify(packageJson, null, 2)}\n`,
+    'tsconfig.json': `${JSON.stringify(tsconfig, null, 2)}\n`,
+    'README.md': renderReadme(spec, operations),
+    'src/index.ts': `${GENERATED_HEADER}\nexport * from './client';\nexport * from './types';\n`,
+    'src/client.ts': renderClient(spec, operations),
+    'src/types.ts': renderTypes(spec, operations)
+  };
+}
+
+module.exports = {
+  PACKAGE_NAME,
+  generateTypeScriptSDK
+};
@@ -0,0 +1,326 @@
+/**
+ * TypeScript type generation from the OpenAPI spec
+ * Shared by the client SDK and the standalone declaration file
+ */
+
+const { listOperations, dereference } = require('./openapi-validator');
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+const INDENT = '  ';
+
+// Headers handled by the client itself rather than passed per request
+const MANAGED_HEADERS = ['authorization', 'content-type', 'accept'];
+
+// Top-level properties of the { status, message, data } envelope every Nitrado response uses
+const ENVELOPE_KEYS = ['status', 'message', 'data'];
+const ENVELOPE_TYPE_NAME = 'NitradoEnvelope';
+const ENVELOPE_DECLARATION = `/** Envelope of Nitrado API responses */
+export interface ${ENVELOPE_TYPE_NAME}<TData = unknown> {
+  status: string;
+  message?: string;
+  data?: TData;
+}
+`;
+
+/**
+ * Convert a name such as "Game_Minecraft" or "server-list" to PascalCase
+ */
+function toPascalCase(value) {
+  return String(value)
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+    .join('')
+    .replace(/^(\d)/, '_$1');
+}
+
+/**
+ * Convert a name to camelCase
+ */
+function toCamelCase(value) {
+  const pascal = toPascalCase(value);
+  return pascal.charAt(0).toLowerCase() + pascal.slice(1);
+}
+
+/**
+ * Format a value as a TypeScript literal, using single-quoted strings
+ */
+function formatLiteral(value) {
+  if (typeof value !== 'string') {
+    return JSON.stringify(value);
+  }
+  return `'${JSON.stringify(value).slice(1, -1).replace(/\\"/g, '"').replace(/'/g, '\\\'')}'`;
+}
+
+/**
+ * Quote a property key unless it is a valid identifier
+ */
+function formatPropertyKey(key) {
+  return IDENTIFIER_PATTERN.test(key) ? key : formatLiteral(key);
+}
+
+/**
+ * Render a description as a doc comment at the given indentation
+ */
+function formatDocComment(text, indent = '') {
+  const lines = String(text || '').trim().replace(/\*\//g, '*\\/').split('\n');
+
+  if (lines.length === 1 && !lines[0]) {
+    return '';
+  }
+  if (lines.length === 1) {
+    return `${indent}/** ${lines[0]} */\n`;
+  }
+  return `${indent}/**\n${lines.map(line => `${indent} *${line ? ` ${line}` : ''}`).join('\n')}\n${indent} */\n`;
+}
+
+/**
+ * Get the type name of a component schema reference
+ */
+function getReferenceTypeName(ref) {
+  return toPascalCase(ref.split('/').pop());
+}
+
+/**
+ * Wrap union and intersection members that need parentheses
+ */
+function joinTypes(types, separator) {
+  const unique = [...new Set(types)];
+  if (unique.length === 1) {
+    return unique[0];
+  }
+  return unique.map(type => (/[|&]/.test(type) && !type.startsWith('{') ? `(${type})` : type)).join(separator);
+}
+
+/**
+ * Render the members of an object schema
+ */
+function renderObjectType(schema, indent) {
+  const properties = Object.entries(schema.properties || {});
+  const required = schema.required || [];
+  const memberIndent = indent + INDENT;
+  const members = properties.map(([name, property]) =>
+    `${formatDocComment(property?.description, memberIndent)}${memberIndent}${formatPropertyKey(name)}${required.includes(name) ? '' : '?'}: ${schemaToType(property, memberIndent)};`
+  );
+
+  if (schema.additionalProperties && schema.additionalProperties !== true) {
+    members.push(`${memberIndent}[key: string]: ${schemaToType(schema.additionalProperties, memberIndent)};`);
+  } else if (properties.length === 0 || schema.additionalProperties === true) {
+    members.push(`${memberIndent}[key: string]: unknown;`);
+  }
+
+  return `{\n${members.join('\n')}\n${indent}}`;
+}
+
+/**
+ * Convert a JSON Schema to a TypeScript type expression
+ */
+function schemaToType(schema, indent = '') {
+  if (schema === true || !schema || typeof schema !== 'object') {
+    return 'unknown';
+  }
+  if (schema.$ref) {
+    return getReferenceTypeName(schema.$ref);
+  }
+  if (schema.const !== undefined) {
+    return formatLiteral(schema.const);
+  }
+  if (Array.isArray(schema.enum)) {
+    return joinTypes(schema.enum.map(value => formatLiteral(value)), ' | ');
+  }
+  if (Array.isArray(schema.allOf)) {
+    return joinTypes(schema.allOf.map(subschema => schemaToType(subschema, indent)), ' & ');
+  }
+
+  const variants = schema.oneOf || schema.anyOf;
+  if (Array.isArray(variants)) {
+    return joinTypes(variants.map(subschema => schemaToType(subschema, indent)), ' | ');
+  }
+
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const rendered = types.map(type => {
+    switch (type) {
+      case 'string':
+        return 'string';
+      case 'integer':
+      case 'number':
+        return 'number';
+      case 'boolean':
+        return 'boolean';
+      case 'null':
+        return 'null';
+      case 'array':
+        return `Array<${schemaToType(schema.items, indent)}>`;
+      case 'object':
+        return renderObjectType(schema, indent);
+      default:
+        return schema.properties ? renderObjectType(schema, indent) : 'unknown';
+    }
+  });
+
+  return joinTypes(schema.nullable ? [...rendered, 'null'] : rendered, ' | ');
+}
+
+/**
+ * Render a named type declaration, as an interface for plain object schemas
+ */
+function renderTypeDeclaration(name, schema, description = schema?.description) {
+  const isInterface = schema?.type === 'object' && schema.properties && !schema.nullable;
+  const declaration = isInterface
+    ? `export interface ${name} ${renderObjectType(schema, '')}`
+    : `export type ${name} = ${schemaToType(schema)};`;
+
+  return `${formatDocComment(description)}${declaration}\n`;
+}
+
+/**
+ * Collect the schemas and metadata of each operation needed to generate types and methods
+ */
+function describeOperations(spec) {
+  return listOperations(spec)
+    .filter(({ operation }) => operation.operationId)
+    .map(({ pathName, method, pathItem, operation }) => {
+      const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])]
+        .map(parameter => dereference(spec, parameter))
+        .filter(Boolean);
+      const requestBody = dereference(spec, operation.requestBody);
+      const locatedParameters = withParameterKeys(parameters.filter(parameter =>
+        parameter.in !== 'header' || !MANAGED_HEADERS.includes(parameter.name.toLowerCase())
+      ));
+      const responses = Object.entries(operation.responses || {})
+        .filter(([statusCode]) => /^2(\d\d|XX)$/i.test(statusCode))
+        .map(([statusCode, response]) => ({ statusCode, response: dereference(spec, response) }));
+
+      return {
+        operationId: operation.operationId,
+        typeName: toPascalCase(operation.operationId),
+        methodName: toCamelCase(operation.operationId),
+        tag: operation.tags?.[0] || 'Default',
+        method,
+        path: pathName,
+        summary: operation.summary,
+        description: operation.description,
+        deprecated: Boolean(operation.deprecated),
+        isPublic: !operation.security,
+        pathParameters: locatedParameters.filter(parameter => parameter.in === 'path'),
+        queryParameters: locatedParameters.filter(parameter => parameter.in === 'query'),
+        headerParameters: locatedParameters.filter(parameter => parameter.in === 'header'),
+        requestBody: requestBody?.content?.['application/json']
+          ? { schema: requestBody.content['application/json'].schema, required: Boolean(requestBody.required) }
+          : null,
+        responseSchemas: responses
+          .map(({ response }) => response?.content?.['application/json']?.schema)
+          .filter(Boolean)
+      };
+    });
+}
+
+/**
+ * Give each parameter the key it has in the flat <Name>Params object
+ * Names used in several locations are namespaced by location, e.g. "path.id" and "query.id"
+ */
+function withParameterKeys(parameters) {
+  return parameters.map(parameter => {
+    const isShared = parameters.some(other => other.name === parameter.name && other.in !== parameter.in);
+    return { ...parameter, key: isShared ? `${parameter.in}.${parameter.name}` : parameter.name };
+  });
+}
+
+/**
+ * Build an object schema from a list of parameters, keyed by their parameter keys
+ */
+function parametersToSchema(parameters) {
+  return {
+    type: 'object',
+    properties: Object.fromEntries(parameters.map(parameter => [
+      parameter.key,
+      { ...(parameter.schema || {}), description: parameter.description || parameter.schema?.description }
+    ])),
+    required: parameters.filter(parameter => parameter.required).map(parameter => parameter.key)
+  };
+}
+
+/**
+ * Get the data schema of a { status, message?, data? } response envelope, or undefined for other shapes
+ * Envelopes without data resolve to null
+ */
+function getEnvelopeDataSchema(schema) {
+  const keys = Object.keys(schema?.properties || {});
+  if (schema?.type !== 'object' || !keys.includes('status') || !keys.every(key => ENVELOPE_KEYS.includes(key))) {
+    return undefined;
+  }
+  return schema.properties.data || null;
+}
+
+/**
+ * Render the success response type of an operation
+ * With envelopes, { status, data } responses become NitradoEnvelope<<Name>Data>
+ */
+function renderResponseTypes(operation, envelopes) {
+  const { typeName, operationId, responseSchemas } = operation;
+
+  if (responseSchemas.length === 0) {
+    return [`${formatDocComment(`${operationId} returns no response body`)}export type ${typeName}Response = void;\n`];
+  }
+
+  const schema = responseSchemas.length === 1 ? responseSchemas[0] : { anyOf: responseSchemas };
+  const dataSchema = envelopes ? getEnvelopeDataSchema(schema) : undefined;
+  if (dataSchema === undefined) {
+    return [renderTypeDeclaration(`${typeName}Response`, schema, `Success response of ${operationId}`)];
+  }
+  if (dataSchema === null) {
+    return [`${formatDocComment(`Success response of ${operationId}`)}export type ${typeName}Response = ${ENVELOPE_TYPE_NAME}<never>;\n`];
+  }
+  return [
+    renderTypeDeclaration(`${typeName}Data`, dataSchema, `Data of the success response of ${operationId}`),
+    `${formatDocComment(`Success response of ${operationId}`)}export type ${typeName}Response = ${ENVELOPE_TYPE_NAME}<${typeName}Data>;\n`
+  ];
+}
+
+/**
+ * Render the parameter, request body and response types of an operation
+ * Names are derived from the operationId: <Name>Params, <Name>RequestBody and <Name>Response
+ */
+function renderOperationTypes(operation, { envelopes = false } = {}) {
+  const { typeName, pathParameters, queryParameters, headerParameters, requestBody } = operation;
+  const declarations = [];
+  const parameters = [...pathParameters, ...queryParameters, ...headerParameters];
+
+  if (parameters.length > 0) {
+    declarations.push(renderTypeDeclaration(
+      `${typeName}Params`,
+      parametersToSchema(parameters),
+      `Path, query and header parameters of ${operation.operationId}`
+    ));
+  }
+  if (requestBody) {
+    declarations.push(renderTypeDeclaration(`${typeName}RequestBody`, requestBody.schema, `Request body of ${operation.operationId}`));
+  }
+  declarations.push(...renderResponseTypes(operation, envelopes));
+
+  return declarations.join('\n');
+}
+
+/**
+ * Render a declaration for each component schema
+ */
+function renderComponentTypes(spec) {
+  return Object.entries(spec.components?.schemas || {})
+    .map(([name, schema]) => renderTypeDeclaration(toPascalCase(name), schema))
+    .join('\n');
+}
+
+module.exports = {
+  ENVELOPE_DECLARATION,
+  toPascalCase,
+  toCamelCase,
+  formatLiteral,
+  formatPropertyKey,
+  formatDocComment,
+  schemaToType,
+  renderTypeDeclaration,
+  describeOperations,
+  getEnvelopeDataSchema,
+  renderOperationTypes,
+  renderComponentTypes
+};
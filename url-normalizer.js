@@ -0,0 +1,145 @@
+/**
+ * URL normalization for apiDoc endpoint URLs
+ * Repairs malformed URLs and reconciles path parameter names before paths are built
+ */
+
+/**
+ * Apply structural fixes to a single URL and describe each fix made
+ */
+function cleanUrl(url) {
+  const fixes = [];
+  let cleaned = (url || '').trim();
+
+  if (cleaned !== url) {
+    fixes.push('trimmed whitespace');
+  }
+
+  const queryIndex = cleaned.search(/[?#]/);
+  if (queryIndex !== -1) {
+    cleaned = cleaned.slice(0, queryIndex);
+    fixes.push('stripped query string');
+  }
+
+  if (!cleaned.startsWith('/')) {
+    cleaned = `/${cleaned}`;
+    fixes.push('added leading slash');
+  }
+
+  if (/\/{2,}/.test(cleaned)) {
+    cleaned = cleaned.replace(/\/{2,}/g, '/');
+    fixes.push('collapsed duplicate slashes');
+  }
+
+  if (cleaned.length > 1 && cleaned.endsWith('/')) {
+    cleaned = cleaned.replace(/\/+$/, '');
+    fixes.push('stripped trailing slash');
+  }
+
+  return { url: cleaned, fixes };
+}
+
+/**
+ * Split a URL into segments, marking ":name" and "{name}" segments as parameters
+ */
+function splitSegments(url) {
+  return url.split('/').filter(segment => segment).map(segment => {
+    const paramMatch = segment.match(/^(?::(\w+)|\{(\w+)\})$/);
+    return paramMatch
+      ? { param: true, name: paramMatch[1] || paramMatch[2] }
+      : { param: false, name: segment };
+  });
+}
+
+/**
+ * Get the key identifying a parameter position: the preceding segments with parameters as wildcards
+ */
+function getPositionKey(segments, index) {
+  return segments
+    .slice(0, index)
+    .map(segment => (segment.param ? ':' : segment.name))
+    .join('/');
+}
+
+/**
+ * Choose one parameter name per path position, preferring the most common name
+ */
+function buildParameterNameMap(urls) {
+  const counts = {};
+
+  urls.forEach(url => {
+    const segments = splitSegments(url);
+    segments.forEach((segment, index) => {
+      if (!segment.param) {
+        return;
+      }
+
+      const key = getPositionKey(segments, index);
+      counts[key] = counts[key] || {};
+      counts[key][segment.name] = (counts[key][segment.name] || 0) + 1;
+    });
+  });
+
+  return Object.fromEntries(
+    Object.entries(counts).map(([key, names]) => {
+      // Sort by frequency, then alphabetically so the choice is stable across runs
+      const [canonicalName] = Object.entries(names)
+        .sort(([nameA, countA], [nameB, countB]) => countB - countA || nameA.localeCompare(nameB))
+        .map(([name]) => name);
+      return [key, canonicalName];
+    })
+  );
+}
+
+/**
+ * Rename path parameters of a URL to their canonical names
+ * A parameter keeps its name when the canonical name is already taken by another parameter of the same URL
+ */
+function reconcileParameterNames(url, parameterNameMap) {
+  const segments = splitSegments(url);
+  const renames = {};
+  const takenNames = new Set(segments.filter(segment => segment.param).map(segment => segment.name));
+
+  const reconciled = segments.map((segment, index) => {
+    if (!segment.param) {
+      return segment.name;
+    }
+
+    const canonicalName = parameterNameMap[getPositionKey(segments, index)] || segment.name;
+    if (canonicalName === segment.name || takenNames.has(canonicalName)) {
+      return `:${segment.name}`;
+    }
+
+    takenNames.add(canonicalName);
+    renames[segment.name] = canonicalName;
+    return `:${canonicalName}`;
+  });
+
+  return { url: `/${reconciled.join('/')}`, renames };
+}
+
+/**
+ * Normalize a list of URLs, returning the cleaned URL, renamed parameters and fixes for each
+ */
+function normalizeUrls(urls) {
+  const cleaned = urls.map(url => cleanUrl(url));
+  const parameterNameMap = buildParameterNameMap(cleaned.map(result => result.url));
+
+  return cleaned.map(({ url, fixes }) => {
+    const reconciled = reconcileParameterNames(url, parameterNameMap);
+    const renameFixes = Object.entries(reconciled.renames)
+      .map(([from, to]) => `renamed parameter :${from} to :${to}`);
+
+    return {
+      url: reconciled.url,
+      renames: reconciled.renames,
+      fixes: [...fixes, ...renameFixes]
+    };
+  });
+}
+
+module.exports = {
+  cleanUrl,
+  buildParameterNameMap,
+  reconcileParameterNames,
+  normalizeUrls
+};
@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+
+const fs = require('fs').promises;
+const path = require('path');
+const Config = require('./config');
+const Logger = require('./logger');
+const { validateSpec, formatReport } = require('./openapi-validator');
+const { getSerializer, resolveOutputFormats, parseFile } = require('./serializers');
+
+/**
+ * Validate the generated OpenAPI specification and exit non-zero on errors
+ */
+async function validate() {
+  const config = new Config().getConfig({ requireApiUrl: false });
+  const logger = new Logger(Logger.resolveLevel(config));
+  const [format] = resolveOutputFormats(config.outputFormat);
+  const specPath = path.join(config.outputDir, `nitrado-openapi.${getSerializer(format).extension}`);
+
+  try {
+    logger.info(`🔍 Validating OpenAPI spec: ${specPath}`);
+
+    const spec = parseFile(specPath, await fs.readFile(specPath, 'utf8'));
+    const report = validateSpec(spec);
+
+    if (config.reportFormat === 'json') {
+      logger.result(JSON.stringify({ file: specPath, ...report }, null, 2));
+    } else {
+      logger.result(formatReport(report));
+    }
+
+    if (!report.valid) {
+      process.exit(1);
+    }
+  } catch (error) {
+    logger.error('❌ Error:', error.message);
+    logger.verbose('Stack trace:', error.stack);
+    logger.info('💡 Generate the spec first: npm run extract');
+    process.exit(1);
+  }
+}
+
+validate();